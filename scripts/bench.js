@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Minifier Benchmark
+ *
+ * @description
+ * Compares `minify.js` with the regex chain it replaced, on the full (bundled) framework.
+ * Reports the median time per run and the output size of both.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🚀 USAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * @example
+ * npm run bench            // 30 runs each
+ * node scripts/bench.js 100
+ * node scripts/bench.js 30 p   // Benchmark the prefixed bundle
+ */
+
+const path = require('path');
+const { bundleCss } = require('./build');
+const { prefixCss } = require('./prefix');
+const { minifyCss } = require('./minify');
+
+/**
+ * The previous build.js minifier, kept verbatim as the baseline.
+ * @param {string} css
+ * @returns {string}
+ */
+function legacyMinifyCss(css) {
+    return css
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/\s*{\s*/g, '{')
+        .replace(/\s*}\s*/g, '}')
+        .replace(/\s*;\s*/g, ';')
+        .replace(/\s*:\s*/g, ':')
+        .replace(/\s*,\s*/g, ',')
+        .replace(/\s*>\s*/g, '>')
+        .trim();
+}
+
+/**
+ * Runs every function `runs` times on the same input and returns the median duration of each.
+ * Runs are interleaved (a, b, a, b, ...) after a warm-up, so a slow phase of the machine
+ * affects both sides equally instead of whichever happened to run then.
+ * @param {Function[]} fns
+ * @param {string} input
+ * @param {number} runs
+ * @returns {Array<{ms: number, output: string}>}
+ */
+function measure(fns, input, runs) {
+    const outputs = fns.map(fn => fn(input));
+    for (let i = 0; i < 20; i++) fns.forEach(fn => fn(input));
+
+    const times = fns.map(() => []);
+    for (let i = 0; i < runs; i++) {
+        fns.forEach((fn, k) => {
+            const t = process.hrtime.bigint();
+            fn(input);
+            times[k].push(Number(process.hrtime.bigint() - t) / 1e6);
+        });
+    }
+    return times.map((list, k) => {
+        list.sort((a, b) => a - b);
+        return { ms: list[Math.floor(list.length / 2)], output: outputs[k] };
+    });
+}
+
+async function main() {
+    const runs = Number(process.argv[2]) || 30;
+    const mode = process.argv[3];
+
+    let css = await bundleCss(path.resolve(__dirname, '../src/u.css'));
+    if (mode) css = prefixCss(css, mode, 'u');
+
+    console.log(`\n⏱️  Minifier benchmark: u.css${mode ? ` (${mode})` : ''}, ${(css.length / 1024).toFixed(1)} KB, ${runs} runs\n`);
+
+    const names = ['regex (legacy)', 'minify.js'];
+    const results = measure([legacyMinifyCss, minifyCss], css, runs);
+    const rows = names.map((name, k) => [name, results[k]]);
+    for (const [name, { ms, output }] of rows) {
+        console.log(`  ${name.padEnd(16)} ${ms.toFixed(2).padStart(8)} ms   ${(Buffer.byteLength(output) / 1024).toFixed(2).padStart(8)} KB`);
+    }
+
+    const [legacy, current] = rows.map(([, r]) => r.ms);
+    console.log(`\n  ${current <= legacy ? '✅' : '⚠️ '} minify.js is ${(legacy / current).toFixed(2)}x the speed of the regex chain.`);
+}
+
+main().catch(err => {
+    console.error('Benchmark failed:', err.message);
+    process.exit(1);
+});
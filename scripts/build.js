@@ -23,14 +23,37 @@
  *    - `p` (Prefixed): Adds `.u-` to classes and `--u-` to vars.
  *    - `v` (Variables): Adds `--u-` to vars only.
  * 
+ * 5. COMPOSE (`node build.js compose layout/grid patterns/button` | `compose --recipe <name>`)
+ *    - Bundles only the chosen modules/leaves (plus their imports) in cascade order.
+ *    - Emits `dist/custom/u.custom.css` (+ `.clean.css`, `.min.css`). Combines with `p` / `c` / `v`.
+ * 
  * ---------------------------------------------------------------------------------------------
  * 🧩 FEATURES
  * ---------------------------------------------------------------------------------------------
  * 
  * - **Regex Bundler**: Fast, zero-dep recursive `@import` handling.
  * - **Auto-Doc**: Generates `index.html` documentation for every module from READMEs.
+ * - **Docs Navigation**: Breadcrumbs, the page tree, a table of contents and previous / next links on every docs page (see `nav.js`).
+ * - **Live Examples**: Fenced `html` examples get a sandboxed, resizable preview with the channel's stylesheets and prefix (see `examples.js`).
+ * - **Offline Docs**: `--offline-docs` links the stylesheets and CDN URLs of the docs relative to the output (`file://`, intranet mirrors).
+ * - **Reference Pages**: `lib/<module>/reference/` lists every class and variable of the module, generated from the source (see `reference.js`).
+ * - **Syntax Highlighting**: CSS, HTML, JS and shell examples are highlighted at build time, theme-aware and with the channel prefix (see `highlight.js`).
+ * - **Docs Search**: `search-index.js` indexes every docs heading (text, examples, classes) for the offline search box (see `search.js`).
  * - **Smart Verification**: Checks artifact sizes to ensure no empty files are shipped.
  * - **Git Aware**: Can build from git history if `--source` is provided.
+ * - **Programmatic API**: `build()` / `buildSuite()` can be required from other Node tooling.
+ * - **Configurable**: Channel names, CDN host, prefix exclusions and size checks come from `ucss.config.*` (see `config.js`).
+ * - **Source Maps**: `u.css.map` / `u.min.css.map` point back to the `src/lib/**` leaves, through prefixing and minification.
+ * - **Content-Aware Purge**: `--purge` adds `u.purged.*` without the classes your content never uses (see `purge.js`).
+ * - **Size Report**: `build-report.json` + a size table (raw/min/gzip/brotli, Δ vs the previous build), per-bundle budgets (see `stats.js`).
+ * - **Cascade Layers**: `--layers` wraps each module in `@layer ucss.<module>` with a declared order (see `LAYER_ORDER`).
+ * - **Strict Imports**: `--strict` fails on missing, circular or duplicate `@import`s (see `scripts/graph.js` for the full graph).
+ * - **Releases**: semver channels (`dist/1.2.0/`) are built once from their git tag and never overwritten (see `release.js`).
+ * - **API Catalog**: `ucss-api.json` lists every class and variable with its module, leaf, group, description and defaults (see `catalog.js`).
+ * - **Editor Hints**: VS Code custom data (`ucss.html-data.json`, `ucss.css-data.json`) completes classes and variables (see `vscode.js`).
+ * - **Link Check**: Every docs build checks its internal links and `#anchors` after the rewrites, `--check-links` fails on a broken one (see `links.js`).
+ * - **Contrast Audit**: `contrast-report.json` rates every `.set` against WCAG 2.x, `--contrast [AA|AAA]` fails below it (see `contrast.js`).
+ * - **Incremental**: `--incremental` only rebuilds the bundles and pages whose sources changed (see `cache.js`).
  * 
  * ---------------------------------------------------------------------------------------------
  * 💻 USAGE
@@ -40,20 +63,61 @@
  * node scripts/build.js all
  * node scripts/build.js latest p
  * node scripts/build.js stable
+ * node scripts/build.js latest --incremental
+ * node scripts/build.js latest --contrast AA
+ * node scripts/build.js latest --check-links --external-links
+ * 
+ * @example
+ * // Node API: no logging, no process.exit. Failures reject.
+ * const { build } = require('./scripts/build');
+ * const result = await build({ channel: 'latest', prefixMode: 'p', prefix: 'acme' });
+ * // result.artifacts -> [{ file: 'u.min.css', path: '/abs/...', size, gzip, brotli }, ...]
  */
 
 const fs = require('fs').promises;
 const { existsSync, createReadStream, createWriteStream, rmSync, statSync } = require('fs');
 const path = require('path');
 const { execSync, spawnSync } = require('child_process');
-const { marked } = require('marked');
-const { prefixCss } = require('./prefix');
+const { Marked, Renderer } = require('marked');
+const { prefixCss, prefixVariables, isExcludedClass } = require('./prefix');
+const { compressDir } = require('./compress');
+const { generateManifest } = require('./manifest');
+const { loadConfig } = require('./config');
+const { purge } = require('./purge');
+const { mapStylesheet, sourceMappingComment } = require('./sourcemap');
+const { minifyCss } = require('./minify');
+const { parseCss } = require('./parse');
+const { isVersion } = require('./semver');
+const { createReport, checkBudgets, formatReport, readReport, REPORT_FILE } = require('./stats');
+const { hashSources, digestHashes, settingsKey, readCache, writeCache, removeCache, isDirty } = require('./cache');
+const { createCatalog, CATALOG_FILE } = require('./catalog');
+const { htmlCustomData, cssCustomData, HTML_DATA_FILE, CSS_DATA_FILE } = require('./vscode');
+const { auditContrast, contrastFailures, CONTRAST_FILE, LEVELS } = require('./contrast');
+const { checkLinks, htmlFiles, formatLinks } = require('./links');
+const { indexPage, createSearchIndex, searchIndexScript, searchBox, SEARCH_FILE } = require('./search');
+const { createNav, renderPageNav } = require('./nav');
+const { isPreviewable, frameDocument, renderExample } = require('./examples');
+const { highlight, HIGHLIGHT_CSS } = require('./highlight');
+const { referenceMarkdown, REFERENCE_DIR } = require('./reference');
 
 // --- Configuration ---
 const PROJECT_ROOT = path.resolve(__dirname, '..');
 const SRC_DIR = path.join(PROJECT_ROOT, 'src');
 const DIST_ROOT = path.join(PROJECT_ROOT, 'dist');
 
+/** Prefix modes understood by `prefixCss`. */
+const PREFIX_MODES = ['p', 'c', 'v'];
+
+/**
+ * Cascade layer order for `--layers`, lowest priority first.
+ * Every top-level module (`src/lib/<module>.css` and everything under `src/lib/<module>/`)
+ * is wrapped in `@layer ucss.<module>`.
+ */
+const LAYER_ORDER = ['base', 'patterns', 'layout', 'typography', 'theming', 'utilities', 'config'];
+
+/** Logger used by the Node API unless the caller provides one. */
+const SILENT_LOGGER = { log() { }, warn() { }, error() { } };
+
 
 // --- Helper Functions ---
 
@@ -85,32 +149,6 @@ async function readFile(filePath, sourceRef) {
     }
 }
 
-/**
- * Aggressive CSS Minifier.
- * Strips comments, collapses whitespace, removes optional syntax (semicolons, units where 0).
- * 
- * STRATEGY:
- * 1. Strip comments (/ * ... * /) first to avoid matching content inside them.
- * 2. Convert all whitespace series to a single space.
- * 3. Remove space around structural characters `{ } ; : , >`.
- *    e.g. `body { color: red; }` -> `body{color:red;}`
- * 
- * @param {string} css - Raw CSS content
- * @returns {string} Highly compressed CSS
- */
-function minifyCss(css) {
-    return css
-        .replace(/\/\*[\s\S]*?\*\//g, '')
-        .replace(/\s+/g, ' ')
-        .replace(/\s*{\s*/g, '{')
-        .replace(/\s*}\s*/g, '}')
-        .replace(/\s*;\s*/g, ';')
-        .replace(/\s*:\s*/g, ':')
-        .replace(/\s*,\s*/g, ',')
-        .replace(/\s*>\s*/g, '>')
-        .trim();
-}
-
 /**
  * Gentle CSS Cleaner.
  * Just removes comments and excessive vertical whitespace. Keeps indentation/formatting.
@@ -130,6 +168,185 @@ function cleanCss(css) {
         .trim() + '\n';
 }
 
+/**
+ * Top-level module a source file belongs to (`src/lib/layout/grid.css` -> `layout`).
+ * @param {string} file - Absolute path
+ * @returns {string|null} `null` for files outside `src/lib/` (e.g. `src/u.css`)
+ */
+function moduleOf(file) {
+    const rel = path.relative(path.join(SRC_DIR, 'lib'), file);
+    if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) return null;
+    return rel.split(path.sep)[0].replace(/\.css$/, '');
+}
+
+/**
+ * The `@layer` statement declaring the order of every uCss layer.
+ * Emitted at the top of each layered output, so files loaded separately (or in any order)
+ * still stack as `base < patterns < ... < config`.
+ * @returns {string}
+ */
+function layerOrderStatement() {
+    return `@layer ${LAYER_ORDER.map(mod => `ucss.${mod}`).join(', ')};\n`;
+}
+
+/**
+ * Reads the prelude of an `@import` (everything between `@import` and `;`).
+ * Understands `"x"`, `'x'`, `url(x)`, `url("x")`, then optional `layer` / `layer(name)`,
+ * `supports(...)` and a media query list, in that order.
+ * @param {string} prelude
+ * @returns {{importPath: string, layer: (string|null), supports: (string|null), media: (string|null)}|null}
+ *   `layer` is `''` for an anonymous layer. null if the prelude has no URL.
+ * @example
+ * parseImport('url("grid.css") layer(ucss.layout) supports(display: grid) screen and (min-width: 40em)');
+ * // { importPath: 'grid.css', layer: 'ucss.layout', supports: 'display: grid', media: 'screen and (min-width: 40em)' }
+ */
+function parseImport(prelude) {
+    const url = prelude.match(/^(?:url\(\s*(?:"([^"]*)"|'([^']*)'|([^)\s'"]*))\s*\)|"([^"]*)"|'([^']*)')\s*/i);
+    if (!url) return null;
+    const importPath = url.slice(1).find(part => part !== undefined);
+    let rest = prelude.slice(url[0].length);
+
+    // Content of the parentheses opening at `rest[open]` (nested parentheses allowed)
+    const group = (open) => {
+        let depth = 0;
+        for (let i = open; i < rest.length; i++) {
+            if (rest[i] === '(') depth++;
+            else if (rest[i] === ')' && --depth === 0) return { inner: rest.slice(open + 1, i).trim(), end: i + 1 };
+        }
+        return null;
+    };
+
+    let layer = null;
+    const layerMatch = rest.match(/^layer(?=\(|\s|$)/i);
+    if (layerMatch) {
+        const named = rest[5] === '(' ? group(5) : null;
+        layer = named ? named.inner : '';
+        rest = rest.slice(named ? named.end : 5).trimStart();
+    }
+
+    let supports = null;
+    if (/^supports\(/i.test(rest)) {
+        const condition = group(8);
+        if (condition) {
+            supports = condition.inner;
+            rest = rest.slice(condition.end).trimStart();
+        }
+    }
+
+    const media = rest.trim();
+    return { importPath, layer, supports, media: media || null };
+}
+
+/**
+ * The blocks a conditional import is inlined in: `@media` > `@supports` > `@layer`
+ * (conditions gate the whole import, the layer holds its rules).
+ * @param {{layer: (string|null), supports: (string|null), media: (string|null)}} conditions
+ * @returns {{before: string, after: string}} Empty strings for a plain import
+ */
+function importWrapper({ layer, supports, media }) {
+    const opens = [];
+    if (media) opens.push(`@media ${media} {\n`);
+    // `supports(display: grid)` is a declaration, `supports(selector(:has(a)))` already a condition
+    if (supports) opens.push(`@supports ${/^[\w-]+\s*:/.test(supports) ? `(${supports})` : supports} {\n`);
+    if (layer !== null) opens.push(layer ? `@layer ${layer} {\n` : '@layer {\n');
+    return { before: opens.join(''), after: '\n}\n'.repeat(opens.length) };
+}
+
+/**
+ * Finds the `@import` statements of a stylesheet, ignoring commented-out ones.
+ * External imports (`https://...`, `//cdn...`, `data:`) are not inlined: they come with `external: true`
+ * and no `resolvedPath`, and the bundlers hoist them (see `hoistImports`).
+ * @param {string} content - CSS source
+ * @param {string} currentPath - Absolute path of the file (imports resolve relative to it)
+ * @returns {Array<{start: number, end: number, importPath: string, resolvedPath: (string|null), external: boolean, layer: (string|null), supports: (string|null), media: (string|null)}>}
+ *   `start` / `end`: the statement, including its `;`. Conditions as in `parseImport`.
+ */
+function scanImports(content, currentPath) {
+    if (!content.includes('@import')) return [];
+    const currentDir = path.dirname(currentPath);
+    const imports = [];
+
+    for (const node of parseCss(content).children) {
+        if (node.type !== 'atrule' || node.name.toLowerCase() !== 'import' || node.children) continue;
+        const parsed = parseImport(node.prelude);
+        if (!parsed) continue;
+        if (/^([a-z][\w+.-]*:|\/\/)/i.test(parsed.importPath)) {
+            imports.push({ start: node.start, end: node.end, resolvedPath: null, external: true, ...parsed });
+            continue;
+        }
+
+        // `lib/...` is an alias for `src/lib/...`
+        const resolvedPath = parsed.importPath.startsWith('lib/')
+            ? path.join(SRC_DIR, parsed.importPath)
+            : path.resolve(currentDir, parsed.importPath);
+
+        imports.push({ start: node.start, end: node.end, resolvedPath, external: false, ...parsed });
+    }
+    return imports;
+}
+
+/**
+ * The conditions the rules of a file end up in, after the conditional imports (and `--layers`
+ * module layers) that led to it: an external import hoisted out of the file must carry them.
+ * @param {{layers: string[], supports: string[], media: string[]}} scope - Of the importer
+ * @param {{layer: (string|null), supports: (string|null), media: (string|null)}} conditions - Of the import
+ * @param {string|null} [moduleLayer] - `ucss.<module>` when the import crosses into a module layer
+ * @returns {{layers: string[], supports: string[], media: string[]}}
+ */
+function nestScope(scope, { layer, supports, media }, moduleLayer = null) {
+    return {
+        layers: [...scope.layers, ...(layer === null ? [] : [layer]), ...(moduleLayer ? [moduleLayer] : [])],
+        supports: [...scope.supports, ...(supports ? [supports] : [])],
+        media: [...scope.media, ...(media ? [media] : [])]
+    };
+}
+
+/**
+ * The statement an external import is hoisted as, with the conditions of its scope folded in:
+ * layers nest (`layer(ucss.layout.fonts)`), `supports()` conditions are joined with `and`, a
+ * single media query is kept.
+ * @param {{importPath: string, layer: (string|null), supports: (string|null), media: (string|null)}} found - From `scanImports`
+ * @param {{layers: string[], supports: string[], media: string[]}} scope - See `nestScope`
+ * @returns {string|null} null when the scope cannot be expressed on an `@import`: nested media
+ *   queries, or an anonymous layer with another one
+ */
+function hoistedImport(found, scope) {
+    const layers = [...scope.layers, ...(found.layer === null ? [] : [found.layer])];
+    const media = [...scope.media, ...(found.media ? [found.media] : [])];
+    if (media.length > 1 || (layers.length > 1 && layers.includes(''))) return null;
+    const supports = [...scope.supports, ...(found.supports ? [found.supports] : [])];
+    const parts = [`@import url("${found.importPath}")`];
+    if (layers.length) parts.push(layers[0] === '' ? 'layer' : `layer(${layers.join('.')})`);
+    if (supports.length) parts.push(`supports(${supports.length === 1 ? supports[0] : supports.map(condition => `(${condition})`).join(' and ')})`);
+    if (media.length) parts.push(media[0]);
+    return `${parts.join(' ')};`;
+}
+
+/**
+ * Moves external imports to the top of a bundle, after its `@charset` and `@layer` statements:
+ * an `@import` after any other rule is invalid and dropped by browsers.
+ * @param {{text: string, pieces: Array<{start: number, file: (string|null), offset: number}>}} part - See `traceBundle`
+ * @param {string[]} statements - From `hoistedImport`, each kept once
+ * @returns {{text: string, pieces: Array<{start: number, file: (string|null), offset: number}>}}
+ */
+function hoistImports(part, statements) {
+    if (!statements.length) return part;
+    const block = `${[...new Set(statements)].join('\n')}\n`;
+    const at = part.text.match(/^(?:\s+|\/\*[\s\S]*?\*\/|@charset\s[^;]*;|@layer\s[^{};]*;)*/)[0].replace(/\s*$/, '').length;
+    const head = part.text.slice(0, at);
+    const text = `${head}${head ? '\n' : ''}${block}${part.text.slice(at)}`;
+    const shift = text.length - part.text.length;
+    // The piece running at `at` goes on after the block
+    const active = [...part.pieces].reverse().find(piece => piece.start <= at);
+    const pieces = [
+        ...part.pieces.filter(piece => piece.start < at),
+        { start: at, file: null, offset: 0 },
+        ...(active ? [{ start: at + shift, file: active.file, offset: active.file ? active.offset + (at - active.start) : 0 }] : []),
+        ...part.pieces.filter(piece => piece.start > at).map(piece => ({ ...piece, start: piece.start + shift }))
+    ];
+    return { text, pieces };
+}
+
 /**
  * THE RECURSIVE BUNDLER
  * 
@@ -138,195 +355,670 @@ function cleanCss(css) {
  * 
  * ALGORITHM:
  * 1. Read file content.
- * 2. Scan for `@import ` tokens using Regex. 
- *    - Note: We use a regex dealing with comments to ignore commented-out imports.
+ * 2. Find the top-level `@import` statements with `parse.js` (commented-out imports are ignored).
+ *    - Every standard form: `"x.css"`, `url(x.css)`, plus `layer(...)`, `supports(...)` and media queries.
  * 3. For each import found:
  *    - Resolve the path (handling `lib / ` aliases to project root).
  *    - RECURSE: Call `bundleCss` on that path.
  * 4. Await all recursive calls (Promise.all) for maximum parallelism.
  * 5. Splice the bundles back into the original content, replacing the `@import ` line.
+ *    - Conditional imports are inlined inside the matching blocks (see `importWrapper`):
+ *      `@import "x.css" layer(a) screen;` -> `@media screen { @layer a { ... } }`.
  * 
  * CYCLE DETECTION:
- * We maintain a `stack` Set of currently processing files. If we encounter a file
- * that is already in the stack, we identify a circular dependency (A -> B -> A)
- * and break the cycle by returning a comment instead of infinite recursion.
+ * Every call knows its chain of importers. If a file is already in that chain, we identify
+ * a circular dependency (A -> B -> A) and break the cycle by returning a comment instead of
+ * infinite recursion.
+ * 
+ * DUPLICATES:
+ * A file reached through two import paths is inlined twice (its rules ship twice).
+ * Both are reported, and `strict` turns them into errors.
+ *
+ * EXTERNAL IMPORTS:
+ * `@import url(https://...)` is not inlined but hoisted to the top of the bundle (after `@charset`
+ * and `@layer` statements), with the layer / supports conditions it was reached through
+ * (see `hoistedImport`). Conditions one `@import` cannot carry (nested media queries) are
+ * reported, an error in `strict`.
  * 
  * @param {string} entryFile - Absolute path to the .css file to bundle
  * @param {string} [sourceRef] - Optional git ref (e.g. 'main'). If present, reads from git history.
+ * @param {Object} [options]
+ * @param {Function} [options.onWarning] - Called with a message for every missing, circular or duplicate import.
+ * @param {boolean} [options.layers=false] - Wrap each top-level module in `@layer ucss.<module>` (see `LAYER_ORDER`).
+ * @param {boolean} [options.strict=false] - Throw instead of warning (see `importProblems`).
  * @returns {Promise<string>} The fully bundled CSS content with all imports inlined.
+ * @throws {Error} In strict mode, listing every missing, circular and duplicate import of the bundle.
  */
-async function bundleCss(entryFile, sourceRef) {
-    const stack = new Set();
+async function bundleCss(entryFile, sourceRef, options = {}) {
+    return (await traceBundle(entryFile, sourceRef, options)).css;
+}
 
-    async function _bundle(currentPath) {
-        if (stack.has(currentPath)) return `/* Cycle: ${path.basename(currentPath)} */`;
-        stack.add(currentPath);
+/**
+ * `bundleCss` that also records where every part of the bundle came from (for source maps).
+ * @param {string} entryFile - Absolute path to the .css file to bundle
+ * @param {string} [sourceRef] - Optional git ref
+ * @param {Object} [options]
+ * @param {Function} [options.onWarning] - Called with a message for every missing, circular or duplicate import.
+ * @param {boolean} [options.layers=false] - Wrap each top-level module in `@layer ucss.<module>`.
+ * @param {boolean} [options.strict=false] - Throw instead of warning.
+ * @returns {Promise<{css: string, pieces: Array<{start: number, file: (string|null), offset: number}>, contents: Map<string, string>, missing: string[], cycles: string[][], duplicates: Array<{file: string, count: number}>, edges: Array<{from: string, to: string}>, external: string[], unhoistable: Array<{file: string, url: string}>}>}
+ *   `pieces`: from bundle offset `start` on, the text is `file` (project-relative) from `offset` on
+ *   (`file` is null for generated comments). `contents`: every inlined file. `missing`: imports that were not found.
+ *   `cycles`: import chains that lead back to one of their files. `duplicates`: files inlined more than once.
+ *   `edges`: every `@import` followed (project-relative, in source order). `external`: the hoisted
+ *   external imports. `unhoistable`: external imports hoisted without the conditions around them.
+ * @throws {Error} In strict mode, if there are missing, circular, duplicate or unhoistable imports.
+ */
+async function traceBundle(entryFile, sourceRef, { onWarning = () => { }, layers = false, strict = false } = {}) {
+    const contents = new Map();
+    const missing = new Set();
+    const cycles = [];
+    const counts = new Map(); // project-relative path -> times inlined
+    const edges = [];
+    const unhoistable = [];
+    const relative = (file) => path.relative(PROJECT_ROOT, file).replace(/\\/g, '/');
+
+    // Surrounds a bundled part with generated text (pieces of generated text have no file)
+    const surround = ({ text, pieces }, before, after) => ({
+        text: `${before}${text}${after}`,
+        pieces: [
+            { start: 0, file: null, offset: 0 },
+            ...pieces.map(piece => ({ ...piece, start: piece.start + before.length })),
+            { start: before.length + text.length, file: null, offset: 0 }
+        ]
+    });
+    const wrapLayer = (part, mod) => surround(part, `@layer ucss.${mod} {\n`, `\n}\n`);
+
+    // `chain`: the importers of `currentPath`, outermost first (siblings are bundled in parallel,
+    // so the chain is passed down instead of shared). `scope`: see `nestScope`.
+    async function _bundle(currentPath, chain, scope) {
+        const relPath = relative(currentPath);
+        if (chain.includes(currentPath)) {
+            const cycle = [...chain.slice(chain.indexOf(currentPath)), currentPath].map(relative);
+            cycles.push(cycle);
+            onWarning(`Circular import skipped: ${cycle.join(' -> ')}`);
+            return { text: `/* Cycle: ${path.basename(currentPath)} */`, pieces: [{ start: 0, file: null, offset: 0 }], external: [] };
+        }
 
-        let content = await readFile(currentPath, sourceRef);
+        const content = await readFile(currentPath, sourceRef);
         if (!content) {
-            stack.delete(currentPath);
-            return `/* Missing: ${path.basename(currentPath)} */`;
+            missing.add(relPath);
+            onWarning(`Missing import: ${relPath}`);
+            return { text: `/* Missing: ${path.basename(currentPath)} */`, pieces: [{ start: 0, file: null, offset: 0 }], external: [] };
         }
+        contents.set(relPath, content);
+        counts.set(relPath, (counts.get(relPath) || 0) + 1);
+
+        const imports = scanImports(content, currentPath);
+        for (const found of imports) if (!found.external) edges.push({ from: relPath, to: relative(found.resolvedPath) });
+        const results = await Promise.all(imports.map(found => {
+            if (found.external) return null;
+            // Layers start where the import crosses into a module (`u.css` -> `lib/layout.css`)
+            const mod = layers && !moduleOf(currentPath) && moduleOf(found.resolvedPath);
+            return _bundle(found.resolvedPath, [...chain, currentPath], nestScope(scope, found, mod ? `ucss.${mod}` : null));
+        }));
 
-        const currentDir = path.dirname(currentPath);
-        const tokenRegex = /(\/\*[\s\S]*?\*\/)|(@import\s+['"]([^'"]+)['"];)/g;
-        let match;
-        const replacements = [];
+        // Splice the children in, keeping track of the origin of every stretch
+        let text = '';
+        const pieces = [];
+        const external = []; // Hoisted statements, in source order
+        let last = 0;
+        imports.forEach((found, i) => {
+            const { start, end, resolvedPath } = found;
+            pieces.push({ start: text.length, file: relPath, offset: last });
+            text += content.substring(last, start);
+            last = end;
+            if (found.external) {
+                let statement = hoistedImport(found, scope);
+                if (!statement) {
+                    unhoistable.push({ file: relPath, url: found.importPath });
+                    onWarning(`External import hoisted without the conditions of its importers: ${found.importPath} (in ${relPath})`);
+                    statement = hoistedImport(found, { layers: [], supports: [], media: [] });
+                }
+                external.push(statement);
+                return;
+            }
+            // Layers start where the import crosses into a module (`u.css` -> `lib/layout.css`)
+            const mod = layers && !moduleOf(currentPath) && moduleOf(resolvedPath);
+            let child = mod ? wrapLayer(results[i], mod) : results[i];
+            const { before, after } = importWrapper(found);
+            if (before) child = surround(child, before, after);
+            for (const piece of child.pieces) pieces.push({ ...piece, start: piece.start + text.length });
+            text += child.text;
+            external.push(...results[i].external);
+        });
+        pieces.push({ start: text.length, file: relPath, offset: last });
+        text += content.substring(last);
+
+        return { text, pieces, external };
+    }
 
-        while ((match = tokenRegex.exec(content)) !== null) {
-            const [fullMatch, comment, _, importPath] = match;
-            if (comment) continue;
+    // Module (or leaf) entries are one layer with `--layers`
+    const entryModule = layers && moduleOf(entryFile);
+    let result = await _bundle(entryFile, [], { layers: entryModule ? [`ucss.${entryModule}`] : [], supports: [], media: [] });
+    const external = [...new Set(result.external)];
+
+    // Siblings finish in any order: sort, so warnings, errors and the graph are stable.
+    // Edges follow the cascade (first piece of the importer), each file's own imports stay in source order.
+    const position = new Map();
+    for (const { file } of result.pieces) if (file && !position.has(file)) position.set(file, position.size);
+    const rank = (file) => (position.has(file) ? position.get(file) : position.size);
+    edges.sort((a, b) => rank(a.from) - rank(b.from));
+    cycles.sort((a, b) => a.join().localeCompare(b.join()));
+    const duplicates = [...counts].filter(([, count]) => count > 1).map(([file, count]) => ({ file, count }))
+        .sort((a, b) => a.file.localeCompare(b.file));
+    for (const { file, count } of duplicates) onWarning(`Duplicate import: ${file} (inlined ${count}x in ${relative(entryFile)})`);
+    if (strict) {
+        const problems = importProblems({ missing: [...missing], cycles, duplicates, unhoistable });
+        if (problems.length) {
+            throw new Error(`❌ Strict imports: ${relative(entryFile)} has ${problems.length} problem(s):\n  - ${problems.join('\n  - ')}`);
+        }
+    }
 
-            let resolvedPath;
-            if (importPath.startsWith('lib/')) {
-                resolvedPath = path.join(SRC_DIR, importPath);
-            } else {
-                resolvedPath = path.resolve(currentDir, importPath);
-            }
+    if (layers) {
+        // The order statement always comes first
+        if (entryModule) result = wrapLayer(result, entryModule);
+        result = surround(result, layerOrderStatement(), '');
+    }
+    result = hoistImports(result, external);
+    return { css: result.text, pieces: result.pieces, contents, missing: [...missing], cycles, duplicates, edges, external, unhoistable };
+}
 
-            replacements.push({
-                start: match.index,
-                end: match.index + fullMatch.length,
-                promise: _bundle(resolvedPath)
-            });
+/**
+ * Readable list of the import problems of a bundle (what `--strict` fails on).
+ * @param {Object} problems
+ * @param {string[]} [problems.missing] - Project-relative paths
+ * @param {string[][]} [problems.cycles] - Import chains
+ * @param {Array<{file: string, count: number}>} [problems.duplicates]
+ * @param {Array<{file: string, url: string}>} [problems.unhoistable] - External imports whose conditions
+ *   cannot be written on one `@import` (hoisted without them, see `hoistedImport`)
+ * @returns {string[]}
+ */
+function importProblems({ missing = [], cycles = [], duplicates = [], unhoistable = [] }) {
+    return [
+        ...missing.map(file => `Missing import: ${file}`),
+        ...cycles.map(cycle => `Circular import: ${cycle.join(' -> ')}`),
+        ...duplicates.map(({ file, count }) => `Duplicate import: ${file} (inlined ${count}x)`),
+        ...unhoistable.map(({ file, url }) => `External import outside its importer's conditions: ${url} (in ${file})`)
+    ];
+}
+
+/**
+ * Resolves a composer leaf name to its source file.
+ * Accepts `layout/grid`, `layout/grid.css` or `lib/layout/grid`.
+ * @param {string} leaf
+ * @returns {string} Absolute path under `src/lib/`
+ */
+function resolveLeaf(leaf) {
+    const rel = leaf.replace(/^(src\/)?lib\//, '').replace(/\.css$/, '');
+    return path.join(SRC_DIR, 'lib', `${rel}.css`);
+}
+
+/**
+ * THE COMPOSER
+ *
+ * Bundles an arbitrary selection of modules and leaves (e.g. `layout/grid`, `patterns/button`,
+ * `config/root`) in the same cascade order they have in the full framework.
+ *
+ * ALGORITHM:
+ * 1. Walk the complete `@import` graph from the framework roots (`lib/config.css`, then `u.css`)
+ *    and record every file in the order its content appears in the cascade.
+ * 2. Collect the selected files plus everything they import (the closure).
+ * 3. Emit the closure in cascade order, each file once, with its `@import` lines removed
+ *    (their targets are emitted in their own slot, inside the blocks of conditional imports).
+ *    External imports are hoisted to the top, as in `traceBundle`.
+ * Leaves that are not reachable from the roots (e.g. optional adapters) are appended in the
+ * order they were requested.
+ *
+ * @param {string[]} leaves - Leaf names relative to `src/lib/` (see `resolveLeaf`)
+ * @param {string} [sourceRef] - Optional git ref
+ * @param {Object} [options]
+ * @param {Function} [options.onWarning] - Called for missing imports.
+ * @param {boolean} [options.layers=false] - Wrap the files of each top-level module in `@layer ucss.<module>`.
+ * @param {boolean} [options.strict=false] - Throw on missing imports and on external imports whose
+ *   conditions cannot be hoisted (every file is emitted once, so cycles and duplicates cannot reach the output).
+ * @returns {Promise<{css: string, files: string[], contents: Map<string, string>}>} The bundle, the project-relative
+ *   files it contains and their content without `@import`s (in cascade order)
+ * @throws {Error} If a requested leaf does not exist, or in strict mode if an import is missing.
+ */
+async function composeCss(leaves, sourceRef, { onWarning = () => { }, layers = false, strict = false } = {}) {
+    const sources = new Map(); // absolute path -> content without imports
+    const imports = new Map(); // absolute path -> its imports (see `scanImports`)
+    const missing = [];
+
+    async function load(file) {
+        if (sources.has(file)) return;
+        sources.set(file, null); // Reserve (also breaks cycles)
+        const content = await readFile(file, sourceRef);
+        if (!content) {
+            const rel = path.relative(PROJECT_ROOT, file).replace(/\\/g, '/');
+            missing.push(rel);
+            onWarning(`Missing import: ${rel}`);
+            return;
+        }
+        const found = scanImports(content, file);
+        let own = content;
+        for (let i = found.length - 1; i >= 0; i--) {
+            own = own.substring(0, found[i].start) + own.substring(found[i].end);
+        }
+        sources.set(file, own);
+        imports.set(file, found);
+        await Promise.all(found.filter(i => !i.external).map(i => load(i.resolvedPath)));
+    }
+
+    // 1. Cascade order of the full framework
+    const roots = [path.join(SRC_DIR, 'lib', 'config.css'), path.join(SRC_DIR, 'u.css')];
+    await Promise.all(roots.map(load));
+    const order = [];
+    const seen = new Set();
+    // Blocks of the conditional imports a file was reached through (first path in cascade order),
+    // and the same conditions as a scope for its external imports (see `nestScope`)
+    const wrappers = new Map();
+    const scopes = new Map();
+    const visit = (file, wrapper = { before: '', after: '' }, scope = { layers: [], supports: [], media: [] }) => {
+        if (seen.has(file)) return;
+        seen.add(file);
+        order.push(file);
+        wrappers.set(file, wrapper);
+        scopes.set(file, scope);
+        for (const found of imports.get(file) || []) {
+            if (found.external) continue;
+            const { before, after } = importWrapper(found);
+            visit(found.resolvedPath, { before: wrapper.before + before, after: after + wrapper.after }, nestScope(scope, found));
+        }
+    };
+    roots.forEach(file => visit(file));
+
+    // 2. Closure of the selection
+    const selected = new Set();
+    const include = (file) => {
+        if (selected.has(file)) return;
+        selected.add(file);
+        for (const found of imports.get(file) || []) if (!found.external) include(found.resolvedPath);
+    };
+    for (const leaf of leaves) {
+        const file = resolveLeaf(leaf);
+        if (!sources.has(file)) await load(file);
+        if (!sources.get(file)) {
+            throw new Error(`Unknown leaf "${leaf}" (expected src/lib/${path.relative(path.join(SRC_DIR, 'lib'), file).replace(/\\/g, '/')})`);
         }
+        if (!seen.has(file)) visit(file); // Not part of the framework roots: append
+        include(file);
+    }
 
-        if (replacements.length > 0) {
-            const results = await Promise.all(replacements.map(r => r.promise));
-            for (let i = replacements.length - 1; i >= 0; i--) {
-                const { start, end } = replacements[i];
-                content = content.substring(0, start) + results[i] + content.substring(end);
+    // External imports of the selection, hoisted in cascade order (module layers hold the wrappers)
+    const files = order.filter(f => selected.has(f) && sources.get(f));
+    const relative = (f) => path.relative(PROJECT_ROOT, f).replace(/\\/g, '/');
+    const external = [];
+    const unhoistable = [];
+    for (const f of files) {
+        const mod = layers && moduleOf(f);
+        const scope = scopes.get(f);
+        const layered = mod ? { ...scope, layers: [`ucss.${mod}`, ...scope.layers] } : scope;
+        for (const found of imports.get(f).filter(i => i.external)) {
+            let statement = hoistedImport(found, layered);
+            if (!statement) {
+                unhoistable.push({ file: relative(f), url: found.importPath });
+                onWarning(`External import hoisted without the conditions of its importers: ${found.importPath} (in ${relative(f)})`);
+                statement = hoistedImport(found, { layers: [], supports: [], media: [] });
             }
+            external.push(statement);
         }
+    }
 
-        stack.delete(currentPath);
-        return content;
+    if (strict && (missing.length || unhoistable.length)) {
+        const problems = importProblems({ missing: missing.sort(), unhoistable });
+        throw new Error(`❌ Strict imports: ${problems.length} problem(s):\n  - ${problems.join('\n  - ')}`);
     }
 
-    return _bundle(entryFile);
+    // 3. Emit in cascade order
+    const parts = files.map(f => {
+        const text = sources.get(f).trim();
+        const { before, after } = wrappers.get(f);
+        return { mod: moduleOf(f), text: text && before ? `${before}${text}${after}`.trim() : text };
+    }).filter(part => part.text);
+    let css;
+    if (layers) {
+        // Consecutive files of the same module share one layer block
+        const groups = [];
+        for (const { mod, text } of parts) {
+            const group = groups[groups.length - 1];
+            if (group && group.mod === mod) group.texts.push(text);
+            else groups.push({ mod, texts: [text] });
+        }
+        css = layerOrderStatement() + groups.map(({ mod, texts }) => {
+            const body = texts.join('\n\n');
+            return mod ? `@layer ucss.${mod} {\n${body}\n}` : body;
+        }).join('\n\n') + '\n';
+    } else {
+        css = parts.map(part => part.text).join('\n\n') + '\n';
+    }
+    css = hoistImports({ text: css, pieces: [] }, external).text;
+    return { css, files: files.map(relative), contents: new Map(files.map(f => [relative(f), sources.get(f)])) };
 }
 
 
 // --- Main Pipeline ---
 
-async function main() {
-    const args = process.argv.slice(2);
+/**
+ * Builds a preview directory name from the current time.
+ * Uses seconds for consistency with the CI workflow (`preview-YYYY-MM-DD-HH-mm-ss`).
+ * @returns {string}
+ */
+function previewName() {
+    const ts = new Date().toISOString().replace(/[:\.]/g, '-').slice(0, 19);
+    return `${loadConfig().channels.preview}-${ts}`;
+}
 
-    // --- FULL/ALL BUILD WORKFLOW ---
-    if (args.includes('full') || args.includes('all')) {
-        const isAll = args.includes('all');
-        console.log(`🚀 Starting ${isAll ? 'ALL' : 'FULL'} build...`);
-
-        const steps = [
-            { id: 'latest', args: ['latest'] },
-            { id: 'prefixed', args: ['p'] },
-            { id: 'variables', args: ['v'] },
-            { id: 'stable', args: ['stable'] }
-        ];
+/**
+ * Resolves the output directory name (the "channel") for a build.
+ *
+ * PRIORITY:
+ * 1. Explicit channel (`preview` expands to a timestamped name).
+ *    The keywords `stable` / `latest` / `preview` resolve to the names in `config.channels`.
+ * 2. Prefix mode (`p`, `c`, `v` build into a folder of the same name).
+ * 3. Git branch (of `sourceRef` or HEAD): main -> stable, dev -> latest, other -> preview.
+ *
+ * @param {Object} options
+ * @param {string} [options.channel]
+ * @param {string} [options.prefixMode]
+ * @param {string} [options.sourceRef]
+ * @returns {string} Directory name relative to `dist/`
+ */
+function resolveChannel({ channel, prefixMode, sourceRef }) {
+    const { channels, branches } = loadConfig();
+    if (channel === 'preview' || channel === channels.preview) return previewName();
+    if (channel === 'stable') return channels.stable;
+    if (channel === 'latest') return channels.latest;
+    if (channel) return channel;
+    if (prefixMode) return prefixMode;
+
+    let branch = 'unknown';
+    if (sourceRef) {
+        if (sourceRef.includes(branches.stable)) branch = branches.stable;
+        else if (sourceRef.includes(branches.latest)) branch = branches.latest;
+        else return `${channels.preview}/${sourceRef.replace(/[\/]/g, '-')}`;
+    } else {
+        branch = exec('git rev-parse --abbrev-ref HEAD') || 'unknown';
+    }
 
-        if (isAll) {
-            steps.splice(2, 0, { id: 'clean-ver', args: ['c'] }); // Insert 'c' after 'p' or wherever appropriate behaviorally
-        }
+    if (branch === branches.stable) return channels.stable;
+    if (branch === branches.latest) return channels.latest;
+    return previewName();
+}
 
-        for (const step of steps) {
-            console.log(`\n👉 Task: ${step.id}`);
-            const res = spawnSync('node', ['scripts/build.js', ...step.args], { stdio: 'inherit', cwd: PROJECT_ROOT });
-            if (res.status !== 0) {
-                console.error(`❌ Sub-build failed: ${step.id}`);
-                process.exit(1);
-            }
+/**
+ * Builds a single distribution channel.
+ *
+ * This is the programmatic entry point used by the CLI, `buildSuite()` and external tooling.
+ * It never calls `process.exit` and only logs through `options.logger`.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.channel] - Output folder name (`stable`, `latest`, `preview`, custom). Auto-detected when omitted.
+ * @param {'p'|'c'|'v'} [options.prefixMode] - Prefixing mode. See `prefix.js`.
+ * @param {string} [options.prefix] - Prefix string used when `prefixMode` is set. Defaults to `config.prefix.default` (`u`).
+ * @param {string} [options.sourceRef] - Git ref to read sources from instead of the working tree.
+ * @param {string} [options.outDir] - Absolute output directory. Defaults to `dist/<channel>`.
+ *   When set, root-level side effects (mirroring, root `index.html`, zip) are skipped.
+ * @param {boolean} [options.docs=true] - Generate `index.html` documentation pages.
+ * @param {boolean} [options.offlineDocs=false] - Self-contained docs: stylesheets and links to the CDN point into the
+ *   built output (relative, `index.html` spelled out), so the pages work from `file://` or any mirror.
+ * @param {boolean} [options.compress=true] - Generate `.gz` / `.br` siblings.
+ * @param {boolean} [options.manifest=true] - Generate the channel `manifest.json`.
+ * @param {boolean} [options.catalog=true] - Generate the `ucss-api.json` class / variable catalog (see `catalog.js`)
+ *   and the VS Code custom data built from it (`ucss.html-data.json`, `ucss.css-data.json`, see `vscode.js`).
+ * @param {boolean|'AA'|'AAA'} [options.contrast=true] - Write the WCAG contrast audit of the theming sets
+ *   (`contrast-report.json`, see `contrast.js`). With a level, fail the build on any check below it.
+ * @param {boolean|'strict'} [options.links=true] - Check the internal links and anchors of the generated docs
+ *   (see `links.js`) and warn about broken ones. `strict` fails the build instead.
+ * @param {boolean} [options.externalLinks=false] - Also list the external links of the docs, for review.
+ * @param {boolean} [options.zip=true] - Create `dist/<channel>.zip` for `stable` / `latest`.
+ * @param {boolean} [options.sourceMaps=true] - Write `u.css.map` / `u.min.css.map` (linked via `sourceMappingURL`).
+ * @param {boolean} [options.layers=false] - Wrap every top-level module in `@layer ucss.<module>` and declare the
+ *   layer order (`LAYER_ORDER`) at the top of `u.css`, each `lib/*.css` and each leaf.
+ * @param {boolean} [options.strict=false] - Fail on missing, circular or duplicate `@import`s instead of shipping
+ *   `/* Missing *\/` / `/* Cycle *\/` placeholders (see `importProblems`).
+ * @param {boolean} [options.incremental=false] - Reuse the previous build of the channel and only rebuild what the
+ *   changed sources reach (cache in `dist/.cache/`, see `cache.js`). Ignored for compose and `--source` builds.
+ * @param {string[]} [options.compose] - Compose mode: only bundle these leaves (e.g. `['layout/grid', 'patterns/button']`)
+ *   into `u.custom.css` / `.clean.css` / `.min.css`. Defaults the channel to `custom`.
+ * @param {string} [options.recipe] - Compose mode using a named leaf list from `recipes` in `ucss.config.*`.
+ *   Defaults the channel to the recipe name.
+ * @param {boolean|{content?: string[], safelist?: Array<string|RegExp>}} [options.purge] - Also write a purged bundle
+ *   (`u.purged.css` / `.clean.css` / `.min.css` + `purge-report.json`). Defaults come from `purge` in `ucss.config.*`.
+ * @param {{log: Function, warn: Function, error: Function}} [options.logger] - Progress output. Silent by default.
+ * @returns {Promise<{channel: string, outputDir: string, prefixMode: (string|null), prefix: (string|null), sourceRef: (string|null), artifacts: Array<{file: string, path: string, size: number, gzip?: number, brotli?: number}>, report: Object, warnings: string[], duration: number, compose?: {leaves: string[], files: string[]}, purge?: Object, links?: Object}>}
+ *   `report` is the content of `build-report.json` (see `stats.js`), `links` the result of `checkLinks` (docs builds).
+ * @throws {Error} On invalid options, failed verification, an exceeded size budget (`budgets` in `ucss.config.*`),
+ *   a contrast check below `contrast`, a broken docs link with `links: 'strict'` or, with `strict`, an import problem.
+ */
+async function build(options = {}) {
+    const startTime = Date.now();
+    const log = options.logger || SILENT_LOGGER;
+    const sourceRef = options.sourceRef || '';
+    const config = loadConfig();
+    const { channels } = config;
+    const cdnHost = config.cdn.host;
+
+    const validMode = options.prefixMode || null;
+    if (validMode && !PREFIX_MODES.includes(validMode)) {
+        throw new Error(`Unknown prefix mode "${validMode}". Expected one of: ${PREFIX_MODES.join(', ')}`);
+    }
+    // Default prefixes if mode is active but no string provided
+    const prefixString = validMode ? (options.prefix || config.prefix.default) : null;
+
+    // Compose mode: explicit leaves, or a named recipe from `ucss.config.*`
+    let composeLeaves = options.compose || null;
+    if (options.recipe) {
+        composeLeaves = config.recipes[options.recipe];
+        if (!composeLeaves) {
+            const known = Object.keys(config.recipes);
+            throw new Error(`Unknown recipe "${options.recipe}". Available: ${known.length ? known.join(', ') : 'none (add `recipes` to ucss.config.js)'}`);
         }
-        console.log(`\n✨ All ${isAll ? 'all' : 'full'} build tasks completed!`);
-        return;
+    }
+    const isCompose = Boolean(composeLeaves);
+    if (isCompose && composeLeaves.length === 0) {
+        throw new Error('Compose mode needs at least one leaf (e.g. `layout/grid`).');
     }
 
-    let sourceRef = '';
-    let targetDirArg = '';
-
-    // --- Argument Parsing for Prefixing ---
-    let prefixMode = null; // 'p', 'c', 'v'
-    let prefixString = null;
+    const docs = options.docs !== false && !isCompose;
+    const offlineDocs = docs && Boolean(options.offlineDocs);
+    const compress = options.compress !== false;
+    const manifest = options.manifest !== false;
+    const catalog = options.catalog !== false;
+    const contrast = options.contrast !== false;
+    const contrastLevel = typeof options.contrast === 'string' ? options.contrast : null;
+    const links = docs && options.links !== false;
+    const externalLinks = links && Boolean(options.externalLinks);
+    if (contrastLevel && !LEVELS[contrastLevel]) {
+        throw new Error(`Unknown contrast level "${contrastLevel}". Expected one of: ${Object.keys(LEVELS).join(', ')}`);
+    }
+    const zip = options.zip !== false;
+    const sourceMaps = options.sourceMaps !== false;
+    const layers = Boolean(options.layers);
+    const strict = Boolean(options.strict);
 
-    // Scan for arguments
-    const cleanedArgs = [];
-    for (let i = 0; i < args.length; i++) {
-        const arg = args[i];
-        if (arg === '--source') {
-            sourceRef = args[i + 1]; i++;
-        } else if (['p', 'c', 'v'].includes(arg)) {
-            prefixMode = arg;
-            // Check if next arg is a custom prefix (not a flag, not a known keyword)
-            const nextArg = args[i + 1];
-            if (nextArg && !nextArg.startsWith('-') && !['preview', 'stable', 'latest', 'p', 'c', 'v'].includes(nextArg)) {
-                prefixString = nextArg;
-                i++;
-            }
-        } else {
-            cleanedArgs.push(arg);
-        }
+    // 1. Resolve Output Directory
+    const outputDirName = resolveChannel({
+        channel: options.channel || (isCompose ? (options.recipe || 'custom') : undefined),
+        prefixMode: validMode,
+        sourceRef
+    });
+    const channelDir = options.outDir ? path.resolve(options.outDir) : path.join(DIST_ROOT, outputDirName);
+    // Root-level files (dist/index.html, dist/u.*, zips) only make sense for the standard dist layout
+    const ownsRoot = !options.outDir && !isCompose;
+    // Releases (`dist/1.2.0/`) come from their tag, once (see release.js)
+    const isRelease = isVersion(outputDirName) && !options.outDir;
+    if (isRelease) {
+        if (!sourceRef) throw new Error(`❌ ${outputDirName} is a release channel: build it from its tag with \`npm run release -- ${outputDirName}\`.`);
+        if (existsSync(channelDir)) throw new Error(`❌ dist/${outputDirName} already exists. Releases are immutable: delete the folder by hand to rebuild it.`);
+    }
+    // A release is written to a hidden sibling (`dist/.1.2.0.partial/`) and renamed once the build succeeded:
+    // a failed build never leaves a folder that would pass for the immutable release (the next attempt replaces it)
+    const outputDir = isRelease ? path.join(DIST_ROOT, `.${outputDirName}.partial`) : channelDir;
+    const isStable = outputDirName === channels.stable;
+    const isLatest = outputDirName === channels.latest;
+
+    log.log(`Targeting: ${outputDir}`);
+    log.log(`Reading source from: ${sourceRef || 'Local filesystem'}`);
+    if (validMode) {
+        log.log(`Prefix Mode: ${validMode.toUpperCase()} | Prefix: "${prefixString}"`);
+    }
+    if (isCompose) {
+        log.log(`Compose: ${composeLeaves.join(', ')}`);
+    }
+    if (layers) {
+        log.log(`Cascade Layers: ${LAYER_ORDER.map(mod => `ucss.${mod}`).join(' < ')}`);
     }
-    // Repopulate args for directory logic
-    targetDirArg = cleanedArgs[0] || '';
 
-    // Apply Defaults
-    const modeMap = { p: 'p', c: 'c', v: 'v' };
-    const validMode = modeMap[prefixMode];
+    const artifacts = new Map();
+    const warnings = new Set();
+    const onWarning = (msg) => warnings.add(msg);
 
-    // Default prefixes if mode is active but no string provided
-    if (validMode && !prefixString) {
-        prefixString = 'u';
+    // Purge: classes only carry the prefix in `p` / `c`
+    const purgeOptions = options.purge ? (typeof options.purge === 'object' ? options.purge : {}) : null;
+    let purgeReport = null;
+    let contrastReport = null;
+
+    // Incremental: working tree builds of the standard layout only (see cache.js)
+    const incremental = Boolean(options.incremental) && !isCompose && !sourceRef;
+    if (options.incremental && !incremental) {
+        log.log('Incremental: not available for compose or --source builds, building everything.');
+    }
+    let cache = null;
+    let hashes = null;
+    let cacheKey = null;
+    if (incremental) {
+        hashes = hashSources([SRC_DIR, path.join(PROJECT_ROOT, 'README.md')]);
+        cacheKey = settingsKey({ outputDirName, ownsRoot, validMode, prefixString, layers, strict, sourceMaps, docs, offlineDocs, compress, catalog, contrast, purge: purgeOptions, config });
+        cache = readCache(outputDir, cacheKey);
+        log.log(cache ? 'Incremental: reusing the previous build.' : 'Incremental: no usable cache, building everything.');
+        removeCache(outputDir);
     }
 
-    // 1. Resolve Output Directory
-    let outputDirName = targetDirArg;
+    // What this build produced, per unit (`u`, `lib/layout`, `lib/layout/grid/gaps`, `docs:...`)
+    const units = {};
+    const written = new Set();
+    const needsBuild = (unit) => !cache || isDirty(cache, unit, hashes);
+
+    /**
+     * Writes a build artifact and records it for the result (and for the unit that produced it).
+     * @param {string} file - Absolute path
+     * @param {string} content
+     * @param {string} [unit]
+     */
+    const write = async (file, content, unit) => {
+        await fs.writeFile(file, content);
+        const rel = path.relative(outputDir, file).split(path.sep).join('/');
+        artifacts.set(file, { file: rel, path: file, size: Buffer.byteLength(content) });
+        written.add(file);
+        if (unit && !rel.startsWith('..')) units[unit].outputs.push(rel);
+    };
 
-    // Auto-detect directory from mode if not specified
-    if (!outputDirName && validMode) {
-        outputDirName = validMode;
-    }
+    /**
+     * Starts recording a unit.
+     * @param {string} unit
+     * @param {string[]} [deps] - Project-relative source files it was built from
+     */
+    const startUnit = (unit, deps = []) => {
+        units[unit] = { deps, outputs: [] };
+    };
 
-    if (!outputDirName) {
-        let branch = 'unknown';
-        if (sourceRef) {
-            if (sourceRef.includes('main')) branch = 'main';
-            else if (sourceRef.includes('dev')) branch = 'dev';
-            else outputDirName = `preview/${sourceRef.replace(/[\/]/g, '-')}`;
-        } else {
-            branch = exec('git rev-parse --abbrev-ref HEAD') || 'unknown';
+    /**
+     * Keeps an unchanged unit: its artifacts stay on disk as they are.
+     * @param {string} unit
+     */
+    const keepUnit = (unit) => {
+        units[unit] = cache.units[unit];
+        for (const rel of units[unit].outputs) {
+            const file = path.join(outputDir, rel);
+            artifacts.set(file, { ...cache.artifacts[rel], file: rel, path: file });
         }
+    };
 
-        if (!outputDirName) {
-            if (branch === 'main') outputDirName = 'stable';
-            else if (branch === 'dev') outputDirName = 'latest';
-            else {
-                const now = new Date();
-                const ts = now.toISOString().replace(/[:\.]/g, '-').slice(0, 19);
-                outputDirName = `preview-${ts}`;
-            }
-        }
-    } else if (outputDirName === 'preview') {
-        const now = new Date();
-        const ts = now.toISOString().replace(/[:\.]/g, '-').slice(0, 19);
-        outputDirName = `preview-${ts}`;
-    }
+    /**
+     * Writes the purged trio next to a bundle, plus `purge-report.json`.
+     * @param {string} baseName - Absolute path without `.css`
+     * @param {string} content - The final (prefixed) bundle
+     * @param {string} [unit]
+     */
+    const writePurged = async (baseName, content, unit) => {
+        const classPrefix = validMode === 'p' || validMode === 'c' ? prefixString : undefined;
+        const { css, report } = await purge(content, { ...purgeOptions, prefix: classPrefix });
+        purgeReport = report;
+        await Promise.all([
+            write(`${baseName}.purged.css`, css, unit),
+            write(`${baseName}.purged.clean.css`, cleanCss(css), unit),
+            write(`${baseName}.purged.min.css`, minifyCss(css), unit),
+            write(path.join(outputDir, 'purge-report.json'), JSON.stringify(report, null, 2), unit)
+        ]);
+        log.log(`  ✓ Purged ${report.classes.removed} of ${report.classes.total} classes (${(report.size.before / 1024).toFixed(1)} KB -> ${(report.size.after / 1024).toFixed(1)} KB)`);
+    };
 
-    const outputDir = path.join(DIST_ROOT, outputDirName);
-    console.log(`Targeting: ${outputDir}`);
-    console.log(`Reading source from: ${sourceRef || 'Local filesystem'}`);
-    if (validMode) {
-        console.log(`Prefix Mode: ${validMode.toUpperCase()} | Prefix: "${prefixString}"`);
-    }
+    let apiTrace = null;
+    /**
+     * Traces both framework roots for the catalog and the reference pages, once per build.
+     * @returns {Promise<{sources: Map<string, string>, deps: string[]}>} `sources`: project-relative path -> content,
+     *   in cascade order
+     */
+    const traceApi = () => apiTrace || (apiTrace = (async () => {
+        const traces = [];
+        for (const root of [path.join(SRC_DIR, 'lib', 'config.css'), path.join(SRC_DIR, 'u.css')]) {
+            traces.push(await traceBundle(root, sourceRef, { onWarning }));
+        }
+        const sources = new Map();
+        for (const { pieces, contents } of traces) {
+            for (const { file } of pieces) if (file && !sources.has(file)) sources.set(file, contents.get(file));
+        }
+        return { sources, deps: [...new Set(traces.flatMap(depsOf))] };
+    })());
+
+    /**
+     * Writes `ucss-api.json` (see catalog.js) and the VS Code custom data built from it (see vscode.js).
+     * @param {Map<string, string>} sources - Project-relative path -> content, in cascade order
+     * @param {string} [unit]
+     */
+    const writeCatalog = async (sources, unit) => {
+        let version = null;
+        try {
+            version = JSON.parse(await readFile(path.join(PROJECT_ROOT, 'package.json'), sourceRef)).version;
+        } catch (e) { }
+        const api = createCatalog(sources, { channel: outputDirName, version, prefixMode: validMode, prefix: prefixString });
+        await write(path.join(outputDir, CATALOG_FILE), JSON.stringify(api), unit);
+        await write(path.join(outputDir, HTML_DATA_FILE), JSON.stringify(htmlCustomData(api)), unit);
+        await write(path.join(outputDir, CSS_DATA_FILE), JSON.stringify(cssCustomData(api)), unit);
+        log.log(`  ✓ Catalog: ${Object.keys(api.classes).length} classes, ${Object.keys(api.variables).length} variables`);
+    };
 
-    // 2. Cleanup & Init
-    if (existsSync(outputDir)) await fs.rm(outputDir, { recursive: true, force: true });
-    await fs.mkdir(path.join(outputDir, 'lib'), { recursive: true });
+    // 2. Cleanup & Init (keep the previous size report for the diff, and everything when incremental)
+    const previousReport = readReport(outputDir);
+    if (!cache && existsSync(outputDir)) await fs.rm(outputDir, { recursive: true, force: true });
+    await fs.mkdir(isCompose ? outputDir : path.join(outputDir, 'lib'), { recursive: true });
 
     const tasks = [];
+    let composition = null;
+
+    // Custom Bundle (compose mode, replaces steps 4 & 5)
+    if (isCompose) tasks.push(async () => {
+        log.log(`Composing u.custom.css...`);
+        composition = await composeCss(composeLeaves, sourceRef, { onWarning, layers, strict });
+        let content = `/* uCss custom bundle: ${composeLeaves.join(', ')} */\n\n${composition.css}`;
+
+        if (validMode) content = prefixCss(content, validMode, prefixString);
+
+        await Promise.all([
+            write(path.join(outputDir, 'u.custom.css'), content),
+            write(path.join(outputDir, 'u.custom.clean.css'), cleanCss(content)),
+            write(path.join(outputDir, 'u.custom.min.css'), minifyCss(content))
+        ]);
+        log.log(`  ✓ Composed ${composition.files.length} files`);
+        if (purgeOptions) await writePurged(path.join(outputDir, 'u.custom'), content);
+        if (catalog) await writeCatalog(composition.contents);
+    });
 
-    // 3. Static Assets (.htaccess)
     // 3. Static Assets (.htaccess) - Only for Stable/Latest (Root controllers)
     tasks.push(async () => {
-        if (outputDirName === 'stable' || outputDirName === 'latest') {
+        if (ownsRoot && (isStable || isLatest)) {
             try {
                 const src = path.join(PROJECT_ROOT, 'server/.htaccess.template');
                 // Copy to Dist Root (for reference)
@@ -337,28 +1029,46 @@ async function main() {
         }
     });
 
+    // Files a traced bundle was made of (including imports that were missing)
+    const depsOf = (trace) => [...trace.contents.keys(), ...trace.missing];
+
     // 4. Core Build (u.css)
-    tasks.push(async () => {
-        console.log(`Building u.css...`);
-        let content = await bundleCss(path.join(SRC_DIR, 'u.css'), sourceRef);
+    // (the purged trio also depends on the content files outside src/, so it is always rebuilt)
+    if (!isCompose) tasks.push(async () => {
+        if (!purgeOptions && !needsBuild('u')) {
+            keepUnit('u');
+            return;
+        }
+        log.log(`Building u.css...`);
+        const trace = await traceBundle(path.join(SRC_DIR, 'u.css'), sourceRef, { onWarning, layers, strict });
+        startUnit('u', depsOf(trace));
+        let content = trace.css;
 
         if (validMode) content = prefixCss(content, validMode, prefixString);
+        const minified = minifyCss(content);
+
+        if (sourceMaps) {
+            // Maps point from the final text back to the src/lib leaves (see sourcemap.js)
+            await Promise.all([
+                write(path.join(outputDir, 'u.css.map'), JSON.stringify(mapStylesheet(content, trace, { file: 'u.css' })), 'u'),
+                write(path.join(outputDir, 'u.min.css.map'), JSON.stringify(mapStylesheet(minified, trace, { file: 'u.min.css' })), 'u')
+            ]);
+        }
 
         await Promise.all([
-            fs.writeFile(path.join(outputDir, 'u.css'), content),
-            fs.writeFile(path.join(outputDir, 'u.clean.css'), cleanCss(content)),
-            fs.writeFile(path.join(outputDir, 'u.min.css'), minifyCss(content))
+            write(path.join(outputDir, 'u.css'), sourceMaps ? `${content.trimEnd()}\n${sourceMappingComment('u.css.map')}\n` : content, 'u'),
+            write(path.join(outputDir, 'u.clean.css'), cleanCss(content), 'u'),
+            write(path.join(outputDir, 'u.min.css'), sourceMaps ? `${minified}\n${sourceMappingComment('u.min.css.map')}` : minified, 'u')
         ]);
-
-
+        if (purgeOptions) await writePurged(path.join(outputDir, 'u'), content, 'u');
     });
 
     // 5. Modular Builds (lib/*.css)
-    tasks.push(async () => {
-        console.log('Scanning modules...');
+    if (!isCompose) tasks.push(async () => {
+        log.log('Scanning modules...');
         let libFiles = [];
         if (sourceRef) {
-            libFiles = exec(`git ls - tree--name - only "${sourceRef}:src/lib/"`)
+            libFiles = exec(`git ls-tree --name-only "${sourceRef}:src/lib/"`)
                 .split('\n').filter(f => f.endsWith('.css')).map(f => path.join(SRC_DIR, 'lib', f));
         } else {
             try {
@@ -371,23 +1081,30 @@ async function main() {
             const modName = path.basename(libFile, '.css');
             const targetLibDir = path.join(outputDir, 'lib', modName);
             await fs.mkdir(targetLibDir, { recursive: true });
+            let rebuilt = 0;
 
             // Bundle Module Root
-            let content = await bundleCss(libFile, sourceRef);
-
-            if (validMode) content = prefixCss(content, validMode, prefixString);
-
-            const baseName = path.join(outputDir, 'lib', modName);
-            await Promise.all([
-                fs.writeFile(`${baseName}.css`, content),
-                fs.writeFile(`${baseName}.clean.css`, cleanCss(content)),
-                fs.writeFile(`${baseName}.min.css`, minifyCss(content))
-            ]);
+            const modUnit = `lib/${modName}`;
+            if (needsBuild(modUnit)) {
+                const trace = await traceBundle(libFile, sourceRef, { onWarning, layers, strict });
+                startUnit(modUnit, depsOf(trace));
+                let content = trace.css;
+
+                if (validMode) content = prefixCss(content, validMode, prefixString);
+
+                const baseName = path.join(outputDir, 'lib', modName);
+                await Promise.all([
+                    write(`${baseName}.css`, content, modUnit),
+                    write(`${baseName}.clean.css`, cleanCss(content), modUnit),
+                    write(`${baseName}.min.css`, minifyCss(content), modUnit)
+                ]);
+                rebuilt++;
+            } else {
+                keepUnit(modUnit);
+            }
 
             // Copy Sub-files (Individual component files)
             const subDirRel = `src/lib/${modName}`;
-            // ... (Logic to copy indiv files same as before) ...
-            // Simplified for brevity in JSDoc update task, but retaining logic
             // Helper: Recursive file walker
             async function getFiles(dir) {
                 const dirents = await fs.readdir(dir, { withFileTypes: true });
@@ -421,26 +1138,68 @@ async function main() {
 
                 const leafTarget = path.join(targetLibDir, rel);
                 const leafDir = path.dirname(leafTarget);
+                const leafUnit = `${modUnit}/${rel.split(path.sep).join('/').replace(/\.css$/, '')}`;
+                if (!needsBuild(leafUnit)) {
+                    keepUnit(leafUnit);
+                    return;
+                }
 
                 if (!existsSync(leafDir)) {
                     await fs.mkdir(leafDir, { recursive: true });
                 }
 
-                let raw = await bundleCss(leaf, sourceRef);
+                const trace = await traceBundle(leaf, sourceRef, { onWarning, layers, strict });
+                startUnit(leafUnit, depsOf(trace));
+                let raw = trace.css;
 
                 if (validMode) raw = prefixCss(raw, validMode, prefixString);
 
-                await fs.writeFile(leafTarget, raw);
-                await fs.writeFile(leafTarget.replace('.css', '.clean.css'), cleanCss(raw));
-                await fs.writeFile(leafTarget.replace('.css', '.min.css'), minifyCss(raw));
+                await write(leafTarget, raw, leafUnit);
+                await write(leafTarget.replace('.css', '.clean.css'), cleanCss(raw), leafUnit);
+                await write(leafTarget.replace('.css', '.min.css'), minifyCss(raw), leafUnit);
+                rebuilt++;
             }));
-            console.log(`  ✓ Built module: ${modName} `);
+            if (!cache) log.log(`  ✓ Built module: ${modName} `);
+            else if (rebuilt) log.log(`  ✓ Rebuilt ${rebuilt} file(s) of module: ${modName}`);
         }));
     });
 
+    // 5.5 API Catalog (ucss-api.json): both framework roots, in cascade order
+    if (catalog && !isCompose) tasks.push(async () => {
+        if (!needsBuild('api')) {
+            keepUnit('api');
+            return;
+        }
+        const { sources, deps } = await traceApi();
+        startUnit('api', deps);
+        await writeCatalog(sources, 'api');
+    });
+
+    // 5.6 Contrast Audit (contrast-report.json): the theming sets against the config colors
+    if (contrast && !isCompose) tasks.push(async () => {
+        if (!needsBuild('contrast')) {
+            keepUnit('contrast');
+            return;
+        }
+        const configTrace = await traceBundle(path.join(SRC_DIR, 'lib', 'config.css'), sourceRef, { onWarning });
+        const setsTrace = await traceBundle(path.join(SRC_DIR, 'lib', 'theming', 'set.css'), sourceRef, { onWarning });
+        startUnit('contrast', [...new Set([configTrace, setsTrace].flatMap(depsOf))]);
+        contrastReport = auditContrast({ config: configTrace.css, sets: setsTrace.css });
+        await write(path.join(outputDir, CONTRAST_FILE), JSON.stringify(contrastReport, null, 2), 'contrast');
+        const { summary } = contrastReport;
+        log.log(`  ✓ Contrast: ${summary.AA.pass} of ${summary.checks} checks pass AA, ${summary.AAA.pass} pass AAA${summary.unresolved ? ` (${summary.unresolved} unresolved)` : ''}`);
+    });
+
     // 6. Documentation Generator
-    tasks.push(async () => {
-        console.log('Generating documentation...');
+    if (docs) tasks.push(async () => {
+        log.log('Generating documentation...');
+
+        // Cache busting of the docs links (`?v=`): a digest of the stylesheets the pages link (`u.min.css`,
+        // `lib/config.min.css`) and of the options shaping them. READMEs are not part of it: editing one
+        // changes its own page (and the search index), not every page.
+        const { sources: styleSources } = await traceApi();
+        const buildHash = digestHashes({ ...Object.fromEntries(styleSources), '@options': JSON.stringify([validMode, prefixString, layers]) });
+        if (hashes) hashes['@build'] = buildHash;
 
         /**
          * Applies prefixing to HTML content (classes and inline styles).
@@ -459,7 +1218,7 @@ async function main() {
                     const classes = classList.split(/\s+/).filter(Boolean);
                     const prefixed = classes.map(cls => {
                         // Exclude standard WP/Block classes
-                        if (/^(wp|block|editor)(?:-|$)/.test(cls)) return cls;
+                        if (isExcludedClass(cls)) return cls;
                         return `${p}${cls}`;
                     });
                     return `class="${prefixed.join(' ')}"`;
@@ -471,24 +1230,43 @@ async function main() {
                 // Regex: style="..."
                 processed = processed.replace(/style="([^"]*)"/g, (match, styleContent) => {
                     // Replace --var with --prefix-var inside the style string
-                    // Using similar logic to prefix.js but inline
-                    const paramPrefix = `--${p}`;
-                    const replacedStyle = styleContent.replace(/--(?!(theme|u|ucss|wp|block|editor)(?:-|$))([\w-]+)/g, (m, restricted, varName) => {
-                        return `${paramPrefix}${varName}`;
-                    });
-                    return `style="${replacedStyle}"`;
+                    // (same exclusions as prefix.js)
+                    return `style="${prefixVariables(styleContent, `--${p}`)}"`;
                 });
             }
 
             return processed;
         };
 
+        // Prefixes of the highlighted code blocks (same rules as prefixHtml)
+        const highlightPrefix = validMode ? (prefixString.endsWith('-') ? prefixString : `${prefixString}-`) : null;
+        const highlightOptions = {
+            classPrefix: validMode === 'p' || validMode === 'c' ? highlightPrefix : undefined,
+            variablePrefix: validMode === 'p' || validMode === 'v' ? `--${highlightPrefix}` : undefined
+        };
+
+        /**
+         * Channel folder of a README's page (`''` for the root README and `src/README.md`).
+         * @param {string} mdPath
+         * @returns {string} `/` separated (`lib/layout`)
+         */
+        const pageDir = (mdPath) => (mdPath === path.join(PROJECT_ROOT, 'README.md')
+            ? ''
+            : path.relative(SRC_DIR, path.dirname(mdPath)).split(path.sep).join('/'));
+
+        /**
+         * Offline docs: relative folder links (`lib/layout/`, `./#grid`) name their `index.html`, which `file://` needs.
+         * @param {string} html
+         * @returns {string}
+         */
+        const withIndexFiles = (html) => html.replace(/href="(?![a-z][\w+.-]*:|\/|#)([^"#?]*\/)((?:[?#][^"]*)?)"/gi, (link, folder, rest) => `href="${folder}index.html${rest}"`);
+
         /**
          * Converts Markdown to a complete HTML page with uCss styling.
          *
          * PIPELINE:
          * 1. Read Markdown file.
-         * 2. Configure `marked` renderer to:
+         * 2. Configure a `Marked` instance (one per page, so parallel builds never share renderers) to:
          *    - Add IDs to headings for deep linking.
          *    - Rewrite links: 
          *      - `README.md` -> `index.html` (for web navigation).
@@ -498,16 +1276,26 @@ async function main() {
          *    - Standard meta tags.
          * 4. Write to `dist` as `.html`.
          */
-        const generateHtml = async (mdPath, outPath, title) => {
-            const md = await readFile(mdPath, sourceRef);
+        const generateHtml = async (mdPath, outPath, title, unit, content) => {
+            const md = content !== undefined ? content : await readFile(mdPath, sourceRef);
             if (!md) return;
 
+            // Links inside the output are relative to the page: channel folder and `dist/` root
+            const toChannel = path.relative(path.dirname(outPath), outputDir).split(path.sep).join('/');
+            const channelRoot = toChannel ? `${toChannel}/` : './';
+            const toDist = path.relative(path.dirname(outPath), DIST_ROOT).split(path.sep).join('/');
+            const distRoot = toDist ? `${toDist}/` : './';
+
             // CONFIG: Render Markdown
+            const headings = [];
+            // Live examples (see examples.js): rendered once the stylesheet URLs are known
+            const examples = [];
             const renderer = {
                 heading({ tokens, depth }) {
                     const text = this.parser.parseInline(tokens);
                     // Github-style slugger: remove non-alphanumeric chars (except dash/space), then dashify
                     const id = text.toLowerCase().replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-');
+                    headings.push({ level: depth, id, text });
                     return `<h${depth} id="${id}">${text}</h${depth}>`;
                 },
                 link({ href, title, tokens }) {
@@ -520,20 +1308,33 @@ async function main() {
                     hrefStr = hrefStr.replace(/^README\.md(?=$|#|\?)/, './');
 
                     // 2. Rebase 'src/' links for Root README to point to current output dir
-                    // e.g. "src/lib/components/" -> "./stable/lib/components/"
+                    // e.g. "src/lib/components/" -> "stable/lib/components/" (dist/index.html), "./lib/components/" (channel)
                     if (mdPath === path.join(PROJECT_ROOT, 'README.md')) {
                         if (hrefStr.startsWith('./src/') || hrefStr.startsWith('src/')) {
-                            hrefStr = hrefStr.replace(/^(\.\/)?src\//, `./${outputDirName}/`);
+                            hrefStr = hrefStr.replace(/^(\.\/)?src\//, channelRoot);
                         }
                     }
 
                     return `<a href="${hrefStr}"${title ? ` title="${title}"` : ''}>${text}</a>`;
+                },
+                code(token) {
+                    // Highlighted at build time, with the names of the channel (see highlight.js)
+                    const lang = String(token.lang || '').trim().split(/\s+/)[0];
+                    const block = Renderer.prototype.code.call(this, { ...token, text: highlight(token.text, lang, highlightOptions), escaped: true });
+                    if (!isPreviewable(token)) return block;
+                    examples.push(token.text);
+                    return `${block}<!-- ucss:example:${examples.length - 1} -->\n`;
                 }
             };
-            marked.use({ renderer });
+            const markdown = new Marked({ renderer });
 
             let htmlContent;
-            try { htmlContent = marked.parse(md, { gfm: true, breaks: false }); } catch (e) { return; }
+            try { htmlContent = markdown.parse(md, { gfm: true, breaks: false }); } catch (e) { return; }
+
+            // Module pages link their generated reference (see reference.js)
+            if (referenceDirs.has(`${pageDir(mdPath)}/${REFERENCE_DIR}`)) {
+                htmlContent = htmlContent.replace('</h1>', `</h1>\n<p><a href="${REFERENCE_DIR}/">Class &amp; variable reference</a> <small>(generated from the source)</small></p>`);
+            }
 
             // Wrap tables for scrollability
             htmlContent = htmlContent.replace(/<table>/g, '<div class="ofx"><table>').replace(/<\/table>/g, '</table></div>');
@@ -553,7 +1354,7 @@ async function main() {
 
             const isRootEntry = (path.resolve(outPath) === path.resolve(DIST_ROOT, 'index.html'));
 
-            let cdnBase = 'stable'; // Default fallback
+            let cdnBase = channels.stable; // Default fallback
 
             if (isRootEntry) {
                 // ROOT Logic:
@@ -571,10 +1372,10 @@ async function main() {
                 // We decided to link to the folder.
 
                 // If we are building 'latest' and it's taking over root (bootstrap), point config to /latest.
-                if (outputDirName === 'latest' && !existsSync(path.join(DIST_ROOT, 'stable'))) {
-                    cdnBase = 'latest';
+                if (isLatest && !existsSync(path.join(DIST_ROOT, channels.stable))) {
+                    cdnBase = channels.latest;
                 } else {
-                    cdnBase = 'stable';
+                    cdnBase = channels.stable;
                 }
             } else {
                 // CHANNEL Logic:
@@ -582,42 +1383,58 @@ async function main() {
                 // We should link to our own assets relative to our deploy root.
                 // e.g. /p/u.min.css
 
-                if (outputDirName.startsWith('preview')) cdnBase = outputDirName;
-                else if (outputDirName === 'latest') cdnBase = 'latest';
-                else if (['p', 'c', 'v'].includes(outputDirName)) cdnBase = outputDirName;
-                else cdnBase = 'stable';
+                if (outputDirName.startsWith(channels.preview)) cdnBase = outputDirName;
+                else if (isLatest) cdnBase = channels.latest;
+                else if (PREFIX_MODES.includes(outputDirName)) cdnBase = outputDirName;
+                else cdnBase = channels.stable;
+            }
+
+            // Offline docs: links to the CDN point into the built output instead (stable -> this channel,
+            // other channels -> their `dist/` sibling). Outside `dist/` only this channel is at hand.
+            if (offlineDocs) {
+                const hosts = [...new Set(['ucss.unqa.dev', cdnHost])].map(host => host.replace(/\./g, '\\.')).join('|');
+                htmlContent = htmlContent.replace(new RegExp(`href="https?://(?:${hosts})/([^"]*)"`, 'g'), (link, target) => {
+                    const [channel, ...rest] = target.split('/');
+                    if (channel === 'stable' || channel === outputDirName) return `href="${channelRoot}${rest.join('/')}"`;
+                    return options.outDir ? link : `href="${distRoot}${target}"`;
+                });
             }
 
             // Rewrite Content Links (e.g. Markdown links to "ucss.unqa.dev/stable")
             // We enable this for non-stable builds so they point to themselves.
             // e.g. /p/ README links should point to /p/ URLS.
-            if (cdnBase !== 'stable') {
-                htmlContent = htmlContent.replace(/ucss\.unqa\.dev\/stable/g, `ucss.unqa.dev/${cdnBase}`);
+            // READMEs always reference the upstream host, so forks with another `cdn.host` are rewritten too.
+            if (cdnBase !== 'stable' || cdnHost !== 'ucss.unqa.dev') {
+                htmlContent = htmlContent.replace(/ucss\.unqa\.dev\/stable/g, `${cdnHost}/${cdnBase}`);
             }
 
-            // TEMPLATE: Minimal HTML wrapper
-            const relRoot = path.relative(path.dirname(outPath), outputDir);
-
             // Calculated path to CSS assets
             // Root Entry always uses /u.min.css for Core.
             // Channel Entry uses /channel/u.min.css (or absolute https://...)
 
-            const cssUrl = (path) => `https://ucss.unqa.dev/${path}`;
+            // Offline docs use the stylesheets of the channel next to the page
+            const cssUrl = (path) => `https://${cdnHost}/${path}`;
 
-            // Cache Busting: Use Git Short Hash or Timestamp
-            let buildHash = 'latest';
-            try {
-                // Try to get git short hash
-                const res = require('child_process').execSync('git rev-parse --short HEAD', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
-                if (res) buildHash = res;
-                else buildHash = Date.now().toString(36);
-            } catch (e) { buildHash = Date.now().toString(36); }
+            const coreCss = offlineDocs
+                ? `${channelRoot}u.min.css?v=${buildHash}`
+                : isRootEntry
+                    ? cssUrl(`u.min.css?v=${buildHash}`)
+                    : cssUrl(`${cdnBase}/u.min.css?v=${buildHash}`);
 
-            const coreCss = isRootEntry
-                ? cssUrl(`u.min.css?v=${buildHash}`)
-                : cssUrl(`${cdnBase}/u.min.css?v=${buildHash}`);
+            const configCss = offlineDocs
+                ? `${channelRoot}lib/config.min.css?v=${buildHash}`
+                : cssUrl(`${cdnBase}/lib/config.min.css?v=${buildHash}`); // Always deep link for now
 
-            const configCss = cssUrl(`${cdnBase}/lib/config.min.css?v=${buildHash}`); // Always deep link for now
+            // Live examples: the frame gets the page's stylesheets and the channel's prefix
+            htmlContent = htmlContent.replace(/<!-- ucss:example:(\d+) -->/g, (marker, i) => {
+                const doc = frameDocument(examples[i], { stylesheets: [configCss, coreCss] });
+                return renderExample(validMode ? prefixHtml(doc) : doc, { lines: examples[i].split('\n').length });
+            });
+
+            // Search (see search.js): the index and the result links are relative to the channel folder
+            const search = searchBox({ index: `${channelRoot}${SEARCH_FILE}?v=${buildHash}`, root: channelRoot });
+            // Navigation (see nav.js): site tree, breadcrumbs and table of contents above, previous / next below
+            const pageNav = renderPageNav(nav, { dir: pageDir(mdPath), root: channelRoot, headings });
 
             const template = `<!DOCTYPE html>
 <html lang="en">
@@ -626,18 +1443,22 @@ async function main() {
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <meta name="description" content="uCss - Modern, mobile-first, pure CSS framework with zero dependencies">
     <title>${title}</title>
-    <link rel="preconnect" href="https://ucss.unqa.dev">
+    ${offlineDocs ? '' : `<link rel="preconnect" href="https://${cdnHost}">`}
     <link rel="stylesheet" href="${configCss}">
     <link rel="stylesheet" href="${coreCss}">
     <style>
         /* Documentation specific overrides */
-        .s { min-height: 100vh; }
+        .s { min-height: 100vh; }${HIGHLIGHT_CSS}
     </style>
 </head>
 <body class="un set base">
     <script>try{if(localStorage.getItem('u-theme')==='alt'){document.body.classList.remove('base');document.body.classList.add('alt')}}catch(e){}</script>
     <section class="s" style="--sc-max-w: 56rem; --scc-gap: .75rem;">
-        <div class="sf"><div>${htmlContent}</div></div>
+        <div class="sf"><div>
+        ${search}
+        ${pageNav.header}
+        ${htmlContent}
+        ${pageNav.footer}</div></div>
     </section>
 
     <!-- Theme Toggle -->
@@ -657,28 +1478,10 @@ async function main() {
 </body>
 </html>`;
 
-            if (validMode) {
-                await fs.writeFile(outPath, prefixHtml(template));
-            } else {
-                await fs.writeFile(outPath, template);
-            }
+            const page = offlineDocs ? withIndexFiles(template) : template;
+            await write(outPath, validMode ? prefixHtml(page) : page, unit);
         };
 
-
-
-        const docTasks = [];
-        // Root README -> dist/index.html
-        // Root README -> dist/[target]/index.html (Self-contained)
-        if (existsSync(path.join(PROJECT_ROOT, 'README.md'))) {
-            docTasks.push(generateHtml(path.join(PROJECT_ROOT, 'README.md'), path.join(outputDir, 'index.html'), 'uCss Documentation - Root'));
-
-            // Always update root dist/index.html so it can be used for bootstrapping IF this is a root-capable build
-            if (outputDirName === 'stable' || outputDirName === 'latest') {
-                // We don't want 'p' or 'v' builds to overwrite the main entry point
-                docTasks.push(generateHtml(path.join(PROJECT_ROOT, 'README.md'), path.join(DIST_ROOT, 'index.html'), 'uCss Documentation - Root'));
-            }
-        }
-
         // Subproject READMEs -> dist/lib/*/index.html
         let readmes = [];
         if (sourceRef) {
@@ -697,65 +1500,229 @@ async function main() {
             }
             readmes = await getReadmes(SRC_DIR);
         }
+        const hasRootReadme = existsSync(path.join(PROJECT_ROOT, 'README.md'));
+        const pages = [...(hasRootReadme ? [path.join(PROJECT_ROOT, 'README.md')] : []), ...readmes];
+        const pageDeps = pages.map(md => path.relative(PROJECT_ROOT, md).split(path.sep).join('/'));
+
+        // Navigation tree (see nav.js): every page, titled by its `# Heading`
+        const navPages = [];
+        for (const md of readmes) {
+            const heading = ((await readFile(md, sourceRef)) || '').match(/^#\s+(.+)$/m);
+            navPages.push({ dir: pageDir(md), title: heading ? heading[1].trim() : pageDir(md) || 'Root' });
+        }
+        // Reference pages (see reference.js): one per module with a README, `lib/<module>/reference/`
+        const references = navPages.filter(page => /^lib\/[^/]+$/.test(page.dir)).map(page => ({
+            module: page.dir.slice('lib/'.length),
+            title: page.title,
+            md: path.join(SRC_DIR, page.dir, REFERENCE_DIR, 'README.md')
+        }));
+        const referenceDirs = new Set(references.map(reference => pageDir(reference.md)));
+        navPages.push(...references.map(reference => ({ dir: pageDir(reference.md), title: `${reference.title}: Reference` })));
+        const nav = createNav(navPages);
+        // Every page lists every page (navigation): a new, removed or retitled page changes them all
+        if (hashes) hashes['@pages'] = JSON.stringify(navPages);
+
+        const docTasks = [];
+        let pagesChanged = false;
+        // A page changes with its Markdown (and the one sharing its folder: the root README and `src/README.md`),
+        // the stylesheets digest it embeds and the page list (navigation)
+        const docsUnit = (mdPath) => {
+            const unit = `docs:${path.relative(PROJECT_ROOT, mdPath).split(path.sep).join('/')}`;
+            if (!needsBuild(unit)) {
+                keepUnit(unit);
+                return null;
+            }
+            startUnit(unit, [...pages.filter(md => pageDir(md) === pageDir(mdPath)).map(md => path.relative(PROJECT_ROOT, md).split(path.sep).join('/')), '@build', '@pages']);
+            pagesChanged = true;
+            return unit;
+        };
+
+        // Root README -> dist/[target]/index.html (Self-contained)
+        const rootUnit = hasRootReadme && docsUnit(path.join(PROJECT_ROOT, 'README.md'));
+        if (rootUnit) {
+            docTasks.push(generateHtml(path.join(PROJECT_ROOT, 'README.md'), path.join(outputDir, 'index.html'), 'uCss Documentation - Root', rootUnit));
+
+            // Always update root dist/index.html so it can be used for bootstrapping IF this is a root-capable build
+            if (ownsRoot && (isStable || isLatest)) {
+                // We don't want 'p' or 'v' builds to overwrite the main entry point
+                docTasks.push(generateHtml(path.join(PROJECT_ROOT, 'README.md'), path.join(DIST_ROOT, 'index.html'), 'uCss Documentation - Root', rootUnit));
+            }
+        }
 
         docTasks.push(...readmes.map(async readme => {
+            const unit = docsUnit(readme);
+            if (!unit) return;
             const relDir = path.relative(SRC_DIR, path.dirname(readme));
             const targetDir = path.join(outputDir, relDir);
             await fs.mkdir(targetDir, { recursive: true });
-            await generateHtml(readme, path.join(targetDir, 'index.html'), `uCss Documentation - ${relDir || 'Root'}`);
+            await generateHtml(readme, path.join(targetDir, 'index.html'), `uCss Documentation - ${relDir || 'Root'}`, unit);
+        }));
+
+        // Reference pages: rebuilt with the sources they list, cataloged with the channel's prefix
+        let docsCatalog = null;
+        docTasks.push(...references.map(async reference => {
+            const unit = `docs:${path.relative(PROJECT_ROOT, reference.md).split(path.sep).join('/')}`;
+            if (!needsBuild(unit)) {
+                keepUnit(unit);
+                return;
+            }
+            const { sources, deps } = await traceApi();
+            startUnit(unit, [...deps, '@build', '@pages']);
+            pagesChanged = true;
+            if (!docsCatalog) docsCatalog = createCatalog(sources, { channel: outputDirName, prefixMode: validMode, prefix: prefixString });
+            const targetDir = path.join(outputDir, pageDir(reference.md));
+            await fs.mkdir(targetDir, { recursive: true });
+            const md = referenceMarkdown(docsCatalog, reference.module, { title: reference.title });
+            await generateHtml(reference.md, path.join(targetDir, 'index.html'), `uCss Documentation - ${reference.title}: Reference`, unit, md);
         }));
 
         await Promise.all(docTasks);
-        console.log('  ✓ Documentation generated');
+        log.log('  ✓ Documentation generated');
+
+        // Search index: every channel page, read back as written (kept pages included)
+        if (!pagesChanged && !needsBuild('search')) {
+            keepUnit('search');
+        } else {
+            startUnit('search', [...pageDeps, '@pages']);
+            // `src/README.md` and the root README share the channel `index.html`
+            const relDirs = new Set([...pages, ...references.map(reference => reference.md)].map(pageDir));
+            const sections = [];
+            for (const relDir of relDirs) {
+                const html = await fs.readFile(path.join(outputDir, relDir, 'index.html'), 'utf8').catch(() => null);
+                const url = `${relDir ? `${relDir}/` : './'}${offlineDocs ? 'index.html' : ''}`;
+                if (html) sections.push(...indexPage(html, { url }));
+            }
+            const index = createSearchIndex(sections, { channel: outputDirName, prefixMode: validMode, prefix: prefixString });
+            await write(path.join(outputDir, SEARCH_FILE), searchIndexScript(index), 'search');
+            log.log(`  ✓ Search index: ${sections.length} sections of ${relDirs.size} pages`);
+        }
     });
 
     // Run All Tasks
     await Promise.all(tasks.map(t => t()));
 
+    for (const warning of warnings) log.warn(`  ⚠️ ${warning}`);
+
+    // Units that no longer exist (deleted module, leaf or README): remove what they produced
+    const removed = cache ? Object.keys(cache.units).filter(unit => !units[unit]) : [];
+    for (const unit of removed) {
+        for (const rel of cache.units[unit].outputs) {
+            for (const file of [rel, `${rel}.gz`, `${rel}.br`]) await fs.rm(path.join(outputDir, file), { force: true });
+        }
+        log.log(`  ✓ Removed ${unit}`);
+    }
+    const changed = !cache || !previousReport || written.size > 0 || removed.length > 0;
+    if (!changed) log.log('  ✓ Nothing changed since the last build');
+
     // 7. Verify & Compress
-    console.log('Verifying & Compressing...');
-    try {
-        const verify = (f, min) => {
-            if (!existsSync(f)) throw new Error(`Missing ${f}`);
-            if (statSync(f).size < min) throw new Error(`Empty ${f}`);
-            console.log(`  ✓ Checked ${path.relative(outputDir, f)}`);
-        };
-        verify(path.join(outputDir, 'u.css'), 5000);
-        verify(path.join(outputDir, 'u.min.css'), 3000);
-        if (existsSync(path.join(PROJECT_ROOT, 'README.md'))) {
-            verify(path.join(outputDir, 'index.html'), 1000);
-            if (outputDirName === 'stable') verify(path.join(DIST_ROOT, 'index.html'), 1000);
+    log.log('Verifying & Compressing...');
+    const verify = (f, min) => {
+        if (!existsSync(f)) throw new Error(`Verification Failed: Missing ${f}`);
+        if (statSync(f).size < min) throw new Error(`Verification Failed: Empty ${f}`);
+        log.log(`  ✓ Checked ${path.relative(outputDir, f)}`);
+    };
+    // Custom bundles only need to be non-empty; the configured thresholds describe the full framework
+    const checks = isCompose ? { 'u.custom.css': 1, 'u.custom.min.css': 1 } : config.verify;
+    for (const [file, min] of Object.entries(checks)) {
+        // Doc pages only exist when docs are generated (and the README is present)
+        if (file.endsWith('.html') && !(docs && existsSync(path.join(PROJECT_ROOT, 'README.md')))) continue;
+        verify(path.join(outputDir, file), min);
+    }
+    if (docs && ownsRoot && isStable && config.verify['index.html'] !== undefined) {
+        verify(path.join(DIST_ROOT, 'index.html'), config.verify['index.html']);
+    }
+
+    if (compress && changed) {
+        // Incremental: only the files written now, the other siblings are still valid
+        const files = cache ? [...written].filter(f => !path.relative(outputDir, f).startsWith('..')) : undefined;
+        const stats = await compressDir(outputDir, { logger: log, files });
+        for (const stat of stats) {
+            const artifact = artifacts.get(path.join(outputDir, stat.file));
+            if (artifact) Object.assign(artifact, { gzip: stat.gzip, brotli: stat.brotli });
         }
-        verify(path.join(outputDir, 'lib/patterns.min.css'), 500);
-    } catch (e) {
-        console.error(`❌ Verification Failed: ${e.message}`);
-        process.exit(1);
     }
 
-    spawnSync('node', ['scripts/compress.js', outputDir], { stdio: 'inherit' });
+    // 7.0 Size Report & Budgets (see stats.js)
+    let report = previousReport;
+    if (changed) {
+        report = createReport([...artifacts.values()].sort((a, b) => a.file.localeCompare(b.file)), {
+            channel: outputDirName,
+            previous: previousReport
+        });
+        await fs.writeFile(path.join(outputDir, REPORT_FILE), JSON.stringify(report, null, 2));
+        log.log(`\n📊 Size report${report.diff ? ` (Δ since ${report.diff.since})` : ''}:\n${formatReport(report)}\n`);
+    }
+
+    const budgets = checkBudgets(report, config.budgets);
+    for (const skipped of budgets.skipped) {
+        log.warn(`  ⚠️ Budget not checked: ${skipped}`);
+        warnings.add(`Budget not checked: ${skipped}`);
+    }
+    if (budgets.violations.length) {
+        throw new Error(`❌ Size budget exceeded (see ${path.join(outputDir, REPORT_FILE)}):\n  - ${budgets.violations.join('\n  - ')}`);
+    }
+
+    // 7.0.1 Contrast Level (the report of an incremental build may be the previous one)
+    if (contrastLevel) {
+        const reportPath = path.join(outputDir, CONTRAST_FILE);
+        if (!contrastReport && existsSync(reportPath)) contrastReport = JSON.parse(await fs.readFile(reportPath, 'utf8'));
+        const failures = contrastReport ? contrastFailures(contrastReport, contrastLevel) : [];
+        if (failures.length) {
+            throw new Error(`❌ Contrast below ${contrastLevel} (see ${reportPath}):\n  - ${failures.join('\n  - ')}`);
+        }
+    }
+
+    // 7.0.2 Link Check: the channel's pages as written (kept pages included), after every rewrite
+    let linkReport = null;
+    if (links) {
+        linkReport = checkLinks(outputDir, { pages: htmlFiles(outputDir), external: externalLinks });
+        const broken = linkReport.broken.length;
+        if (broken && options.links === 'strict') {
+            throw new Error(`❌ Broken docs links:\n${formatLinks({ ...linkReport, external: undefined })}`);
+        }
+        if (broken) {
+            const message = `Links: ${broken} of ${linkReport.links} broken in ${linkReport.pages} pages (see \`npm run links -- ${path.relative(PROJECT_ROOT, outputDir).split(path.sep).join('/')}\`)`;
+            log.warn(`  ⚠️ ${message}`);
+            warnings.add(message);
+        } else {
+            log.log(`  ✓ Links: ${linkReport.links} in ${linkReport.pages} pages, none broken`);
+        }
+        if (externalLinks) {
+            log.log(`  External links (${linkReport.external.length}):`);
+            for (const { url, pages } of linkReport.external) log.log(`    ${url} (${pages.length} page${pages.length === 1 ? '' : 's'})`);
+        }
+    }
+
+    if (incremental) {
+        const records = [...artifacts.values()]
+            .filter(a => !a.file.startsWith('..'))
+            .map(({ file, size, gzip, brotli }) => [file, { size, gzip, brotli }]);
+        writeCache(outputDir, { key: cacheKey, hashes, units, artifacts: Object.fromEntries(records) });
+    }
 
     // 7.1 Manifest Generation (Dist Specific)
     // Generates a manifest ONLY for the files we are shipping in this channel
-    console.log('Generating Channel Manifest...');
-    const maniArgs = ['scripts/manifest.js', '--scan', outputDir, '--out', path.join(outputDir, 'manifest.json')];
-    const maniRes = spawnSync('node', maniArgs, { stdio: 'inherit', cwd: PROJECT_ROOT });
-
-    if (maniRes.status === 0) {
-        console.log(`  ✓ Manifest generated for ${outputDirName}`);
+    if (manifest && changed) {
+        log.log('Generating Channel Manifest...');
+        try {
+            generateManifest(outputDir, path.join(outputDir, 'manifest.json'), { logger: log });
+            log.log(`  ✓ Manifest generated for ${outputDirName}`);
 
-        // If stable or latest is taking over root, we also want a manifest for the ROOT of the domain.
-        // But strictly speaking, ucss.unqa.dev/manifest.json should probably represent the STABLE build.
-        if (outputDirName === 'stable' || outputDirName === 'latest') {
-            await fs.copyFile(path.join(outputDir, 'manifest.json'), path.join(DIST_ROOT, 'manifest.json'));
+            // If stable or latest is taking over root, we also want a manifest for the ROOT of the domain.
+            // But strictly speaking, ucss.unqa.dev/manifest.json should probably represent the STABLE build.
+            if (ownsRoot && (isStable || isLatest)) {
+                await fs.copyFile(path.join(outputDir, 'manifest.json'), path.join(DIST_ROOT, 'manifest.json'));
+            }
+        } catch (e) {
+            log.warn(`  ⚠️ Manifest generation failed: ${e.message}`);
+            warnings.add(`Manifest generation failed: ${e.message}`);
         }
-    } else {
-        console.warn('  ⚠️ Manifest generation failed.');
     }
 
     // 7.5 Create Zip Archive (For root downloads)
     // Generates dist/latest.zip or dist/stable.zip
-    if (outputDirName === 'latest' || outputDirName === 'stable') {
-        console.log(`\n📦 Creating Zip Archive: ${outputDirName}.zip ...`);
+    if (zip && changed && ownsRoot && (isLatest || isStable)) {
+        log.log(`\n📦 Creating Zip Archive: ${outputDirName}.zip ...`);
         const zipName = `${outputDirName}.zip`;
         const zipPath = path.join(DIST_ROOT, zipName);
 
@@ -767,22 +1734,23 @@ async function main() {
                 const res = spawnSync('zip', ['-r', '-q', zipPath, '.'], { cwd: outputDir });
                 if (res.status === 0) {
                     success = true;
-                    console.log(`  ✓ Native zip created at dist/${zipName}`);
+                    log.log(`  ✓ Native zip created at dist/${zipName}`);
                 }
-            } catch (e) { console.warn('  ! Native zip failed, falling back to adm-zip.'); }
+            } catch (e) { log.warn('  ! Native zip failed, falling back to adm-zip.'); }
         }
 
         // Fallback to adm-zip
         if (!success) {
             try {
                 const AdmZip = require('adm-zip');
-                const zip = new AdmZip();
-                zip.addLocalFolder(outputDir);
-                zip.writeZip(zipPath);
-                console.log(`  ✓ adm-zip created at dist/${zipName}`);
+                const archive = new AdmZip();
+                archive.addLocalFolder(outputDir);
+                archive.writeZip(zipPath);
+                log.log(`  ✓ adm-zip created at dist/${zipName}`);
             } catch (e) {
-                console.error(`  ❌ Zip generation failed: ${e.message}`);
-                console.log('  (Make sure "adm-zip" is installed if you are on Windows or lack "zip" command)');
+                log.error(`  ❌ Zip generation failed: ${e.message}`);
+                log.log('  (Make sure "adm-zip" is installed if you are on Windows or lack "zip" command)');
+                warnings.add(`Zip generation failed: ${e.message}`);
             }
         }
     }
@@ -793,42 +1761,177 @@ async function main() {
     // - If building STABLE: Always mirror.
     // - If building LATEST: Mirror ONLY if stable doesn't exist (bootstrap empty root).
     const mirrorToRoot = async (sourceDir) => {
-        console.log(`\n🪞 Mirroring core files from ${sourceDir} to root...`);
+        log.log(`\n🪞 Mirroring core files from ${sourceDir} to root...`);
         try {
             const files = await fs.readdir(sourceDir);
             for (const file of files) {
-                // Copy u.css, u.min.css, u.clean.css AND their compressed versions (.gz, .br)
-                if (file.startsWith('u.') && (file.endsWith('.css') || file.endsWith('.css.gz') || file.endsWith('.css.br'))) {
+                // Copy u.css, u.min.css, u.clean.css, their compressed versions (.gz, .br) and source maps
+                if (file.startsWith('u.') && (file.endsWith('.css') || file.endsWith('.css.gz') || file.endsWith('.css.br') || file.endsWith('.css.map'))) {
                     await fs.copyFile(path.join(sourceDir, file), path.join(DIST_ROOT, file));
-                    console.log(`   + ${file}`);
+                    log.log(`   + ${file}`);
                 }
             }
         } catch (e) {
-            console.error(`   ! Mirroring failed: ${e.message}`);
+            log.error(`   ! Mirroring failed: ${e.message}`);
+            warnings.add(`Mirroring failed: ${e.message}`);
         }
     };
 
-    let shouldMirror = false;
-    let mirrorSource = '';
+    if (ownsRoot && changed) {
+        if (isStable) {
+            await mirrorToRoot(outputDir);
+        } else if (isLatest && !existsSync(path.join(DIST_ROOT, channels.stable))) {
+            // Check if root stable exists
+            log.log('⚠️ Stable build not found. Fallback: Populating root from Latest.');
+            await mirrorToRoot(outputDir);
+        }
+    }
+
+    if (isRelease) {
+        await fs.rename(outputDir, channelDir);
+        for (const artifact of artifacts.values()) {
+            if (!artifact.file.startsWith('..')) artifact.path = path.join(channelDir, artifact.file);
+        }
+        log.log(`  ✓ dist/${outputDirName} in place`);
+    }
+
+    log.log('🎉 Build complete!');
+
+    return {
+        channel: outputDirName,
+        outputDir: channelDir,
+        prefixMode: validMode,
+        prefix: prefixString,
+        sourceRef: sourceRef || null,
+        artifacts: [...artifacts.values()].sort((a, b) => a.file.localeCompare(b.file)),
+        report,
+        warnings: [...warnings],
+        duration: Date.now() - startTime,
+        ...(composition && { compose: { leaves: composeLeaves, files: composition.files } }),
+        ...(purgeReport && { purge: purgeReport }),
+        ...(linkReport && { links: linkReport })
+    };
+}
+
+/**
+ * Builds the full channel suite sequentially: `latest` -> `p` -> (`c`) -> `v` -> `stable`.
+ * @param {Object} [options] - Shared options forwarded to every `build()` call.
+ * @param {boolean} [options.all=false] - Include the `c` (classes only) channel.
+ * @returns {Promise<Array<Object>>} One `build()` result per channel, in build order.
+ * @throws {Error} As soon as one channel fails (remaining channels are not built).
+ */
+async function buildSuite({ all = false, ...shared } = {}) {
+    const log = shared.logger || SILENT_LOGGER;
+    // Channel keywords are resolved to the configured folder names by build()
+    const steps = [
+        { id: 'latest', options: { channel: 'latest' } },
+        { id: 'prefixed', options: { prefixMode: 'p' } },
+        { id: 'variables', options: { prefixMode: 'v' } },
+        { id: 'stable', options: { channel: 'stable' } }
+    ];
+
+    if (all) {
+        steps.splice(2, 0, { id: 'clean-ver', options: { prefixMode: 'c' } }); // Insert 'c' after 'p' or wherever appropriate behaviorally
+    }
+
+    const results = [];
+    for (const step of steps) {
+        log.log(`\n👉 Task: ${step.id}`);
+        try {
+            results.push(await build({ ...shared, ...step.options }));
+        } catch (e) {
+            e.message = `Sub-build failed (${step.id}): ${e.message}`;
+            throw e;
+        }
+    }
+    return results;
+}
 
-    if (outputDirName === 'stable') {
-        shouldMirror = true;
-        mirrorSource = outputDir;
-    } else if (outputDirName === 'latest') {
-        // Check if root stable exists
-        const stableDir = path.join(DIST_ROOT, 'stable');
-        if (!existsSync(stableDir)) {
-            console.log('⚠️ Stable build not found. Fallback: Populating root from Latest.');
-            shouldMirror = true;
-            mirrorSource = outputDir;
+/**
+ * Converts CLI arguments into `build()` options.
+ * @param {string[]} args - `process.argv.slice(2)`
+ * @returns {Object} Options for `build()` (plus `suite` / `all` for full builds)
+ */
+function parseArgs(args) {
+    const options = {};
+    const cleanedArgs = [];
+    // `compose <leaf...>`: every remaining positional argument is a leaf
+    const isCompose = args[0] === 'compose';
+    for (let i = isCompose ? 1 : 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--source') {
+            options.sourceRef = args[i + 1]; i++;
+        } else if (arg === '--recipe') {
+            options.recipe = args[i + 1]; i++;
+        } else if (arg === '--purge') {
+            options.purge = true;
+        } else if (arg === '--no-maps') {
+            options.sourceMaps = false;
+        } else if (arg === '--layers') {
+            options.layers = true;
+        } else if (arg === '--strict') {
+            options.strict = true;
+        } else if (arg === '--incremental') {
+            options.incremental = true;
+        } else if (arg === '--offline-docs') {
+            options.offlineDocs = true;
+        } else if (arg === '--check-links') {
+            options.links = 'strict';
+        } else if (arg === '--external-links') {
+            options.externalLinks = true;
+        } else if (arg === '--contrast') {
+            // Optional level right after the flag, AA by default
+            options.contrast = LEVELS[args[i + 1]] ? args[++i] : 'AA';
+        } else if (PREFIX_MODES.includes(arg)) {
+            options.prefixMode = arg;
+            // Check if next arg is a custom prefix (not a flag, not a known keyword, not a leaf path)
+            const nextArg = args[i + 1];
+            if (nextArg && !nextArg.startsWith('-') && !nextArg.includes('/') && !['preview', 'stable', 'latest', 'full', 'all', ...PREFIX_MODES].includes(nextArg)) {
+                options.prefix = nextArg;
+                i++;
+            }
+        } else {
+            cleanedArgs.push(arg);
+        }
+    }
+    // `full` / `all`: every flag goes to each build of the suite, which picks its own channels and prefixes
+    const suiteArg = !isCompose && cleanedArgs.find(arg => arg === 'full' || arg === 'all');
+    if (suiteArg) {
+        const unsupported = [
+            ...cleanedArgs.filter(arg => arg !== suiteArg),
+            ...(options.prefixMode ? [options.prefixMode] : []),
+            ...(options.recipe ? ['--recipe'] : [])
+        ];
+        if (unsupported.length) {
+            throw new Error(`❌ Unsupported in ${suiteArg} builds: ${unsupported.join(', ')} (the suite builds every channel and prefix mode)`);
         }
+        return { suite: true, all: suiteArg === 'all', ...options };
+    }
+    if (isCompose) {
+        if (!options.recipe) options.compose = cleanedArgs;
+    } else if (cleanedArgs[0]) {
+        options.channel = cleanedArgs[0];
     }
+    return options;
+}
+
+async function main() {
+    const { suite, all, ...options } = parseArgs(process.argv.slice(2));
 
-    if (shouldMirror && mirrorSource) {
-        await mirrorToRoot(mirrorSource);
+    // --- FULL/ALL BUILD WORKFLOW ---
+    if (suite) {
+        console.log(`🚀 Starting ${all ? 'ALL' : 'FULL'} build...`);
+        await buildSuite({ ...options, all, logger: console });
+        console.log(`\n✨ All ${all ? 'all' : 'full'} build tasks completed!`);
+        return;
     }
-    console.log('🎉 Build complete!');
+
+    await build({ ...options, logger: console });
     spawnSync('npm', ['audit', '--json'], { stdio: 'ignore' });
 }
 
-main().catch(e => { console.error('Build failed:', e); process.exit(1); });
+if (require.main === module) {
+    main().catch(e => { console.error('Build failed:', e.message); process.exit(1); });
+}
+
+module.exports = { build, buildSuite, bundleCss, traceBundle, composeCss, importProblems, parseImport, prefixCss, minifyCss, cleanCss };
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Incremental Build Cache
+ *
+ * @description
+ * Remembers what the last build of a channel was made from, so the next one only rebuilds
+ * what changed. Used by `build.js --incremental` (and therefore by `watch.js`).
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🧠 MODEL
+ * ---------------------------------------------------------------------------------------------
+ *
+ * 1. SOURCE HASHES
+ *    - Every file under `src/` (and the root `README.md`) is hashed (SHA-1 of its content),
+ *      plus `@build`, the digest of the stylesheets docs pages link and embed for cache busting
+ *      (`digestHashes`), and `@pages`, the page list of the docs navigation.
+ *
+ * 2. UNITS
+ *    - A unit is one thing the build writes: `u` (the core bundle), a module (`lib/layout`),
+ *      a leaf (`lib/layout/grid/gaps`) or a docs page (`docs:src/lib/layout/README.md`).
+ *    - Each unit stores its dependencies (the files its `@import` graph reached, including
+ *      missing imports) and the artifacts it produced.
+ *    - A unit is dirty when one of its dependencies has a different hash (added, changed or
+ *      deleted). Units whose entry file disappeared are removed along with their artifacts.
+ *
+ * 3. SETTINGS KEY
+ *    - Prefix mode, prefix, layers, the config, the package version and the build scripts
+ *      themselves are hashed into one key. A different key means a full rebuild.
+ *
+ * The cache lives in `dist/.cache/<channel>.json`, outside the channel folder, so it is never
+ * deployed, and is ignored as soon as the channel folder is missing.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports hashSources
+ * @exports digestHashes
+ * @exports settingsKey
+ * @exports cacheFile
+ * @exports readCache
+ * @exports writeCache
+ * @exports removeCache
+ * @exports isDirty
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const CACHE_VERSION = 1;
+
+const sha1 = (data) => crypto.createHash('sha1').update(data).digest('hex');
+const toPosix = (p) => p.split(path.sep).join('/');
+
+/**
+ * Hashes every file of the given directories (recursively) and files.
+ * @param {string[]} paths - Absolute paths (usually `src/` and the root `README.md`)
+ * @returns {Object<string, string>} Project-relative posix path -> SHA-1
+ */
+function hashSources(paths) {
+    const hashes = {};
+    const visit = (current) => {
+        if (!fs.existsSync(current)) return;
+        if (fs.statSync(current).isDirectory()) {
+            for (const name of fs.readdirSync(current)) visit(path.join(current, name));
+        } else {
+            hashes[toPosix(path.relative(PROJECT_ROOT, current))] = sha1(fs.readFileSync(current));
+        }
+    };
+    paths.forEach(visit);
+    return hashes;
+}
+
+/**
+ * Short digest of a set of file hashes: the same sources give the same digest, on any machine.
+ * @param {Object<string, string>} hashes - From `hashSources` (file contents work too)
+ * @returns {string} 8 hex characters
+ */
+function digestHashes(hashes) {
+    return sha1(Object.keys(hashes).sort().map(file => `${file}:${hashes[file]}`).join('\n')).slice(0, 8);
+}
+
+/**
+ * Hash of everything that changes the output without touching `src/`.
+ * @param {Object} settings - Build options that shape the output (JSON-serializable)
+ * @returns {string}
+ */
+function settingsKey(settings) {
+    const scriptsDir = path.join(PROJECT_ROOT, 'scripts');
+    const scripts = fs.readdirSync(scriptsDir)
+        .filter(f => f.endsWith('.js'))
+        .sort()
+        .map(f => sha1(fs.readFileSync(path.join(scriptsDir, f))));
+    const { version } = require('../package.json');
+    return sha1(JSON.stringify({ version: CACHE_VERSION, settings, scripts, package: version }));
+}
+
+/**
+ * Where the cache of an output directory is stored.
+ * @param {string} outputDir - Absolute channel folder (e.g. `dist/latest`)
+ * @returns {string}
+ */
+function cacheFile(outputDir) {
+    return path.join(path.dirname(outputDir), '.cache', `${path.basename(outputDir)}.json`);
+}
+
+/**
+ * Reads the cache of an output directory.
+ * @param {string} outputDir
+ * @param {string} key - Current `settingsKey`
+ * @returns {{key: string, hashes: Object<string, string>, units: Object<string, {deps: string[], outputs: string[]}>, artifacts: Object<string, Object>}|null}
+ *   null when there is no usable cache (missing, unreadable, other settings, channel folder or an artifact gone)
+ */
+function readCache(outputDir, key) {
+    let cache;
+    try {
+        cache = JSON.parse(fs.readFileSync(cacheFile(outputDir), 'utf8'));
+    } catch (e) {
+        return null;
+    }
+    if (!cache || cache.key !== key || !fs.existsSync(outputDir)) return null;
+    const outputs = Object.values(cache.units).flatMap(unit => unit.outputs);
+    if (!outputs.every(file => fs.existsSync(path.join(outputDir, file)))) return null;
+    return cache;
+}
+
+/**
+ * Writes the cache of an output directory.
+ * @param {string} outputDir
+ * @param {Object} cache - `{key, hashes, units, artifacts}`
+ */
+function writeCache(outputDir, cache) {
+    const file = cacheFile(outputDir);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(cache));
+}
+
+/**
+ * Deletes the cache of an output directory (a build that stops half-way must not leave a
+ * cache describing artifacts it already replaced).
+ * @param {string} outputDir
+ */
+function removeCache(outputDir) {
+    fs.rmSync(cacheFile(outputDir), { force: true });
+}
+
+/**
+ * Whether a unit must be rebuilt.
+ * @param {Object|null} cache - From `readCache`
+ * @param {string} unit
+ * @param {Object<string, string>} hashes - Current source hashes
+ * @returns {boolean}
+ */
+function isDirty(cache, unit, hashes) {
+    const previous = cache && cache.units[unit];
+    if (!previous) return true;
+    return previous.deps.some(dep => cache.hashes[dep] !== hashes[dep]);
+}
+
+module.exports = { hashSources, digestHashes, settingsKey, cacheFile, readCache, writeCache, removeCache, isDirty };
@@ -0,0 +1,305 @@
+/**
+ * @fileoverview API Catalog
+ *
+ * @description
+ * The "Index". Turns the source files and their doc comments into `ucss-api.json`, a
+ * machine-readable catalog of every class and custom property: which module and leaf file it
+ * lives in, its group, its description, and (for classes) which variables it reads, with their
+ * fallback defaults. Editors, docs and site tooling read it instead of parsing CSS themselves.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 📝 DOC COMMENTS
+ * ---------------------------------------------------------------------------------------------
+ *
+ * - `@file <Title>` (+ `@description`, `@usage`): the header of a leaf. Lines after the title
+ *   count as its description when there is no `@description`.
+ * - `@group <Name>` (+ description lines): applies to every following rule or declaration of the
+ *   file, until the next `@group`.
+ * - `@part <Name>`: a subsection of the current group (mostly in `config/root`).
+ * - Plain comments (`/* Primary Color *\/`, `/** Align Items *\/`) describe the rules and
+ *   declarations that follow them, until the next blank line.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 📋 CATALOG
+ * ---------------------------------------------------------------------------------------------
+ *
+ * - CLASSES: `{ module, file, group, description, reads, sets }`. The file is where the class is
+ *   first styled, i.e. the subject of a selector (`.crd .title` styles `title`, `:not()` mentions
+ *   do not count), preferring rules that style it on its own (`.btn` over `p + .btn`) and the
+ *   framework modules over the `config` adapters that restyle it.
+ *   `reads`: every `var(--x, fallback)` in its rules (fallback or null), `sets`: the custom
+ *   properties its rules assign.
+ *   The description is the comment above the rule, else the group's, else the file's.
+ * - VARIABLES: `{ default, scope, module, file, selector, group, part, description }`.
+ *   `scope`: `root` (declared on `:root` outside `@media` / `@supports` / `@container`), `local`
+ *   (declared in a component rule only) or `hook` (never declared, only read: `default` is the
+ *   fallback of its first `var()`).
+ * - FILES: the `@file` header of every leaf (`title`, `description`, `usage`).
+ * - PREFIXES: for `p` / `c` / `v`, class names, variable names, selectors and values carry the
+ *   prefix, exactly like the stylesheets of the channel. Descriptions are left as written.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🚀 USAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * @example
+ * // Written by build.js into every channel (`dist/latest/ucss-api.json`)
+ * const api = require('./dist/latest/ucss-api.json');
+ * api.classes.btn.reads['--btn-bg'];  // 'var(--p, #eec14c)'
+ * api.variables['--p'].file;          // 'lib/config/root/colors.css'
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports createCatalog
+ * @exports parseDocComment
+ * @exports varReads
+ * @exports CATALOG_FILE
+ */
+
+const { parseCss, splitList, closingParen, moduleOf, CONDITIONAL_AT_RULES } = require('./parse');
+const { selectorClasses, isRootSelector } = require('./extract');
+const { prefixCss, prefixVariables, isExcludedClass } = require('./prefix');
+
+const CATALOG_FILE = 'ucss-api.json';
+
+/**
+ * Splits a doc comment into its tags and its untagged text.
+ * @param {string} comment - The comment, with its delimiters
+ * @returns {{tags: Object<string, string[]>, text: string}} `tags`: lines per tag (the first one is
+ *   the rest of the tag line). `text`: the lines before the first tag.
+ */
+function parseDocComment(comment) {
+    const lines = comment.replace(/^\/\*+/, '').replace(/\*+\/$/, '').split('\n')
+        .map(line => line.replace(/^\s*\*+(?!\/)/, '').trim());
+    const tags = {};
+    const plain = [];
+    let current = plain;
+    for (const line of lines) {
+        const tag = line.match(/^@(\w+)\s*(.*)$/);
+        if (tag) {
+            current = tags[tag[1]] = tag[2] ? [tag[2]] : [];
+        } else {
+            current.push(line);
+        }
+    }
+    // `/* --- Dark --- */` -> `Dark`
+    return { tags, text: plain.filter(Boolean).join(' ').replace(/^[-=\s]+|[-=\s]+$/g, '') };
+}
+
+/**
+ * Every `var()` of a value, nested ones included, in order.
+ * @param {string} value
+ * @returns {Array<{name: string, fallback: (string|null)}>}
+ */
+function varReads(value) {
+    const reads = [];
+    const pattern = /\bvar\(\s*(--[\w-]+)\s*(,?)/g;
+    let match;
+    while ((match = pattern.exec(value))) {
+        let fallback = null;
+        if (match[2]) {
+            const start = match.index + match[0].length;
+            fallback = value.slice(start, closingParen(value, start)).replace(/\s+/g, ' ').trim();
+        }
+        reads.push({ name: match[1], fallback });
+    }
+    return reads;
+}
+
+/**
+ * Classes a selector list styles: those of the last compound of each selector, `:where()` / `:is()`
+ * lists included, other functional pseudo-classes (`:not()`, `:has()`) excluded
+ * (`.crd .title` styles `title`, `:not(.g) > .btn` styles `btn`).
+ * @param {string} selector
+ * @param {Map<string, boolean>} [names] - Collects class -> whether it is styled on its own somewhere:
+ *   alone in its compound and without context (`.btn`, `:where(.btn, .button)`), rather than
+ *   `p + .btn`, `.btn.set`, `button.btn` or `&.g`
+ * @param {boolean} [context=false] - Whether the list itself is in context
+ * @returns {Map<string, boolean>}
+ */
+function subjectClasses(selector, names = new Map(), context = false) {
+    for (const item of splitList(selector)) {
+        let subject = '';
+        let combined = false;
+        let depth = 0;
+        for (const ch of item) {
+            if (ch === '(' || ch === '[') depth++;
+            else if (ch === ')' || ch === ']') depth--;
+            // A combinator starts the next compound
+            if (depth === 0 && /[\s>+~]/.test(ch)) {
+                subject = '';
+                combined = true;
+            } else {
+                subject += ch;
+            }
+        }
+
+        let own = '';
+        const lists = [];
+        for (let i = 0; i < subject.length; i++) {
+            const pseudo = subject.slice(i).match(/^::?([\w-]+)\(/);
+            if (!pseudo) {
+                own += subject[i];
+                continue;
+            }
+            const close = closingParen(subject, i + pseudo[0].length);
+            if (/^(where|is|matches)$/i.test(pseudo[1])) lists.push(subject.slice(i + pseudo[0].length, close));
+            i = close;
+        }
+        const direct = selectorClasses(own);
+        const inContext = context || combined || subject.includes('&');
+        // Nothing but the class (and plain pseudo-classes): not `button.btn` or `[data-style].set`
+        const alone = !inContext && !lists.length && /^\.(?:[\w-]|\\.)+$/.test(own.replace(/::?[\w-]+/g, ''));
+        direct.forEach(name => names.set(name, alone || names.get(name) === true));
+        lists.forEach(list => subjectClasses(list, names, inContext || direct.length > 0));
+    }
+    return names;
+}
+
+/**
+ * Builds the catalog from the source files.
+ * @param {Map<string, string>} sources - Project-relative path (`src/lib/...`) -> content, in cascade order
+ * @param {Object} [options]
+ * @param {string} [options.channel]
+ * @param {string} [options.version]
+ * @param {'p'|'c'|'v'} [options.prefixMode]
+ * @param {string} [options.prefix]
+ * @returns {{name: string, version: (string|null), channel: (string|null), prefix: (Object|null), files: Object, classes: Object, variables: Object}}
+ * @throws {Error} If a source file cannot be parsed (see `parseCss`).
+ */
+function createCatalog(sources, { channel = null, version = null, prefixMode = null, prefix = null } = {}) {
+    const files = {};
+    const classes = new Map();
+    const variables = new Map();
+    const rank = { hook: 0, local: 1, root: 2 };
+
+    for (const [source, css] of sources) {
+        const file = source.replace(/^src\//, '');
+        const mod = moduleOf(source);
+        let group = null;
+        let part = null;
+
+        const describe = (note) => note || (group && group.description) || (files[file] && files[file].description) || null;
+
+        const classEntry = (name, styled, note) => {
+            // Mentioned < styled in context < styled on its own; config adapters < modules
+            const weight = styled === undefined ? 0 : 1 + (styled ? 2 : 0) + (mod === 'config' ? 0 : 1);
+            const entry = classes.get(name);
+            if (entry && entry.weight >= weight) return entry;
+            const next = { module: mod, file, group: group && group.name, description: describe(note), reads: {}, sets: {}, weight };
+            classes.set(name, next);
+            return next;
+        };
+
+        const recordVariable = (name, candidate) => {
+            const current = variables.get(name);
+            if (current && rank[current.scope] >= rank[candidate.scope]) return;
+            variables.set(name, { module: mod, file, group: group && group.name, part, ...candidate });
+        };
+
+        const visit = (children, ctx) => {
+            let note = null;
+            let previousEnd = null;
+            for (const node of children) {
+                // A blank line ends what the last plain comment describes
+                if (previousEnd !== null && /\n[ \t]*\r?\n/.test(css.slice(previousEnd, node.start))) note = null;
+                previousEnd = node.end;
+
+                if (node.type === 'comment') {
+                    const { tags, text } = parseDocComment(css.slice(node.start, node.end));
+                    if (tags.file) {
+                        const [title, ...rest] = tags.file;
+                        const description = (tags.description || rest).filter(Boolean).join(' ');
+                        files[file] = { module: mod, title: title || null, description: description || null, usage: tags.usage ? tags.usage.filter(Boolean).join('\n') : null };
+                    } else if (tags.group) {
+                        const [name, ...rest] = tags.group;
+                        group = { name: name || null, description: rest.filter(Boolean).join(' ') || null };
+                        part = null;
+                    } else if (tags.part) {
+                        part = tags.part[0] || null;
+                    } else if (text) {
+                        note = text;
+                    }
+                    continue;
+                }
+
+                if (node.type === 'atrule') {
+                    const name = node.name.toLowerCase();
+                    if (node.children && !name.endsWith('keyframes')) {
+                        visit(node.children, { ...ctx, conditional: ctx.conditional || CONDITIONAL_AT_RULES.includes(name) });
+                    }
+                    continue;
+                }
+
+                if (node.type === 'decl') {
+                    if (!ctx.selector) continue;
+                    const text = css.slice(node.start, node.end).replace(/;$/, '');
+                    const colon = text.indexOf(':');
+                    if (colon === -1) continue;
+                    const property = text.slice(0, colon).trim();
+                    const value = text.slice(colon + 1).replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\s+/g, ' ').trim();
+
+                    if (property.startsWith('--')) {
+                        const scope = ctx.root && !ctx.conditional ? 'root' : 'local';
+                        recordVariable(property, { default: value, scope, selector: ctx.selector, description: note });
+                        ctx.classes.forEach(entry => { if (!(property in entry.sets)) entry.sets[property] = value; });
+                    }
+                    for (const read of varReads(value)) {
+                        recordVariable(read.name, { default: read.fallback, scope: 'hook', selector: ctx.selector, description: null });
+                        ctx.classes.forEach(entry => { if (!(read.name in entry.reads)) entry.reads[read.name] = read.fallback; });
+                    }
+                    continue;
+                }
+
+                if (node.type !== 'rule') continue;
+                const selector = node.prelude.replace(/\s+/g, ' ').trim();
+                const styled = subjectClasses(selector);
+                const own = [];
+                for (const name of selectorClasses(selector)) {
+                    const entry = classEntry(name, styled.get(name), note);
+                    if (styled.has(name)) own.push(entry);
+                }
+                const root = isRootSelector(selector);
+                // Nested rules (`&:hover`) still belong to the classes of their parent
+                visit(node.children, { ...ctx, selector, root, classes: [...new Set([...ctx.classes, ...own])] });
+            }
+        };
+        visit(parseCss(css).children, { conditional: false, selector: null, root: false, classes: [] });
+    }
+
+    // Prefixes, exactly as prefix.js applies them to the stylesheets
+    const p = prefix && (prefix.endsWith('-') ? prefix : `${prefix}-`);
+    const classPrefixed = prefixMode === 'p' || prefixMode === 'c';
+    const varPrefixed = prefixMode === 'p' || prefixMode === 'v';
+    const className = (name) => (classPrefixed && !isExcludedClass(name) ? `${p}${name}` : name);
+    const vars = (text) => (varPrefixed && text ? prefixVariables(text, `--${p}`) : text);
+    const selectorOf = (text) => (prefixMode && text ? prefixCss(text, prefixMode, prefix) : text);
+    const mapValues = (object) => Object.fromEntries(Object.entries(object).map(([name, value]) => [vars(name), vars(value)]));
+
+    const byName = (a, b) => a[0].localeCompare(b[0]);
+    return {
+        name: 'ucss',
+        version,
+        channel,
+        prefix: prefixMode ? { mode: prefixMode, prefix: p } : null,
+        files,
+        classes: Object.fromEntries([...classes].map(([name, { weight, ...entry }]) => [className(name), {
+            ...entry,
+            reads: mapValues(entry.reads),
+            sets: mapValues(entry.sets)
+        }]).sort(byName)),
+        variables: Object.fromEntries([...variables].map(([name, entry]) => [vars(name), {
+            default: vars(entry.default),
+            scope: entry.scope,
+            module: entry.module,
+            file: entry.file,
+            selector: selectorOf(entry.selector),
+            group: entry.group,
+            part: entry.part,
+            description: entry.description
+        }]).sort(byName))
+    };
+}
+
+module.exports = { createCatalog, parseDocComment, varReads, CATALOG_FILE };
@@ -20,7 +20,8 @@
  *    - Goal: "Kill it with fire".
  * 
  * 3. SAFE (`npm run clean:safe`)
- *    - Action: Deletes `dist/` content EXCEPT `stable` and `latest`.
+ *    - Action: Deletes `dist/` content EXCEPT `stable`, `latest` and the releases
+ *      (`dist/1.2.0/`, `versions.json`, see `release.js`).
  *    - Goal: "Clear disk space (previews) without breaking my local dev server".
  * 
  * 4. TARGETED (`npm run clean [target]`)
@@ -40,10 +41,13 @@
 const fs = require('fs');
 const path = require('path');
 const { spawnSync } = require('child_process');
+const { loadConfig } = require('./config');
+const { isVersion } = require('./semver');
 
 const PROJECT_ROOT = path.resolve(__dirname, '..');
 const DIST_DIR = path.join(PROJECT_ROOT, 'dist');
 const ARGS = process.argv.slice(2); // Get arguments passed to the script
+const { channels: CHANNELS } = loadConfig();
 
 /**
  * Recursively deletes a file or directory if it exists.
@@ -105,13 +109,14 @@ function main() {
         return;
     }
 
-    // Case 2: SAFE -> Delete everything except stable & latest
+    // Case 2: SAFE -> Delete everything except stable, latest & releases
     if (mode === 'safe') {
         console.log('🛡️  Safe cleaning...');
         if (fs.existsSync(DIST_DIR)) {
             const files = fs.readdirSync(DIST_DIR);
             for (const file of files) {
-                if (file !== 'stable' && file !== 'latest') {
+                const isRelease = isVersion(file) || file === 'versions.json';
+                if (file !== CHANNELS.stable && file !== CHANNELS.latest && !isRelease) {
                     remove(path.join(DIST_DIR, file));
                 }
             }
@@ -124,7 +129,7 @@ function main() {
     if (mode === 'preview') {
         console.log('🗑️  Cleaning previews...');
         if (fs.existsSync(DIST_DIR)) {
-            removePattern(DIST_DIR, /^preview-/);
+            removePattern(DIST_DIR, new RegExp(`^${CHANNELS.preview}-`));
         }
         return;
     }
@@ -132,7 +137,7 @@ function main() {
     // Case 4: SPECIFIC TARGET -> Delete dist/[target]
     if (mode && mode !== 'dist' && mode !== 'wipe') {
         // e.g. 'stable', 'latest', 'p', 'v'
-        const customTarget = path.join(DIST_DIR, mode);
+        const customTarget = path.join(DIST_DIR, CHANNELS[mode] || mode);
         if (fs.existsSync(customTarget)) {
             remove(customTarget);
         } else {
@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Color Conversions
+ *
+ * @description
+ * The "Palette". Parses the color notations used in `src/lib/config/` (hex, `rgb()`, `hsl()`) and
+ * converts between them, so scripts can reason about colors instead of strings: design token
+ * export / import (`tokens.js`), the brand theme generator (`theme.js`), the WCAG contrast audit
+ * (`contrast.js`) and anything else that needs the real color behind a variable.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 📋 FORMAT
+ * ---------------------------------------------------------------------------------------------
+ *
+ * - RGB: `{r, g, b, alpha}`, channels 0-255 (not rounded), alpha 0-1.
+ * - HSL: `{h, s, l, alpha}`, hue 0-360, saturation / lightness 0-100.
+ * - Both comma (`hsl(43, 83%, 62%)`) and space (`hsl(43 83% 62% / .64)`) syntaxes are read,
+ *   `hsla()` / `rgba()` and `deg` / `%` alphas included. Anything else returns `null`.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🚀 USAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * @example
+ * const { parseColor, formatHex, rgbToHsl, contrastRatio } = require('./color');
+ * formatHex(parseColor('hsl(43 83% 62%)'));  // '#efc14e'
+ * rgbToHsl(parseColor('#1a73e8'));            // { h: 214.1, s: 81.7, l: 50.6, alpha: 1 }
+ * contrastRatio(parseColor('#141414'), parseColor('#f5f5f5')); // 16.9
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports parseColor
+ * @exports formatHex
+ * @exports formatHsl
+ * @exports rgbToHsl
+ * @exports hslToRgb
+ * @exports blend
+ * @exports relativeLuminance
+ * @exports contrastRatio
+ */
+
+/**
+ * Rounds to one decimal (`81.63` -> `81.6`, `43.0` -> `43`).
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Reads an alpha (`.64`, `64%`), `1` when omitted.
+ * @param {string} [text]
+ * @returns {number}
+ */
+function parseAlpha(text) {
+    if (text === undefined) return 1;
+    const value = parseFloat(text) / (text.endsWith('%') ? 100 : 1);
+    return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Converts HSL to RGB.
+ * @param {{h: number, s: number, l: number, alpha?: number}} hsl
+ * @returns {{r: number, g: number, b: number, alpha: number}}
+ */
+function hslToRgb({ h, s, l, alpha = 1 }) {
+    const sat = Math.min(100, Math.max(0, s)) / 100;
+    const light = Math.min(100, Math.max(0, l)) / 100;
+    const hue = ((h % 360) + 360) % 360;
+    const k = (n) => (n + hue / 30) % 12;
+    const a = sat * Math.min(light, 1 - light);
+    const f = (n) => light - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+    return { r: f(0) * 255, g: f(8) * 255, b: f(4) * 255, alpha };
+}
+
+/**
+ * Converts RGB to HSL (one decimal).
+ * @param {{r: number, g: number, b: number, alpha?: number}} rgb
+ * @returns {{h: number, s: number, l: number, alpha: number}}
+ */
+function rgbToHsl({ r, g, b, alpha = 1 }) {
+    const [red, green, blue] = [r, g, b].map(channel => channel / 255);
+    const max = Math.max(red, green, blue);
+    const min = Math.min(red, green, blue);
+    const l = (max + min) / 2;
+    const d = max - min;
+    let h = 0;
+    let s = 0;
+    if (d) {
+        s = d / (1 - Math.abs(2 * l - 1));
+        if (max === red) h = ((green - blue) / d) % 6;
+        else if (max === green) h = (blue - red) / d + 2;
+        else h = (red - green) / d + 4;
+        h = (h * 60 + 360) % 360;
+    }
+    return { h: round(h), s: round(s * 100), l: round(l * 100), alpha };
+}
+
+/**
+ * Parses a CSS color.
+ * @param {string} text - `#rgb`, `#rgba`, `#rrggbb`, `#rrggbbaa`, `rgb()`, `rgba()`, `hsl()` or `hsla()`
+ * @returns {{r: number, g: number, b: number, alpha: number}|null} `null` for anything else
+ *   (keywords, `var()`, `color-mix()`, ...).
+ */
+function parseColor(text) {
+    const value = String(text).trim().toLowerCase();
+
+    const hex = value.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+    if (hex) {
+        const digits = hex[1].length <= 4 ? hex[1].replace(/./g, '$&$&') : hex[1];
+        const [r, g, b, a] = digits.match(/../g).map(pair => parseInt(pair, 16));
+        return { r, g, b, alpha: a === undefined ? 1 : Math.round((a / 255) * 1000) / 1000 };
+    }
+
+    const fn = value.match(/^(rgba?|hsla?)\((.*)\)$/);
+    if (!fn) return null;
+    const [channels, alpha] = fn[2].includes('/') ? fn[2].split('/') : [fn[2]];
+    // `hsla(43, 83%, 62%, .64)`: the legacy alpha is the fourth channel
+    const [x, y, z, legacyAlpha, extra] = channels.split(/[\s,]+/).filter(Boolean);
+    if (!z || extra || !/^[\d.+-]/.test(x)) return null;
+    const a = parseAlpha((alpha || legacyAlpha || '').trim() || undefined);
+
+    if (fn[1].startsWith('rgb')) {
+        const channel = (part) => (part.endsWith('%') ? (parseFloat(part) / 100) * 255 : parseFloat(part));
+        const rgb = { r: channel(x), g: channel(y), b: channel(z), alpha: a };
+        return [rgb.r, rgb.g, rgb.b].some(Number.isNaN) ? null : rgb;
+    }
+    const hsl = { h: parseFloat(x), s: parseFloat(y), l: parseFloat(z), alpha: a };
+    return [hsl.h, hsl.s, hsl.l].some(Number.isNaN) ? null : hslToRgb(hsl);
+}
+
+/**
+ * Formats a color as hex (`#rrggbb`, or `#rrggbbaa` when translucent).
+ * @param {{r: number, g: number, b: number, alpha?: number}} rgb
+ * @returns {string}
+ */
+function formatHex({ r, g, b, alpha = 1 }) {
+    const pair = (channel) => Math.round(Math.min(255, Math.max(0, channel))).toString(16).padStart(2, '0');
+    return `#${pair(r)}${pair(g)}${pair(b)}${alpha < 1 ? pair(alpha * 255) : ''}`;
+}
+
+/**
+ * Formats a color as `hsl()`, in the notation of the config files (`hsl(43 83% 62%)`, `/ .64`).
+ * @param {{r: number, g: number, b: number, alpha?: number}} rgb
+ * @returns {string}
+ */
+function formatHsl(rgb) {
+    const { h, s, l, alpha } = rgbToHsl(rgb);
+    const a = alpha < 1 ? ` / ${String(Math.round(alpha * 100) / 100).replace(/^0\./, '.')}` : '';
+    return `hsl(${h} ${s}% ${l}%${a})`;
+}
+
+/**
+ * Composites a (translucent) color over an opaque background.
+ * @param {{r: number, g: number, b: number, alpha?: number}} color
+ * @param {{r: number, g: number, b: number}} background
+ * @returns {{r: number, g: number, b: number, alpha: number}} Opaque
+ */
+function blend(color, background) {
+    const alpha = color.alpha === undefined ? 1 : color.alpha;
+    const mix = (channel) => color[channel] * alpha + background[channel] * (1 - alpha);
+    return { r: mix('r'), g: mix('g'), b: mix('b'), alpha: 1 };
+}
+
+/**
+ * WCAG 2.x relative luminance (alpha ignored).
+ * @param {{r: number, g: number, b: number}} rgb
+ * @returns {number} 0 (black) to 1 (white)
+ */
+function relativeLuminance({ r, g, b }) {
+    const linear = (channel) => {
+        const c = Math.min(255, Math.max(0, channel)) / 255;
+        return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    };
+    return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * WCAG 2.x contrast ratio of two opaque colors (blend translucent ones first).
+ * @param {{r: number, g: number, b: number}} a
+ * @param {{r: number, g: number, b: number}} b
+ * @returns {number} 1 to 21, two decimals
+ */
+function contrastRatio(a, b) {
+    const [light, dark] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+    return Math.round(((light + 0.05) / (dark + 0.05)) * 100) / 100;
+}
+
+module.exports = { parseColor, formatHex, formatHsl, rgbToHsl, hslToRgb, blend, relativeLuminance, contrastRatio };
@@ -36,6 +36,10 @@
  * @example
  * // Usually called automatically by build.js
  * node scripts/compress.js dist/latest
+ * 
+ * // Or programmatically
+ * const { compressDir } = require('./compress');
+ * const stats = await compressDir('dist/latest');
  */
 
 const fs = require('fs');
@@ -45,6 +49,7 @@ const { pipeline } = require('stream');
 const { promisify } = require('util');
 
 const pipe = promisify(pipeline);
+const { loadConfig } = require('./config');
 
 /**
  * Maximum number of concurrent compression operations.
@@ -54,25 +59,12 @@ const pipe = promisify(pipeline);
 const os = require('os');
 const MAX_CONCURRENCY = os.cpus().length;
 
-/**
- * File extensions to process.
- * @type {string[]}
- */
-const EXTENSIONS = ['.css', '.js', '.html', '.svg', '.json', '.xml'];
-
-// Get target directory from command line arguments
-const targetDir = process.argv[2];
-
-if (!targetDir) {
-    console.error('Usage: node scripts/compress.js <directory>');
-    process.exit(1);
-}
 
 /**
  * Recursively gets all files in a directory that match specific extensions.
  * @param {string} dirPath - The directory to search
  * @param {string[]} [arrayOfFiles=[]] - Internal accumulator for recursion
- * @returns {string[]} Array of absolute file paths that match EXTENSIONS
+ * @returns {string[]} Array of absolute file paths that match `compress.extensions`
  * @example
  * const files = getAllFiles('./dist/latest');
  * // Returns: ['/abs/path/dist/latest/u.css', '/abs/path/dist/latest/u.min.css', ...]
@@ -87,13 +79,15 @@ function getAllFiles(dirPath, arrayOfFiles) {
     }
 
     arrayOfFiles = arrayOfFiles || [];
+    // File extensions to process (`compress.extensions` in `ucss.config.*`)
+    const extensions = loadConfig().compress.extensions;
 
     files.forEach(function (file) {
         const fullPath = path.join(dirPath, file);
         if (fs.statSync(fullPath).isDirectory()) {
             arrayOfFiles = getAllFiles(fullPath, arrayOfFiles);
         } else {
-            if (EXTENSIONS.includes(path.extname(fullPath))) {
+            if (extensions.includes(path.extname(fullPath))) {
                 arrayOfFiles.push(fullPath);
             }
         }
@@ -106,7 +100,7 @@ function getAllFiles(dirPath, arrayOfFiles) {
  * Compresses a single file using Gzip and Brotli compression algorithms.
  * Creates two output files: filename.gz and filename.br
  * @param {string} filePath - Absolute path to the file to compress
- * @returns {Promise<void>}
+ * @returns {Promise<{size: number, gzip: number, brotli: number}>} Byte sizes of the original and both variants
  * @throws {Error} If compression fails for either algorithm
  * @example
  * await compressFile('/path/to/dist/u.min.css');
@@ -141,26 +135,31 @@ async function compressFile(filePath) {
     }
 
     // Stats
-    const gzSize = fs.statSync(filePath + '.gz').size;
-    const brSize = fs.statSync(filePath + '.br').size;
-    const fileName = path.relative(targetDir, filePath);
-
-    console.log(`  ✓ ${fileName}: ${originalSize}b -> gz:${gzSize}b br:${brSize}b`);
+    return {
+        size: originalSize,
+        gzip: fs.statSync(filePath + '.gz').size,
+        brotli: fs.statSync(filePath + '.br').size
+    };
 }
 
 /**
- * Main execution function. Manages concurrent compression operations
+ * Compresses every matching file in a directory. Manages concurrent compression operations
  * using a worker pool pattern to avoid EMFILE (too many open files) errors.
  * @async
- * @returns {Promise<void>}
+ * @param {string} targetDir - Directory to compress (recursively)
+ * @param {Object} [options]
+ * @param {{log: Function, error: Function}} [options.logger=console] - Progress output
+ * @param {string[]} [options.files] - Only these absolute paths (e.g. what an incremental build rewrote), still
+ *   limited to the configured extensions. Defaults to every matching file of `targetDir`.
+ * @returns {Promise<Array<{file: string, size: number, gzip: number, brotli: number}>>} Per-file stats, `file` relative to `targetDir`
  * @throws {Error} Logs errors but continues processing remaining files
  */
-async function main() {
-    console.log(`Compressing files in: ${targetDir}`);
-    const files = getAllFiles(targetDir);
+async function compressDir(targetDir, { logger = console, files: only } = {}) {
+    logger.log(`Compressing files in: ${targetDir}`);
+    const extensions = loadConfig().compress.extensions;
+    const files = only ? only.filter(file => extensions.includes(path.extname(file))) : getAllFiles(targetDir);
 
     // Concurrency control
-    let active = 0;
     let index = 0;
 
     const results = [];
@@ -171,11 +170,14 @@ async function main() {
 
         const i = index++;
         const file = files[i];
+        const fileName = path.relative(targetDir, file);
 
         try {
-            await compressFile(file);
+            const stats = await compressFile(file);
+            results[i] = { file: fileName.split(path.sep).join('/'), ...stats };
+            logger.log(`  ✓ ${fileName}: ${stats.size}b -> gz:${stats.gzip}b br:${stats.brotli}b`);
         } catch (err) {
-            console.error(`  ❌ Error compressing ${file}:`, err.message);
+            logger.error(`  ❌ Error compressing ${file}:`, err.message);
         }
 
         // Process next
@@ -189,10 +191,23 @@ async function main() {
     }
 
     await Promise.all(workers);
-    console.log('Compression complete.');
+    logger.log('Compression complete.');
+    return results.filter(Boolean);
+}
+
+if (require.main === module) {
+    // Get target directory from command line arguments
+    const targetDir = process.argv[2];
+
+    if (!targetDir) {
+        console.error('Usage: node scripts/compress.js <directory>');
+        process.exit(1);
+    }
+
+    compressDir(targetDir).catch(err => {
+        console.error('Fatal error:', err);
+        process.exit(1);
+    });
 }
 
-main().catch(err => {
-    console.error('Fatal error:', err);
-    process.exit(1);
-});
+module.exports = { compressDir, compressFile };
@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Project Configuration Loader
+ *
+ * @description
+ * The single source of truth for every tunable value used by the scripts in this folder.
+ * Reads an optional `ucss.config.js` or `ucss.config.json` from the project root,
+ * deep-merges it over the built-in defaults and validates the result.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * ⚙️ RESOLUTION
+ * ---------------------------------------------------------------------------------------------
+ *
+ * 1. DEFAULTS
+ *    - The values below reproduce the historical (hard-coded) behavior exactly.
+ *
+ * 2. USER FILE (`ucss.config.js` | `ucss.config.json`)
+ *    - Plain objects are merged key by key. Arrays and scalars replace the default.
+ *    - Only one of the two files may exist.
+ *
+ * 3. VALIDATION
+ *    - Unknown keys and wrong types are collected and reported together in one Error,
+ *      so a typo in a fork never silently falls back to a default.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🚀 USAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * @example
+ * // ucss.config.js
+ * module.exports = {
+ *     cdn: { host: 'cdn.example.com' },
+ *     prefix: { default: 'acme' },
+ *     remote: { ttlDays: 14 }
+ * };
+ *
+ * @example
+ * const { loadConfig } = require('./config');
+ * const { cdn } = loadConfig();
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const CONFIG_FILES = ['ucss.config.js', 'ucss.config.json'];
+
+/**
+ * Built-in defaults.
+ * @type {Object}
+ */
+const DEFAULTS = {
+    // Output folder names (dist/<name>) and the git branches that map onto them.
+    channels: {
+        stable: 'stable',
+        latest: 'latest',
+        preview: 'preview'
+    },
+    branches: {
+        stable: 'main',
+        latest: 'dev'
+    },
+    // Prefixing (see prefix.js). Names listed here are never prefixed (exact match or `name-*`).
+    prefix: {
+        default: 'u',
+        excludeVariables: ['theme', 'u', 'ucss', 'wp', 'block', 'editor'],
+        excludeClasses: ['wp', 'block', 'editor']
+    },
+    // Minimum byte size per artifact (relative to the channel folder). Guards against empty builds.
+    verify: {
+        'u.css': 5000,
+        'u.min.css': 3000,
+        'index.html': 1000,
+        'lib/patterns.min.css': 500
+    },
+    cdn: {
+        host: 'ucss.unqa.dev'
+    },
+    remote: {
+        retries: 3,
+        retryDelay: 2000,
+        ttlDays: 7
+    },
+    compress: {
+        extensions: ['.css', '.js', '.html', '.svg', '.json', '.xml']
+    },
+    // Named leaf lists for `build.js compose --recipe <name>`, e.g. { landing: ['layout/grid', 'patterns/button'] }
+    recipes: {},
+    // Content-aware purge (see purge.js). `content`: globs to scan, `safelist`: names or /patterns/ to always keep.
+    purge: {
+        content: [],
+        safelist: []
+    },
+    // Maximum sizes in bytes per bundle (see stats.js), e.g. { u: { gzip: 30000 }, layout: { min: 60000 } }
+    budgets: {}
+};
+
+// --- Validators ---
+// Each validator returns an error message, or null when the value is valid.
+
+const NAME = /^[a-zA-Z0-9_][\w.-]*$/;
+const IDENT = /^[a-zA-Z_][\w-]*$/;
+
+const string = (pattern, hint) => (v) => {
+    if (typeof v !== 'string' || !v) return 'must be a non-empty string';
+    if (pattern && !pattern.test(v)) return `must be ${hint}`;
+    return null;
+};
+
+const number = (min = 0) => (v) => {
+    if (typeof v !== 'number' || !Number.isFinite(v)) return 'must be a number';
+    if (v < min) return `must be >= ${min}`;
+    return null;
+};
+
+const list = (item) => (v) => {
+    if (!Array.isArray(v)) return 'must be an array';
+    for (let i = 0; i < v.length; i++) {
+        const err = item(v[i]);
+        if (err) return `[${i}] ${err}`;
+    }
+    return null;
+};
+
+const pattern = (v) => {
+    if (v instanceof RegExp || (typeof v === 'string' && v)) return null;
+    return 'must be a name, a "/regex/" string or a RegExp';
+};
+
+/** Marks an object whose keys are free-form; every value is checked with `item`. */
+const mapOf = (item) => ({ mapOf: item });
+
+/**
+ * Validation schema. Mirrors the shape of DEFAULTS.
+ * @type {Object}
+ */
+const SCHEMA = {
+    channels: {
+        stable: string(NAME, 'a folder name (letters, digits, ".", "_", "-")'),
+        latest: string(NAME, 'a folder name (letters, digits, ".", "_", "-")'),
+        preview: string(NAME, 'a folder name (letters, digits, ".", "_", "-")')
+    },
+    branches: {
+        stable: string(),
+        latest: string()
+    },
+    prefix: {
+        default: string(IDENT, 'a CSS identifier (e.g. "u", "acme")'),
+        excludeVariables: list(string(IDENT, 'a CSS identifier')),
+        excludeClasses: list(string(IDENT, 'a CSS identifier'))
+    },
+    verify: mapOf(number(0)),
+    cdn: {
+        host: string(/^[a-z0-9.-]+(:\d+)?$/i, 'a bare host name without protocol or path (e.g. "cdn.example.com")')
+    },
+    remote: {
+        retries: number(1),
+        retryDelay: number(0),
+        ttlDays: number(0)
+    },
+    compress: {
+        extensions: list(string(/^\.[\w.]+$/, 'an extension starting with "." (e.g. ".css")'))
+    },
+    recipes: mapOf(list(string(/^[\w-]+(\/[\w-]+)*(\.css)?$/, 'a leaf path relative to src/lib (e.g. "layout/grid")'))),
+    purge: {
+        content: list(string()),
+        safelist: list(pattern)
+    },
+    budgets: mapOf({
+        raw: number(0),
+        min: number(0),
+        gzip: number(0),
+        brotli: number(0)
+    })
+};
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Deep-merges `override` into `base`. Arrays and scalars replace, objects merge.
+ * @param {Object} base
+ * @param {Object} override
+ * @returns {Object} A new object
+ */
+function merge(base, override) {
+    const out = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        out[key] = isPlainObject(value) && isPlainObject(base[key]) ? merge(base[key], value) : value;
+    }
+    return out;
+}
+
+/**
+ * Validates a value against a schema node, collecting messages into `errors`.
+ * @param {*} value
+ * @param {Object|Function} schema
+ * @param {string} keyPath - Dotted path for messages
+ * @param {string[]} errors
+ */
+function validate(value, schema, keyPath, errors) {
+    if (typeof schema === 'function') {
+        const err = schema(value);
+        if (err) errors.push(`\`${keyPath}\` ${err} (got ${JSON.stringify(value)})`);
+        return;
+    }
+    if (!isPlainObject(value)) {
+        errors.push(`\`${keyPath}\` must be an object (got ${JSON.stringify(value)})`);
+        return;
+    }
+    if (schema.mapOf) {
+        for (const [key, v] of Object.entries(value)) validate(v, schema.mapOf, `${keyPath}.${key}`, errors);
+        return;
+    }
+    for (const [key, v] of Object.entries(value)) {
+        const childPath = keyPath ? `${keyPath}.${key}` : key;
+        if (!(key in schema)) {
+            errors.push(`Unknown option \`${childPath}\`. Known options: ${Object.keys(schema).join(', ')}`);
+            continue;
+        }
+        validate(v, schema[key], childPath, errors);
+    }
+}
+
+/**
+ * Reads the user config file (if any) from `root`.
+ * @param {string} root - Directory to look in
+ * @returns {{file: (string|null), data: Object}}
+ * @throws {Error} If both files exist, the file cannot be parsed, or it does not export an object.
+ */
+function readUserConfig(root) {
+    const found = CONFIG_FILES.map(f => path.join(root, f)).filter(f => fs.existsSync(f));
+    if (found.length === 0) return { file: null, data: {} };
+    if (found.length > 1) {
+        throw new Error(`❌ Found both ${CONFIG_FILES.join(' and ')}. Keep only one.`);
+    }
+
+    const file = found[0];
+    const name = path.basename(file);
+    let data;
+    try {
+        if (file.endsWith('.json')) {
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } else {
+            delete require.cache[require.resolve(file)];
+            data = require(file);
+        }
+    } catch (e) {
+        throw new Error(`❌ Could not load ${name}: ${e.message}`);
+    }
+
+    if (!isPlainObject(data)) {
+        throw new Error(`❌ ${name} must export an object (got ${Array.isArray(data) ? 'an array' : typeof data}).`);
+    }
+    return { file, data };
+}
+
+const cache = new Map();
+
+/**
+ * Loads, merges and validates the project configuration. Results are cached per root.
+ * @param {Object} [options]
+ * @param {string} [options.root] - Directory containing the config file. Defaults to the project root.
+ * @returns {Object} The frozen, fully-populated configuration
+ * @throws {Error} Listing every invalid or unknown option.
+ */
+function loadConfig({ root = PROJECT_ROOT } = {}) {
+    if (cache.has(root)) return cache.get(root);
+
+    const { file, data } = readUserConfig(root);
+    const errors = [];
+    validate(data, SCHEMA, '', errors);
+    if (errors.length) {
+        throw new Error(`❌ Invalid ${path.basename(file)}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    const config = deepFreeze(merge(DEFAULTS, data));
+    cache.set(root, config);
+    return config;
+}
+
+function deepFreeze(obj) {
+    for (const value of Object.values(obj)) {
+        if (value && typeof value === 'object') deepFreeze(value);
+    }
+    return Object.freeze(obj);
+}
+
+module.exports = { loadConfig, DEFAULTS };
@@ -0,0 +1,316 @@
+/**
+ * @fileoverview WCAG Contrast Audit
+ *
+ * @description
+ * The "Eye Test". Resolves the colors every built-in theming scope (`theming/set.css`) ends up
+ * with, from the defaults of `config/root/colors.css`, and computes the WCAG 2.x contrast ratio of
+ * its text, headings and links against its background. Runs with every build
+ * (`contrast-report.json`) and can fail it below AA.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔍 AUDIT
+ * ---------------------------------------------------------------------------------------------
+ *
+ * - SETS: `.set` itself, every preset (`.set.primary`, `.set.dark`, `.set.success`, ...) and every
+ *   variant declared for it (`.set.primary.bd`, `.set.success.alt`, ...), read from the selectors.
+ * - SCHEMES: `light` (the `:root` defaults) and `dark` (plus the `[data-scheme="dark"]` overrides).
+ * - ROLES: text (`p`), title (`h1`, `h2`), subtitle (`h3`-`h6`, `b`, `strong`), link and link hover,
+ *   each with the `color` the base `.set` rule gives it.
+ * - BACKGROUND: `background-color` of the set. Transparent and translucent backgrounds
+ *   (`--op-lt`) are composited over the page background (`--bg`), translucent text over the result.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * ⚖️ LEVELS (WCAG 2.x)
+ * ---------------------------------------------------------------------------------------------
+ *
+ * - AA: 4.5:1, 3:1 for large text (titles).
+ * - AAA: 7:1, 4.5:1 for large text.
+ * - Colors that cannot be resolved (a typo in a `var()` chain, `color-mix()`, ...) are reported
+ *   as `unresolved`, and fail every level.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🚀 USAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * @example
+ * npm run contrast                     // Table of every check
+ * npm run contrast -- --level AA       // Exit code 1 below AA
+ * npm run contrast -- --json --source v0.0.2
+ * node scripts/build.js latest --contrast        // Fail the build below AA
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports auditContrast
+ * @exports contrastFailures
+ * @exports formatContrast
+ * @exports CONTRAST_FILE
+ * @exports LEVELS
+ */
+
+const path = require('path');
+const { parseCss, splitList } = require('./parse');
+const { isRootSelector, resolveValue } = require('./extract');
+const { parseColor, formatHex, blend, contrastRatio } = require('./color');
+
+const CONTRAST_FILE = 'contrast-report.json';
+
+/** Minimum ratios per level: normal and large text. */
+const LEVELS = {
+    AA: { normal: 4.5, large: 3 },
+    AAA: { normal: 7, large: 4.5 }
+};
+
+// Roles checked in every set: the nested rule of `.set` giving their color
+const ROLES = [
+    { role: 'text', large: false, match: (selector) => /^:where\(p\b/.test(selector) },
+    { role: 'title', large: true, match: (selector) => /^:where\(h1\b/.test(selector) },
+    { role: 'subtitle', large: false, match: (selector) => /^:where\(h3\b/.test(selector) },
+    { role: 'link', large: false, match: (selector) => /^:is\(a\)/.test(selector) && !selector.includes(':hover') },
+    { role: 'link:hover', large: false, match: (selector) => /^:is\(a\)/.test(selector) && selector.includes(':hover') }
+];
+
+// Color schemes: the `[data-scheme]` value whose overrides apply (`null`: root defaults only)
+const SCHEMES = { light: null, dark: 'dark' };
+
+/**
+ * Custom property declarations of a rule (own children only), in order.
+ * @param {string} css
+ * @param {Object} rule - A `parseCss` rule node
+ * @returns {Array<[string, string]>} `[name, value]`
+ */
+function customProperties(css, rule) {
+    const declarations = [];
+    for (const child of rule.children) {
+        if (child.type !== 'decl') continue;
+        const decl = css.slice(child.start, child.end).match(/^(--[\w-]+)\s*:([\s\S]*?);?$/);
+        if (decl) declarations.push([decl[1], decl[2].replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\s+/g, ' ').trim()]);
+    }
+    return declarations;
+}
+
+/**
+ * Value of a standard property in a rule (own children only, last wins).
+ * @param {string} css
+ * @param {Object} rule
+ * @param {string} property
+ * @returns {string|null}
+ */
+function propertyValue(css, rule, property) {
+    let value = null;
+    for (const child of rule.children) {
+        if (child.type !== 'decl') continue;
+        const decl = css.slice(child.start, child.end).match(/^([\w-]+)\s*:([\s\S]*?);?$/);
+        if (decl && decl[1] === property) value = decl[2].trim();
+    }
+    return value;
+}
+
+/**
+ * Root variables of the config, per scheme.
+ * @param {string} css - `lib/config.css` bundle (or any stylesheet declaring the root variables)
+ * @returns {Object<string, Map<string, string>>} Scheme -> variable -> value
+ */
+function schemeVariables(css) {
+    const root = new Map();
+    const overrides = Object.fromEntries(Object.keys(SCHEMES).map(scheme => [scheme, new Map()]));
+    const visit = (children, conditional) => {
+        for (const node of children) {
+            if (node.type === 'atrule' && node.children) visit(node.children, true);
+            if (node.type !== 'rule') continue;
+            const declarations = customProperties(css, node);
+            if (!conditional && isRootSelector(node.prelude)) declarations.forEach(([name, value]) => root.set(name, value));
+            for (const [scheme, attribute] of Object.entries(SCHEMES)) {
+                if (!attribute) continue;
+                const matches = splitList(node.prelude).some(item => item.includes(`[data-scheme="${attribute}"]`));
+                if (matches) declarations.forEach(([name, value]) => overrides[scheme].set(name, value));
+            }
+        }
+    };
+    visit(parseCss(css).children, false);
+    return Object.fromEntries(Object.keys(SCHEMES).map(scheme => [scheme, new Map([...root, ...overrides[scheme]])]));
+}
+
+/**
+ * Reads the theming scopes of `set.css`.
+ * @param {string} css
+ * @returns {{base: {background: string, color: string, roles: Array<{role: string, large: boolean, value: string}>}, sets: Array<{name: string, selector: string, declarations: Map<string, string>}>}}
+ * @throws {Error} If the base `:where(.set)` rule is missing.
+ */
+function readSets(css) {
+    let base = null;
+    const presets = [];
+    const variants = [];
+    for (const node of parseCss(css).children) {
+        if (node.type !== 'rule') continue;
+        const prelude = node.prelude.replace(/\s+/g, ' ').trim();
+        const match = prelude.match(/^:where\(([^()]*)\)(?::where\(([^()]*)\))?$/);
+        if (!match) continue;
+        const items = splitList(match[1]);
+        const modifiers = match[2] ? splitList(match[2]) : null;
+        const declarations = customProperties(css, node);
+
+        if (items.length === 1 && items[0] === '.set' && !modifiers) {
+            const nested = node.children.filter(child => child.type === 'rule');
+            base = {
+                background: propertyValue(css, node, 'background-color'),
+                color: propertyValue(css, node, 'color'),
+                declarations,
+                roles: ROLES.map(({ role, large, match: test }) => {
+                    const rule = nested.find(child => test(child.prelude.replace(/\s+/g, ' ').trim()));
+                    return { role, large, value: rule ? propertyValue(css, rule, 'color') : null };
+                })
+            };
+        } else if (!modifiers) {
+            // Shared rules (`Alt for Notification Themes`) add to every preset they list
+            presets.filter(preset => items.includes(preset.selector)).forEach(preset => preset.declarations.push(...declarations));
+            if (items[0].startsWith('.set.') && !presets.some(preset => preset.selector === items[0])) {
+                presets.push({ name: items[0].slice('.set.'.length), selector: items[0], declarations: [...declarations] });
+            }
+        } else {
+            for (const preset of presets.filter(p => items.includes(p.selector))) {
+                variants.push({ preset, modifier: modifiers[0], declarations });
+            }
+        }
+    }
+    if (!base) throw new Error('❌ No `:where(.set)` rule found in the theming sets.');
+
+    const sets = [{ name: 'set', selector: '.set', declarations: new Map(base.declarations) }];
+    for (const preset of presets) {
+        sets.push({ name: preset.name, selector: preset.selector, declarations: new Map([...base.declarations, ...preset.declarations]) });
+    }
+    for (const { preset, modifier, declarations } of variants) {
+        sets.push({
+            name: `${preset.name}${modifier}`,
+            selector: `${preset.selector}${modifier}`,
+            declarations: new Map([...base.declarations, ...preset.declarations, ...declarations])
+        });
+    }
+    // Only scopes that change the background (`.set.border` only adds a border)
+    return { base, sets: sets.filter((set, i) => i === 0 || set.declarations.has('--set-bg') || set.declarations.has('--set-background')) };
+}
+
+/**
+ * Audits the contrast of every theming scope.
+ * @param {Object} sources
+ * @param {string} sources.config - The config bundle (`lib/config.css`)
+ * @param {string} sources.sets - `lib/theming/set.css`
+ * @returns {{levels: Object, summary: Object, sets: Array<{set: string, selector: string, scheme: string, background: (string|null), checks: Object[]}>}}
+ *   Checks: `{role, color, ratio, large, AA, AAA}` (`color` / `ratio` are `null` when unresolved).
+ * @throws {Error} If `set.css` has no base `:where(.set)` rule.
+ */
+function auditContrast({ config, sets: setsCss }) {
+    const schemes = schemeVariables(config);
+    const { base, sets } = readSets(setsCss);
+    const results = [];
+    const summary = { checks: 0, unresolved: 0, ...Object.fromEntries(Object.keys(LEVELS).map(level => [level, { pass: 0, fail: 0 }])) };
+
+    for (const [scheme, variables] of Object.entries(schemes)) {
+        const rootLookup = (name) => variables.get(name);
+        const colorOf = (value, lookup, current) => {
+            const resolved = value && resolveValue(value, lookup);
+            if (!resolved) return null;
+            const text = current ? resolved.replace(/\bcurrentColor\b/gi, current) : resolved;
+            return text.trim() === 'transparent' ? { r: 0, g: 0, b: 0, alpha: 0 } : parseColor(text);
+        };
+        const page = colorOf('var(--bg)', rootLookup);
+        const pageText = colorOf('var(--tx)', rootLookup);
+
+        for (const set of sets) {
+            const lookup = (name) => (set.declarations.has(name) ? set.declarations.get(name) : variables.get(name));
+            const backdrop = colorOf(base.background, lookup);
+            const background = backdrop && page && blend(backdrop, page);
+            const own = colorOf(base.color, lookup, pageText && formatHex(pageText));
+            const checks = base.roles.map(({ role, large, value }) => {
+                const color = background && colorOf(value, lookup, own && formatHex(own));
+                const ratio = color ? contrastRatio(blend(color, background), background) : null;
+                const check = { role, color: color ? formatHex(color) : null, ratio, large };
+                for (const [level, minimum] of Object.entries(LEVELS)) {
+                    check[level] = ratio !== null && ratio >= (large ? minimum.large : minimum.normal);
+                    summary[level][check[level] ? 'pass' : 'fail']++;
+                }
+                summary.checks++;
+                if (ratio === null) summary.unresolved++;
+                return check;
+            });
+            results.push({ set: set.name, selector: set.selector, scheme, background: background ? formatHex(background) : null, checks });
+        }
+    }
+    return { levels: LEVELS, summary, sets: results };
+}
+
+/**
+ * Checks below a level.
+ * @param {Object} report - From `auditContrast`
+ * @param {'AA'|'AAA'} [level='AA']
+ * @returns {string[]} One readable line per failing check
+ */
+function contrastFailures(report, level = 'AA') {
+    const failures = [];
+    for (const { selector, scheme, background, checks } of report.sets) {
+        for (const check of checks.filter(c => !c[level])) {
+            const minimum = check.large ? report.levels[level].large : report.levels[level].normal;
+            failures.push(check.ratio === null
+                ? `${selector} ${check.role} (${scheme}): color not resolved`
+                : `${selector} ${check.role} (${scheme}): ${check.ratio}:1 < ${minimum}:1 (${check.color} on ${background})`);
+        }
+    }
+    return failures;
+}
+
+/**
+ * Markdown table of a report.
+ * @param {Object} report - From `auditContrast`
+ * @returns {string}
+ */
+function formatContrast(report) {
+    const mark = (ok) => (ok ? '✓' : '✗');
+    const lines = ['| Set | Scheme | Background | Role | Color | Ratio | AA | AAA |', '| :--- | :--- | :--- | :--- | :--- | ---: | :---: | :---: |'];
+    for (const { selector, scheme, background, checks } of report.sets) {
+        for (const check of checks) {
+            lines.push(`| \`${selector}\` | ${scheme} | ${background || '-'} | ${check.role} | ${check.color || 'unresolved'} | ${check.ratio === null ? '-' : `${check.ratio}:1`} | ${mark(check.AA)} | ${mark(check.AAA)} |`);
+        }
+    }
+    const { summary } = report;
+    lines.push('', `${summary.checks} checks: AA ${summary.AA.pass} pass / ${summary.AA.fail} fail, AAA ${summary.AAA.pass} pass / ${summary.AAA.fail} fail${summary.unresolved ? `, ${summary.unresolved} unresolved` : ''}.`);
+    return lines.join('\n') + '\n';
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    let json = false;
+    let level = null;
+    let sourceRef = '';
+    let invalid = false;
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--json') json = true;
+        else if (args[i] === '--level') level = args[++i];
+        else if (args[i] === '--source') sourceRef = args[++i];
+        else invalid = true;
+    }
+    if (invalid || (level !== null && !LEVELS[level]) || sourceRef === undefined) {
+        console.error(`Usage: node scripts/contrast.js [--level ${Object.keys(LEVELS).join('|')}] [--json] [--source <ref>]`);
+        process.exit(1);
+    }
+
+    // Runs once this module is fully loaded: build.js requires it back, and needs its exports
+    Promise.resolve().then(async () => {
+        const { traceBundle } = require('./build');
+        const root = path.resolve(__dirname, '..', 'src', 'lib');
+        const config = (await traceBundle(path.join(root, 'config.css'), sourceRef)).css;
+        const sets = (await traceBundle(path.join(root, 'theming', 'set.css'), sourceRef)).css;
+        const report = auditContrast({ config, sets });
+        process.stdout.write(json ? JSON.stringify(report, null, 2) + '\n' : formatContrast(report));
+        const failures = level ? contrastFailures(report, level) : [];
+        if (failures.length) {
+            failures.forEach(line => console.error(`⚠️ ${line}`));
+            console.error(`❌ ${failures.length} check(s) below ${level}.`);
+            process.exit(1);
+        }
+    }).catch(err => {
+        console.error('Contrast audit failed:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { auditContrast, contrastFailures, formatContrast, CONTRAST_FILE, LEVELS };
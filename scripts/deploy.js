@@ -4,6 +4,11 @@
  * @description
  * The "Commander" of the deployment process. It coordinates `build.js` and `remote.js` to 
  * take code from your machine to the internet.
+ * 
+ * A version target (`npm run deploy -- 1.2.0`) deploys an immutable release instead (see `release.js`):
+ * it is built from its tag only if `dist/1.2.0/` does not exist yet, uploaded only if the server does
+ * not have it yet, and `versions.json` is refreshed on the server (the server's index merged with the
+ * local one, plus the deployed version).
  */
 
 const { spawnSync, execSync } = require('child_process');
@@ -14,11 +19,64 @@ function exec(cmd) {
     } catch (e) { return ''; }
 }
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { loadConfig } = require('./config');
+const { isVersion } = require('./semver');
+const { updateVersions, readVersions, VERSIONS_FILE } = require('./release');
 
 // --- Config ---
 const PROJECT_ROOT = path.resolve(__dirname, '..');
 const DIST_ROOT = path.join(PROJECT_ROOT, 'dist');
+const { channels: CHANNELS, branches: BRANCHES, cdn: CDN } = loadConfig();
+
+/**
+ * Deploys a release folder: `dist/<version>/` -> `/<version>/`, plus `/versions.json`.
+ * @param {string} version
+ */
+function deployRelease(version) {
+    const run = (args) => spawnSync('node', args, { stdio: 'inherit', cwd: PROJECT_ROOT }).status === 0;
+    const localDir = path.join('dist', version);
+    const versionsFile = path.join(DIST_ROOT, VERSIONS_FILE);
+
+    // 1. Build from the tag, once
+    if (fs.existsSync(path.join(PROJECT_ROOT, localDir))) {
+        console.log(`\n📦 ${localDir} already built (releases are immutable). Reusing it.`);
+    } else if (!run(['scripts/release.js', version])) {
+        console.error("❌ Release build failed. Aborting deployment.");
+        process.exit(1);
+    }
+
+    // 2. The server's index, read before anything is uploaded: releases published elsewhere (CI) must stay
+    // listed, so a failed download (anything but "no index yet") aborts instead of dropping them
+    const serverDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ucss-versions-'));
+    if (!run(['scripts/remote.js', '--download-file', `/${VERSIONS_FILE}`, path.join(serverDir, VERSIONS_FILE)])) {
+        fs.rmSync(serverDir, { recursive: true, force: true });
+        console.error(`❌ Could not read the server's ${VERSIONS_FILE}. Aborting deployment.`);
+        process.exit(1);
+    }
+    const serverVersions = readVersions(serverDir).versions;
+    fs.rmSync(serverDir, { recursive: true, force: true });
+
+    // 3. Upload, refusing to overwrite a published release
+    console.log(`\n🚀 Deploying release: ${localDir} -> /${version}...`);
+    if (!run(['scripts/remote.js', '--upload', localDir, `/${version}`, '--immutable'])) {
+        console.error("❌ Deployment failed.");
+        process.exit(1);
+    }
+
+    // 4. The merged index (local entries win), with the deployed version
+    const index = updateVersions(DIST_ROOT, { merge: serverVersions });
+    if (!index.versions.some(entry => entry.version === version)) {
+        console.warn(`  ⚠️ ${version} is missing from ${VERSIONS_FILE} (no dist/${version}/u.css).`);
+    }
+    if (!run(['scripts/remote.js', '--upload-file', versionsFile, '/'])) {
+        console.warn(`  ⚠️ versions.json upload failed.`);
+    }
+
+    console.log(`\n🎉 Success!`);
+    console.log(`🌍 Release URL: https://${CDN.host}/${version}/`);
+}
 
 // --- Main ---
 
@@ -53,12 +111,12 @@ async function main() {
         console.log("🤔 No target specified. Detecting git branch...");
         const branch = exec('git rev-parse --abbrev-ref HEAD');
 
-        if (branch === 'main') {
+        if (branch === BRANCHES.stable) {
             target = 'stable';
-            console.log("  👉 On 'main' branch. Defaulting to: STABLE");
-        } else if (branch === 'dev') {
+            console.log(`  👉 On '${branch}' branch. Defaulting to: STABLE`);
+        } else if (branch === BRANCHES.latest) {
             target = 'latest';
-            console.log("  👉 On 'dev' branch. Defaulting to: LATEST");
+            console.log(`  👉 On '${branch}' branch. Defaulting to: LATEST`);
         } else {
             target = 'preview';
             console.log(`  👉 On '${branch}' branch. Defaulting to: PREVIEW`);
@@ -67,6 +125,17 @@ async function main() {
         target = foundModifiers[0];
     }
 
+    // Releases: `1.2.0` / `v1.2.0`
+    if (isVersion(target.replace(/^v/, ''))) {
+        deployRelease(target.replace(/^v/, ''));
+        return;
+    }
+
+    // Channel keywords map onto the configured folder names (identical by default).
+    if (target === 'stable') target = CHANNELS.stable;
+    else if (target === 'latest') target = CHANNELS.latest;
+    else if (target === 'preview') target = CHANNELS.preview;
+
     console.log(`\n🚀 [Deploy Orchestrator] Starting deployment for: ${target.toUpperCase()} (Args: ${args.join(' ')})`);
 
     // 1. BUILD STEP
@@ -111,20 +180,20 @@ async function main() {
     let remoteDir = '';
     let isStable = false;
 
-    if (target === 'stable') {
+    if (target === CHANNELS.stable) {
         // STABLE: Builds to 'dist/stable'
         // Target Remote: '/stable' (Cornerstone)
-        localDir = 'dist/stable';
-        remoteDir = '/stable';
+        localDir = `dist/${CHANNELS.stable}`;
+        remoteDir = `/${CHANNELS.stable}`;
         isStable = true;
-    } else if (target === 'latest') {
-        localDir = 'dist/latest';
-        remoteDir = '/latest';
-    } else if (target.startsWith('preview')) {
+    } else if (target === CHANNELS.latest) {
+        localDir = `dist/${CHANNELS.latest}`;
+        remoteDir = `/${CHANNELS.latest}`;
+    } else if (target.startsWith(CHANNELS.preview)) {
         // Find the preview folder.
         const items = fs.readdirSync(DIST_ROOT);
         const previews = items
-            .filter(name => name.startsWith('preview-'))
+            .filter(name => name.startsWith(`${CHANNELS.preview}-`))
             .map(name => ({ name, time: fs.statSync(path.join(DIST_ROOT, name)).mtime.getTime() }))
             .sort((a, b) => b.time - a.time);
 
@@ -162,12 +231,12 @@ async function main() {
     const deployArgs = ['scripts/remote.js', '--upload', localDir, remoteDir];
 
     // For ephemeral builds, cleanup old ones
-    if (target === 'latest' || target.startsWith('preview')) {
+    if (target === CHANNELS.latest || target.startsWith(CHANNELS.preview)) {
         deployArgs.push('--cleanup');
     }
 
     // Attempt to bootstrap root if deploying Latest (User Rule: Latest takes over if empty & no stable)
-    if (target === 'latest') {
+    if (target === CHANNELS.latest) {
         deployArgs.push('--bootstrap', DIST_ROOT);
     }
 
@@ -207,10 +276,10 @@ async function main() {
     // 6. SUMMARY
     console.log(`\n🎉 Success!`);
     if (isStable) {
-        console.log(`🌍 Live URL: https://ucss.unqa.dev/`);
+        console.log(`🌍 Live URL: https://${CDN.host}/`);
     } else {
         const pathPart = remoteDir.startsWith('/') ? remoteDir.substring(1) : remoteDir;
-        console.log(`🌍 Preview URL: https://ucss.unqa.dev/${pathPart}/`);
+        console.log(`🌍 Preview URL: https://${CDN.host}/${pathPart}/`);
     }
 }
 
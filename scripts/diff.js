@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Public API Diff
+ *
+ * @description
+ * The "Changelog". Builds two git refs (through the same `sourceRef` mechanism as `--source`) and
+ * compares their public API: class names and custom properties, with their default values.
+ * Answers "what breaks if we upgrade from v1.1.0 to v1.2.0?" before anyone touches a site.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * ⚖️ COMPARISON
+ * ---------------------------------------------------------------------------------------------
+ *
+ * - SURFACE: `u.css` plus `lib/config.css` of each build (see `extract.js` for what counts).
+ * - ADDED: classes and variables only the new ref has.
+ * - REMOVED: classes and variables the new ref dropped. Always BREAKING.
+ * - CHANGED: variables whose default value differs (`--p-h: 43` -> `--p-h: 45`).
+ *
+ * Both refs are built without docs, compression, source maps, manifest or zip into temporary
+ * folders, which are deleted afterwards. `dist/` is never touched.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🚀 USAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * @example
+ * npm run diff -- v1.1.0 v1.2.0                // Markdown to stdout
+ * npm run diff -- v1.2.0                       // Against the working tree
+ * npm run diff -- v1.1.0 v1.2.0 --json
+ * npm run diff -- v1.1.0 main --out api.md --out api.json
+ * npm run diff -- v1.1.0 main --fail-on-breaking   // Exit code 1 on removals (CI)
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports diffRefs
+ * @exports buildApi
+ * @exports compareApis
+ * @exports formatMarkdown
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const { build } = require('./build');
+const { extractApi, mergeApis } = require('./extract');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const API_FILES = ['u.css', 'lib/config.css'];
+const WORKING_TREE = 'working tree';
+
+/**
+ * Short commit hash of a ref.
+ * @param {string} ref
+ * @returns {string}
+ * @throws {Error} If the ref does not exist.
+ */
+function resolveRef(ref) {
+    try {
+        return execSync(`git rev-parse --short --verify --quiet "${ref}^{commit}"`, { cwd: PROJECT_ROOT, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch (e) {
+        throw new Error(`❌ Unknown git ref "${ref}".`);
+    }
+}
+
+/**
+ * Builds a ref into a temporary folder and extracts its public API.
+ * @async
+ * @param {string} [ref] - Git ref. The working tree when omitted.
+ * @param {Object} [options] - Extra `build()` options (`prefixMode`, `prefix`, `layers`, `logger`, ...)
+ * @returns {Promise<{classes: string[], variables: Object}>} See `extractApi`.
+ */
+async function buildApi(ref, options = {}) {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ucss-api-'));
+    try {
+        await build({
+            ...options,
+            channel: 'api',
+            sourceRef: ref || '',
+            outDir,
+            docs: false,
+            compress: false,
+            sourceMaps: false,
+            manifest: false,
+            zip: false,
+            incremental: false
+        });
+        const apis = API_FILES
+            .map(file => path.join(outDir, file))
+            .filter(file => fs.existsSync(file))
+            .map(file => extractApi(fs.readFileSync(file, 'utf8')));
+        return mergeApis(apis);
+    } finally {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Compares two APIs.
+ * @param {{classes: string[], variables: Object}} before - From `buildApi` / `extractApi`
+ * @param {{classes: string[], variables: Object}} after
+ * @returns {{breaking: boolean, classes: {added: string[], removed: string[]}, variables: {added: Object[], removed: Object[], changed: Object[]}}}
+ *   Variables: `{name, value, selector}` (added / removed), `{name, from, to, selector}` (changed).
+ */
+function compareApis(before, after) {
+    const beforeClasses = new Set(before.classes);
+    const afterClasses = new Set(after.classes);
+    const classes = {
+        added: after.classes.filter(name => !beforeClasses.has(name)),
+        removed: before.classes.filter(name => !afterClasses.has(name))
+    };
+
+    const variables = { added: [], removed: [], changed: [] };
+    for (const [name, entry] of Object.entries(after.variables)) {
+        const previous = before.variables[name];
+        if (!previous) variables.added.push({ name, value: entry.value, selector: entry.selector });
+        else if (previous.value !== entry.value) variables.changed.push({ name, from: previous.value, to: entry.value, selector: entry.selector });
+    }
+    for (const [name, entry] of Object.entries(before.variables)) {
+        if (!after.variables[name]) variables.removed.push({ name, value: entry.value, selector: entry.selector });
+    }
+
+    return { breaking: classes.removed.length > 0 || variables.removed.length > 0, classes, variables };
+}
+
+/**
+ * Builds both refs and compares them.
+ * @async
+ * @param {string} from - Git ref of the old version
+ * @param {string} [to] - Git ref of the new version. The working tree when omitted.
+ * @param {Object} [options] - Extra `build()` options, applied to both builds
+ * @returns {Promise<Object>} `compareApis()` plus `from` / `to` (`{ref, commit}`) and `summary` counts
+ * @throws {Error} On an unknown ref or a failing build.
+ */
+async function diffRefs(from, to, options = {}) {
+    const fromRef = { ref: from, commit: resolveRef(from) };
+    const toRef = to ? { ref: to, commit: resolveRef(to) } : { ref: WORKING_TREE, commit: null };
+
+    const before = await buildApi(from, options);
+    const after = await buildApi(to, options);
+    const result = compareApis(before, after);
+    return {
+        from: fromRef,
+        to: toRef,
+        breaking: result.breaking,
+        summary: {
+            classes: { before: before.classes.length, after: after.classes.length, added: result.classes.added.length, removed: result.classes.removed.length },
+            variables: { before: Object.keys(before.variables).length, after: Object.keys(after.variables).length, added: result.variables.added.length, removed: result.variables.removed.length, changed: result.variables.changed.length }
+        },
+        classes: result.classes,
+        variables: result.variables
+    };
+}
+
+/**
+ * Renders a diff as Markdown (breaking changes first).
+ * @param {Object} diff - From `diffRefs`
+ * @returns {string}
+ */
+function formatMarkdown(diff) {
+    const label = ({ ref, commit }) => (commit ? `\`${ref}\` (${commit})` : ref);
+    const code = (text) => `\`${String(text).replace(/\|/g, '\\|').replace(/`/g, "'")}\``;
+    const { classes, variables, summary } = diff;
+
+    const lines = [`# uCss API diff: ${label(diff.from)} → ${label(diff.to)}`, ''];
+    lines.push(`| | Before | After | Added | Removed | Changed |`, `| :--- | ---: | ---: | ---: | ---: | ---: |`);
+    lines.push(`| Classes | ${summary.classes.before} | ${summary.classes.after} | ${summary.classes.added} | ${summary.classes.removed} | - |`);
+    lines.push(`| Variables | ${summary.variables.before} | ${summary.variables.after} | ${summary.variables.added} | ${summary.variables.removed} | ${summary.variables.changed} |`, '');
+
+    if (!diff.breaking && !classes.added.length && !variables.added.length && !variables.changed.length) {
+        lines.push('No public API changes.');
+        return lines.join('\n') + '\n';
+    }
+
+    if (diff.breaking) {
+        lines.push('## ⚠️ Breaking changes', '');
+        if (classes.removed.length) {
+            lines.push(`### Removed classes (${classes.removed.length})`, '', ...classes.removed.map(name => `- ${code(`.${name}`)}`), '');
+        }
+        if (variables.removed.length) {
+            lines.push(`### Removed variables (${variables.removed.length})`, '', '| Variable | Last value |', '| :--- | :--- |');
+            lines.push(...variables.removed.map(v => `| ${code(v.name)} | ${code(v.value)} |`), '');
+        }
+    } else {
+        lines.push('✓ No breaking changes.', '');
+    }
+
+    if (variables.changed.length) {
+        lines.push(`## Changed defaults (${variables.changed.length})`, '', '| Variable | Before | After |', '| :--- | :--- | :--- |');
+        lines.push(...variables.changed.map(v => `| ${code(v.name)} | ${code(v.from)} | ${code(v.to)} |`), '');
+    }
+    if (classes.added.length) {
+        lines.push(`## Added classes (${classes.added.length})`, '', ...classes.added.map(name => `- ${code(`.${name}`)}`), '');
+    }
+    if (variables.added.length) {
+        lines.push(`## Added variables (${variables.added.length})`, '', '| Variable | Default |', '| :--- | :--- |');
+        lines.push(...variables.added.map(v => `| ${code(v.name)} | ${code(v.value)} |`), '');
+    }
+    return lines.join('\n').replace(/\n*$/, '\n');
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const refs = [];
+    const outs = [];
+    let format = 'md';
+    let failOnBreaking = false;
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--json') format = 'json';
+        else if (args[i] === '--md') format = 'md';
+        else if (args[i] === '--out') outs.push(args[++i]);
+        else if (args[i] === '--fail-on-breaking') failOnBreaking = true;
+        else if (!args[i].startsWith('-') && refs.length < 2) refs.push(args[i]);
+        else refs.length = 3; // Usage error
+    }
+    if (refs.length < 1 || refs.length > 2 || outs.some(out => !out)) {
+        console.error('Usage: node scripts/diff.js <from-ref> [to-ref] [--md|--json] [--out <file.md|file.json>]... [--fail-on-breaking]');
+        process.exit(1);
+    }
+
+    (async () => {
+        const [from, to] = refs;
+        // Progress goes to stderr when the diff itself goes to stdout (pipes stay clean)
+        const info = outs.length ? console.log : console.error;
+        info(`⚖️  Comparing ${from} -> ${to || WORKING_TREE}...`);
+        const diff = await diffRefs(from, to);
+        const render = (type) => (type === 'json' ? JSON.stringify(diff, null, 2) + '\n' : formatMarkdown(diff));
+
+        if (outs.length) {
+            for (const out of outs) {
+                fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+                fs.writeFileSync(out, render(out.endsWith('.json') ? 'json' : 'md'));
+                info(`✓ ${out}`);
+            }
+        } else {
+            process.stdout.write(render(format));
+        }
+
+        const { classes, variables } = diff.summary;
+        info(`${diff.breaking ? '⚠️ BREAKING' : '✓ Compatible'}: classes +${classes.added} -${classes.removed}, variables +${variables.added} -${variables.removed} ~${variables.changed}`);
+        if (failOnBreaking && diff.breaking) process.exit(1);
+    })().catch(err => {
+        console.error('Diff failed:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { diffRefs, buildApi, compareApis, formatMarkdown };
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Live Examples
+ *
+ * @description
+ * The "Stage". Renders the fenced `html` examples of the READMEs as live previews next to their
+ * code in the generated docs: a sandboxed `<iframe srcdoc>` loading the stylesheets of the channel,
+ * in a frame you can resize (or snap to S / M / L) to watch the container queries (`--sm`, `--md`,
+ * `--lg`) kick in.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🎭 PREVIEWS
+ * ---------------------------------------------------------------------------------------------
+ *
+ * - SANDBOX: `sandbox=""` (no scripts, no forms, opaque origin); the stylesheets still load.
+ * - PREFIXES: the caller passes the markup through `prefixHtml` first (build.js), so `/p/` and
+ *   `/c/` previews use `u-btn` like the stylesheets they load. The frame document is escaped into
+ *   `srcdoc`, so the page-level prefixing never touches it again.
+ * - SKIPPED: documents and head markup (`<!DOCTYPE>`, `<html>`, `<head>`, `<link>`, `<script>`,
+ *   `<meta>`), and examples fenced as `html no-preview`.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🚀 USAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * @example
+ * if (isPreviewable(token)) html += renderExample(prefixHtml(frameDocument(token.text, { stylesheets })));
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports isPreviewable
+ * @exports frameDocument
+ * @exports renderExample
+ * @exports PREVIEW_WIDTHS
+ */
+
+/**
+ * Width presets of the preview frame, around the container breakpoints of the patterns
+ * (`670px` / `1000px`, see `patterns/card/base.css`).
+ * @type {Array<[string, string]>} `[label, width]`
+ */
+const PREVIEW_WIDTHS = [['S', '360px'], ['M', '800px'], ['L', '1200px'], ['Fit', '100%']];
+
+// Markup that only makes sense in a full document
+const DOCUMENT_MARKUP = /<(!doctype|html|head|link|script|meta)\b/i;
+
+/**
+ * Whether a fenced code block gets a live preview.
+ * @param {{lang?: string, text: string}} token - A marked `code` token
+ * @returns {boolean}
+ */
+function isPreviewable({ lang, text }) {
+    const [language, ...flags] = String(lang || '').trim().split(/\s+/);
+    return language === 'html' && !flags.includes('no-preview') && !DOCUMENT_MARKUP.test(text) && /<[a-z]/i.test(text);
+}
+
+/**
+ * Escapes text for a double-quoted HTML attribute.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeAttribute(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+/**
+ * The document shown in the frame.
+ * @param {string} html - The example markup
+ * @param {Object} options
+ * @param {string[]} options.stylesheets - Absolute URLs, in order (config, then core)
+ * @returns {string}
+ */
+function frameDocument(html, { stylesheets }) {
+    const links = stylesheets.map(href => `<link rel="stylesheet" href="${escapeAttribute(href)}">`).join('');
+    return `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">${links}</head><body class="un set base" style="padding: 1rem;">\n${html}\n</body></html>`;
+}
+
+/**
+ * Renders the preview of an example.
+ * @param {string} doc - From `frameDocument` (prefixed when the channel is)
+ * @param {Object} [options]
+ * @param {number} [options.lines=8] - Lines of the example, for the initial height
+ * @returns {string} A `<figure>`: width presets and the resizable frame
+ */
+function renderExample(doc, { lines = 8 } = {}) {
+    const height = Math.min(32, Math.max(8, Math.round(lines * 1.5 + 4)));
+    const presets = PREVIEW_WIDTHS.map(([label, width]) => `<button type="button" class="btn sm" onclick="this.closest('figure').querySelector('[data-frame]').style.width='${width}'">${label}</button>`).join(' ');
+    return `<figure aria-label="Live preview" style="margin: 0 0 1.5rem; overflow-x: auto;">
+<figcaption><small>Live preview · drag the corner or pick a width:</small> ${presets}</figcaption>
+<div data-frame style="width: 100%; height: ${height}rem; resize: both; overflow: auto; border: 1px dashed currentColor; border-radius: .5rem;">
+<iframe sandbox="" loading="lazy" title="Example preview" srcdoc="${escapeAttribute(doc)}" style="display: block; width: 100%; height: 100%; border: 0;"></iframe>
+</div>
+</figure>`;
+}
+
+module.exports = { isPreviewable, frameDocument, renderExample, PREVIEW_WIDTHS };
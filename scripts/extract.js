@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Public API Extraction
+ *
+ * @description
+ * The "Inventory". Lists what a stylesheet offers to the sites using it: every class name its
+ * selectors mention and every custom property it declares, with the property's default value.
+ * Shared by the API diff (`diff.js`) and anything else that needs to know the surface of a build.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 📋 RULES
+ * ---------------------------------------------------------------------------------------------
+ *
+ * 1. CLASSES
+ *    - Every `.name` in a rule selector, including inside `:is()` / `:where()` / `:not()` / `:has()`.
+ *      Attribute selectors, strings, comments and `@keyframes` steps are skipped. CSS escapes
+ *      are resolved (`.w-1\/2` -> `w-1/2`, the name as written in HTML).
+ *
+ * 2. VARIABLES
+ *    - Every `--name: value` declaration, in any rule.
+ *    - The DEFAULT is the value declared on the root (`:root`, `:where(:root)`, `html`) outside
+ *      `@media` / `@supports` / `@container`. Variables never declared there (component scoped,
+ *      e.g. `.btn { --btn-bg: ... }`) take their first declaration.
+ *    - Values are compared without comments and with collapsed whitespace, so reformatting the
+ *      source is not a change.
+ *
+ * 3. VALUES
+ *    - `resolveValue` follows `var()` chains (the variable's own value first, then the fallback),
+ *      for tools that need the computed default (`tokens.js`, `contrast.js`).
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🚀 USAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * @example
+ * const { extractApi } = require('./extract');
+ * const api = extractApi(fs.readFileSync('dist/latest/u.css', 'utf8'));
+ * api.classes;          // ['btn', 'flex', 'g-2', ...]
+ * api.variables['--p']; // { value: 'hsl(var(--p-h, 43) ...)', selector: ':where(:root)', root: true }
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports extractApi
+ * @exports mergeApis
+ * @exports selectorClasses
+ * @exports isRootSelector
+ * @exports resolveValue
+ */
+
+const { parseCss, splitList, closingParen, CONDITIONAL_AT_RULES } = require('./parse');
+
+// Selectors that match the document root
+const ROOT_SELECTORS = [':root', 'html'];
+
+/**
+ * Class names mentioned by a selector (unescaped, in order of appearance, without duplicates).
+ * @param {string} selector
+ * @returns {string[]}
+ */
+function selectorClasses(selector) {
+    const names = new Set();
+    for (let i = 0; i < selector.length; i++) {
+        const ch = selector[i];
+        if (ch === '\\') {
+            i++;
+        } else if (ch === '"' || ch === "'") {
+            const end = selector.indexOf(ch, i + 1);
+            i = end === -1 ? selector.length : end;
+        } else if (ch === '/' && selector[i + 1] === '*') {
+            const end = selector.indexOf('*/', i + 2);
+            i = end === -1 ? selector.length : end + 1;
+        } else if (ch === '[') {
+            const end = selector.indexOf(']', i);
+            i = end === -1 ? selector.length : end;
+        } else if (ch === '.') {
+            const match = selector.slice(i + 1).match(/^-?(?:[_a-zA-Z]|\\.)(?:[\w-]|\\.)*/);
+            if (!match) continue;
+            names.add(match[0].replace(/\\(.)/g, '$1'));
+            i += match[0].length;
+        }
+    }
+    return [...names];
+}
+
+/**
+ * Whether a selector list targets the document root (`:root`, `:where(:root)`, `html`).
+ * @param {string} selector
+ * @returns {boolean}
+ */
+function isRootSelector(selector) {
+    return splitList(selector).some(item => {
+        const bare = item.replace(/^:(?:where|is)\((.*)\)$/, '$1').trim();
+        return ROOT_SELECTORS.includes(bare);
+    });
+}
+
+/**
+ * Removes comments and collapses whitespace in a value.
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeValue(value) {
+    return value.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Extracts the public API of a stylesheet.
+ * @param {string} css
+ * @returns {{classes: string[], variables: Object<string, {value: string, selector: string, root: boolean}>}}
+ *   Classes sorted, variables keyed by name (sorted). `selector`: the rule the default comes from,
+ *   `root`: whether it is a root declaration (false for component scoped variables).
+ * @throws {Error} If the stylesheet cannot be parsed (see `parseCss`).
+ */
+function extractApi(css) {
+    const classes = new Set();
+    const defaults = new Map(); // Root declarations
+    const fallbacks = new Map(); // First declaration anywhere
+
+    const visit = (children, conditional) => {
+        for (const node of children) {
+            if (node.type === 'atrule') {
+                if (node.children && node.name.toLowerCase() !== 'keyframes' && !node.name.toLowerCase().endsWith('-keyframes')) {
+                    visit(node.children, conditional || CONDITIONAL_AT_RULES.includes(node.name.toLowerCase()));
+                }
+                continue;
+            }
+            if (node.type !== 'rule') continue;
+
+            selectorClasses(node.prelude).forEach(name => classes.add(name));
+            const isRoot = !conditional && isRootSelector(node.prelude);
+            for (const child of node.children) {
+                if (child.type !== 'decl') continue;
+                const text = css.slice(child.start, child.end);
+                const decl = text.match(/^(--[\w-]+)\s*:([\s\S]*?);?$/);
+                if (!decl) continue;
+                const entry = { value: normalizeValue(decl[2]), selector: node.prelude.trim(), root: isRoot };
+                if (isRoot && !defaults.has(decl[1])) defaults.set(decl[1], entry);
+                if (!fallbacks.has(decl[1])) fallbacks.set(decl[1], entry);
+            }
+            // Nested rules (`&:hover { ... }`)
+            visit(node.children, conditional);
+        }
+    };
+    visit(parseCss(css).children, false);
+
+    const variables = {};
+    for (const name of [...fallbacks.keys()].sort()) {
+        variables[name] = defaults.get(name) || fallbacks.get(name);
+    }
+    return { classes: [...classes].sort(), variables };
+}
+
+/**
+ * Combines the APIs of several stylesheets (e.g. `u.css` and `lib/config.css`).
+ * The first stylesheet declaring a variable on the root wins.
+ * @param {Array<{classes: string[], variables: Object}>} apis - From `extractApi`
+ * @returns {{classes: string[], variables: Object<string, {value: string, selector: string, root: boolean}>}}
+ */
+function mergeApis(apis) {
+    const classes = new Set(apis.flatMap(api => api.classes));
+    const variables = {};
+    for (const api of apis) {
+        for (const [name, entry] of Object.entries(api.variables)) {
+            const current = variables[name];
+            if (!current || (!current.root && entry.root)) variables[name] = entry;
+        }
+    }
+    const sorted = {};
+    Object.keys(variables).sort().forEach(name => { sorted[name] = variables[name]; });
+    return { classes: [...classes].sort(), variables: sorted };
+}
+
+/**
+ * Replaces every `var()` of a value by the value it resolves to.
+ * @param {string} value
+ * @param {function(string): (string|undefined)} lookup - Value of a variable, `undefined` when not set
+ * @param {Set<string>} [seen] - Variables being resolved (cycle guard)
+ * @returns {string|null} `null` when a `var()` has neither a value nor a fallback
+ */
+function resolveValue(value, lookup, seen = new Set()) {
+    let out = '';
+    let last = 0;
+    const pattern = /\bvar\(/g;
+    let match;
+    while ((match = pattern.exec(value))) {
+        const start = match.index + match[0].length;
+        const end = closingParen(value, start);
+        const [name, ...rest] = splitList(value.slice(start, end));
+        const fallback = rest.length ? rest.join(', ') : null;
+        const own = lookup(name);
+        let resolved = null;
+        if (own !== undefined && !seen.has(name)) resolved = resolveValue(own, lookup, new Set([...seen, name]));
+        if (resolved === null && fallback !== null) resolved = resolveValue(fallback, lookup, seen);
+        if (resolved === null) return null;
+        out += value.slice(last, match.index) + resolved;
+        last = pattern.lastIndex = end + 1;
+    }
+    return out + value.slice(last);
+}
+
+module.exports = { extractApi, mergeApis, selectorClasses, isRootSelector, resolveValue };
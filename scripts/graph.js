@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Import Dependency Graph
+ *
+ * @description
+ * The "Map". Walks the complete `@import` tree of `src/` and exports it as JSON or Graphviz DOT,
+ * with the size of every file. Useful to review the module structure, spot leaves that nothing
+ * imports and catch accidental duplication before it ships.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🕸️ GRAPH
+ * ---------------------------------------------------------------------------------------------
+ *
+ * - ROOTS: `src/u.css` and `src/lib/config.css` (the two entry points of the framework).
+ * - NODES: every file reached from the roots, plus every other `.css` file under `src/`
+ *   (`orphan: true`, traced as well so their own imports show up). Each node has its own
+ *   `size` and the `total` size of the file plus everything it imports (each file counted once).
+ * - EDGES: one per distinct `@import` (`from` -> `to`, project-relative).
+ * - PROBLEMS: missing imports, cycles, files inlined more than once in a root bundle and
+ *   external imports whose conditions cannot be hoisted, the same list `build.js --strict` fails on.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🚀 USAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * @example
+ * npm run graph                              // JSON to stdout
+ * npm run graph -- --dot | dot -Tsvg > deps.svg
+ * npm run graph -- --out dist/deps.dot       // Format from the extension (.json / .dot / .gv)
+ * npm run graph -- --source v0.0.2 --strict  // Exit code 1 on any import problem
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports createGraph
+ * @exports toDot
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { traceBundle, importProblems } = require('./build');
+const { formatBytes } = require('./stats');
+const { moduleOf } = require('./parse');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const SRC_DIR = path.join(PROJECT_ROOT, 'src');
+const ROOTS = ['src/u.css', 'src/lib/config.css'];
+
+/**
+ * Every `.css` file under `src/` (project-relative, sorted).
+ * @param {string} [sourceRef] - Git ref to list instead of the working tree
+ * @returns {string[]}
+ */
+function listSources(sourceRef) {
+    if (sourceRef) {
+        const out = execSync(`git ls-tree -r --name-only "${sourceRef}" src`, { cwd: PROJECT_ROOT, encoding: 'utf8' });
+        return out.split('\n').filter(file => file.endsWith('.css')).sort();
+    }
+    const files = [];
+    const visit = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) visit(full);
+            else if (entry.name.endsWith('.css')) files.push(path.relative(PROJECT_ROOT, full).split(path.sep).join('/'));
+        }
+    };
+    visit(SRC_DIR);
+    return files.sort();
+}
+
+/**
+ * Builds the import graph of the framework.
+ * @async
+ * @param {Object} [options]
+ * @param {string} [options.sourceRef] - Git ref to read the sources from
+ * @returns {Promise<{roots: string[], nodes: Object[], edges: Array<{from: string, to: string}>, problems: {missing: string[], cycles: string[][], duplicates: Array<{file: string, count: number, bundle: string}>, unhoistable: Array<{file: string, url: string}>}}>}
+ *   Nodes: `{file, module, size, total, imports, importedBy}`, plus `missing: true` or `orphan: true`.
+ */
+async function createGraph({ sourceRef } = {}) {
+    const sizes = new Map();
+    const edges = new Map(); // "from\nto" -> edge (first seen order)
+    const missing = new Set();
+    const cycles = new Map(); // "a -> b -> a" -> chain
+    const duplicates = [];
+    const unhoistable = new Map(); // "file\nurl" -> problem
+
+    const trace = async (file) => {
+        const result = await traceBundle(path.join(PROJECT_ROOT, file), sourceRef);
+        for (const [rel, content] of result.contents) sizes.set(rel, Buffer.byteLength(content));
+        for (const edge of result.edges) edges.set(`${edge.from}\n${edge.to}`, edge);
+        result.missing.forEach(rel => missing.add(rel));
+        for (const cycle of result.cycles) cycles.set(cycle.join(' -> '), cycle);
+        for (const problem of result.unhoistable) unhoistable.set(`${problem.file}\n${problem.url}`, problem);
+        return result;
+    };
+
+    for (const root of ROOTS) {
+        const result = await trace(root);
+        for (const duplicate of result.duplicates) duplicates.push({ ...duplicate, bundle: root });
+    }
+    const reached = new Set(sizes.keys());
+    const orphans = listSources(sourceRef).filter(file => !reached.has(file));
+    for (const file of orphans) await trace(file);
+
+    // Adjacency, then the size of each file plus its (unique) closure
+    const children = new Map();
+    const parents = new Map();
+    for (const { from, to } of edges.values()) {
+        if (!children.has(from)) children.set(from, []);
+        children.get(from).push(to);
+        parents.set(to, (parents.get(to) || 0) + 1);
+    }
+    const totalOf = (file) => {
+        const seen = new Set();
+        const stack = [file];
+        while (stack.length) {
+            const current = stack.pop();
+            if (seen.has(current)) continue;
+            seen.add(current);
+            stack.push(...(children.get(current) || []));
+        }
+        return [...seen].reduce((sum, f) => sum + (sizes.get(f) || 0), 0);
+    };
+
+    const files = [...new Set([...sizes.keys(), ...missing])].sort();
+    const nodes = files.map(file => {
+        const node = {
+            file,
+            module: moduleOf(file),
+            size: sizes.has(file) ? sizes.get(file) : null,
+            total: totalOf(file),
+            imports: (children.get(file) || []).length,
+            importedBy: parents.get(file) || 0
+        };
+        if (missing.has(file)) node.missing = true;
+        if (orphans.includes(file)) node.orphan = true;
+        return node;
+    });
+
+    return {
+        roots: ROOTS,
+        nodes,
+        edges: [...edges.values()],
+        problems: { missing: [...missing].sort(), cycles: [...cycles.values()], duplicates, unhoistable: [...unhoistable.values()] }
+    };
+}
+
+/**
+ * Renders the graph as Graphviz DOT: one cluster per module, sizes in the labels,
+ * missing files dashed red, orphans grey, import cycles red.
+ * @param {Object} graph - From `createGraph`
+ * @returns {string}
+ */
+function toDot(graph) {
+    // `\n` in labels is a DOT line break, so only quotes are escaped
+    const quote = (text) => `"${String(text).replace(/"/g, '\\"')}"`;
+    const label = (node) => {
+        const name = node.file.replace(/^src\/(lib\/)?/, '');
+        if (node.missing) return `${name}\\nmissing`;
+        return node.total === node.size ? `${name}\\n${formatBytes(node.size)}` : `${name}\\n${formatBytes(node.size)} (${formatBytes(node.total)} total)`;
+    };
+    const attributes = (node) => {
+        const attrs = [`label=${quote(label(node))}`];
+        if (node.missing) attrs.push('style=dashed', 'color=red', 'fontcolor=red');
+        else if (node.orphan) attrs.push('color=gray50', 'fontcolor=gray50');
+        else if (graph.roots.includes(node.file)) attrs.push('style=bold');
+        return `${quote(node.file)} [${attrs.join(', ')}];`;
+    };
+
+    const lines = ['digraph ucss {', '    rankdir=LR;', '    node [shape=box, fontname="monospace", fontsize=10];'];
+    const modules = new Map();
+    for (const node of graph.nodes) {
+        if (!modules.has(node.module)) modules.set(node.module, []);
+        modules.get(node.module).push(node);
+    }
+    for (const [mod, nodes] of modules) {
+        if (!mod) {
+            nodes.forEach(node => lines.push(`    ${attributes(node)}`));
+            continue;
+        }
+        lines.push(`    subgraph ${quote(`cluster_${mod}`)} {`, `        label=${quote(mod)};`);
+        nodes.forEach(node => lines.push(`        ${attributes(node)}`));
+        lines.push('    }');
+    }
+
+    const cyclic = new Set(graph.problems.cycles.flatMap(cycle => cycle.slice(1).map((to, i) => `${cycle[i]}\n${to}`)));
+    for (const { from, to } of graph.edges) {
+        lines.push(`    ${quote(from)} -> ${quote(to)}${cyclic.has(`${from}\n${to}`) ? ' [color=red]' : ''};`);
+    }
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = {};
+    let format = 'json';
+    let out = null;
+    let strict = false;
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--dot') format = 'dot';
+        else if (args[i] === '--json') format = 'json';
+        else if (args[i] === '--out') out = args[++i];
+        else if (args[i] === '--source') options.sourceRef = args[++i];
+        else if (args[i] === '--strict') strict = true;
+        else {
+            console.error('Usage: node scripts/graph.js [--json|--dot] [--out <file.json|file.dot>] [--source <ref>] [--strict]');
+            process.exit(1);
+        }
+    }
+    if (out && /\.(dot|gv)$/.test(out)) format = 'dot';
+
+    (async () => {
+        const graph = await createGraph(options);
+        const text = format === 'dot' ? toDot(graph) : JSON.stringify(graph, null, 2) + '\n';
+        const problems = importProblems(graph.problems);
+        const orphans = graph.nodes.filter(node => node.orphan).length;
+
+        // The summary goes to stderr when the graph itself goes to stdout (pipes stay clean)
+        const info = out ? console.log : console.error;
+        if (out) {
+            fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+            fs.writeFileSync(out, text);
+        } else {
+            process.stdout.write(text);
+        }
+        info(`🕸️  ${graph.nodes.length} files, ${graph.edges.length} imports, ${orphans} not imported by the roots${out ? ` -> ${out}` : ''}`);
+        problems.forEach(problem => info(`  ⚠️ ${problem}`));
+        if (strict && problems.length) {
+            console.error(`❌ ${problems.length} import problem(s).`);
+            process.exit(1);
+        }
+    })().catch(err => {
+        console.error('Graph failed:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { createGraph, toDot };
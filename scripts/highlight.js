@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Syntax Highlighting
+ *
+ * @description
+ * The "Ink". Highlights the code blocks of the generated docs at build time (no client script):
+ * CSS, HTML, JavaScript / JSON and shell. Tokens become `<span data-hl="...">`, colored by
+ * `HIGHLIGHT_CSS`, which mixes every token color with `currentColor`: the same rules stay readable
+ * on the light `.base` and the dark `.alt` theme of the docs, and follow the toggle.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🎨 TOKENS
+ * ---------------------------------------------------------------------------------------------
+ *
+ * - `comment`, `string`, `number`, `keyword` (at-rules, JS keywords, shell commands),
+ *   `tag`, `attr` (HTML attributes, shell flags), `property`, `function`.
+ * - `class`: class names (`.btn` in CSS, `class="btn"` in HTML).
+ * - `variable`: custom properties (`--p`, also inside `style="..."`) and shell variables.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔤 PREFIXES
+ * ---------------------------------------------------------------------------------------------
+ *
+ * With `classPrefix` / `variablePrefix` (the `p` / `c` / `v` doc sets), class names and custom
+ * properties are written with the channel prefix, by the same rules as the stylesheets
+ * (`prefix.excludeClasses`, `prefix.excludeVariables`): the examples match the CSS they run against.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🚀 USAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * @example
+ * highlight('<a class="btn">Go</a>', 'html', { classPrefix: 'u-' });
+ * // '<span data-hl="tag">&lt;a</span> <span data-hl="attr">class</span>=...<span data-hl="class">u-btn</span>...'
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports highlight
+ * @exports HIGHLIGHT_CSS
+ * @exports LANGUAGES
+ */
+
+const { prefixVariables, isExcludedClass } = require('./prefix');
+
+const JS_KEYWORDS = new Set([
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do', 'else',
+    'export', 'extends', 'false', 'finally', 'for', 'from', 'function', 'if', 'import', 'in', 'instanceof', 'let',
+    'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof',
+    'undefined', 'var', 'void', 'while', 'yield'
+]);
+
+/**
+ * Token colors, mixed with the text color so they follow the `.base` / `.alt` theme.
+ * Attribute selectors only: class prefixing never touches them.
+ */
+const HIGHLIGHT_CSS = `
+        pre code [data-hl] { --hl-mix: 45%; }
+        pre code [data-hl="comment"] { color: color-mix(in oklab, currentColor 55%, transparent); font-style: italic; }
+        pre code [data-hl="keyword"] { color: color-mix(in oklab, currentColor var(--hl-mix), #a626a4); }
+        pre code [data-hl="string"] { color: color-mix(in oklab, currentColor var(--hl-mix), #3f9a3c); }
+        pre code [data-hl="number"] { color: color-mix(in oklab, currentColor var(--hl-mix), #c07a00); }
+        pre code [data-hl="tag"], pre code [data-hl="variable"] { color: color-mix(in oklab, currentColor var(--hl-mix), #e0443a); }
+        pre code [data-hl="attr"] { color: color-mix(in oklab, currentColor var(--hl-mix), #b07000); }
+        pre code [data-hl="class"] { color: color-mix(in oklab, currentColor var(--hl-mix), #0d7fc0); }
+        pre code [data-hl="property"], pre code [data-hl="function"] { color: color-mix(in oklab, currentColor var(--hl-mix), #3d6fe0); }`;
+
+/**
+ * Escapes text for HTML, quotes included (like marked): the page-level `prefixHtml` of build.js
+ * must never mistake a `class="..."` of the code for markup.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * A highlighted token.
+ * @param {string|null} type - `null` for plain text
+ * @param {string} text - Raw text (escaped here)
+ * @returns {string}
+ */
+function token(type, text) {
+    return type ? `<span data-hl="${type}">${escapeHtml(text)}</span>` : escapeHtml(text);
+}
+
+/**
+ * Runs sticky-regex rules over a text; characters no rule matches are plain.
+ * @param {string} text
+ * @param {Array<[RegExp, function(string, number): string]>} rules - Sticky (`y`) patterns and their renderer
+ * @returns {string}
+ */
+function tokenize(text, rules) {
+    let out = '';
+    let plain = '';
+    let i = 0;
+    outer: while (i < text.length) {
+        for (const [pattern, render] of rules) {
+            pattern.lastIndex = i;
+            const match = pattern.exec(text);
+            if (match && match[0]) {
+                out += escapeHtml(plain) + render(match[0], i);
+                plain = '';
+                i += match[0].length;
+                continue outer;
+            }
+        }
+        plain += text[i++];
+    }
+    return out + escapeHtml(plain);
+}
+
+/**
+ * Name renderers applying the channel prefixes.
+ * @param {{classPrefix?: string, variablePrefix?: string}} options
+ * @returns {{className: function(string): string, variable: function(string): string}}
+ */
+function namers({ classPrefix, variablePrefix }) {
+    return {
+        className: (name) => token('class', classPrefix && !isExcludedClass(name) ? `${classPrefix}${name}` : name),
+        variable: (name) => token('variable', variablePrefix ? prefixVariables(name, variablePrefix) : name)
+    };
+}
+
+/**
+ * Highlights CSS.
+ * @param {string} code
+ * @param {Object} options
+ * @returns {string}
+ */
+function highlightCss(code, options) {
+    const { className, variable } = namers(options);
+    return tokenize(code, [
+        [/\/\*[\s\S]*?(?:\*\/|$)/y, text => token('comment', text)],
+        [/"(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?/y, text => token('string', text)],
+        [/@[\w-]+|!important\b/y, text => token('keyword', text)],
+        [/--[\w-]+/y, text => variable(text)],
+        [/#[0-9a-fA-F]{3,8}\b/y, text => token('number', text)],
+        [/-?(?:\d+\.?\d*|\.\d+)(?:[a-zA-Z%]+)?/y, text => token('number', text)],
+        [/\.[a-zA-Z_-][\w-]*/y, text => `.${className(text.slice(1))}`],
+        [/[a-zA-Z_][\w-]*(?=\()/y, text => token('function', text)],
+        // A property name: followed by `:` and a value that ends before any `{` (not `a:hover {`)
+        [/[a-zA-Z-][\w-]*(?=\s*:(?!:)[^{};]*(?:[;}]|$))/y, text => token('property', text)],
+        [/[a-zA-Z_][\w-]*/y, text => escapeHtml(text)]
+    ]);
+}
+
+/**
+ * Highlights HTML (class names and inline `style` values included).
+ * @param {string} code
+ * @param {Object} options
+ * @returns {string}
+ */
+function highlightHtml(code, options) {
+    const { className } = namers(options);
+    const value = (name, quoted) => {
+        const quote = /^["']/.test(quoted) ? quoted[0] : '';
+        const inner = quote ? quoted.slice(1, quoted.endsWith(quote) && quoted.length > 1 ? -1 : undefined) : quoted;
+        const close = quote && quoted.length > 1 && quoted.endsWith(quote) ? quote : '';
+        let body;
+        if (name === 'class') body = inner.split(/(\s+)/).map(part => (/^\s*$/.test(part) ? part : className(part))).join('');
+        else if (name === 'style') body = highlightCss(inner, options);
+        else body = token('string', inner);
+        return `${token('string', quote)}${body}${token('string', close)}`;
+    };
+
+    let out = '';
+    let i = 0;
+    while (i < code.length) {
+        const rest = code.slice(i);
+        const comment = rest.match(/^<!--[\s\S]*?(?:-->|$)/);
+        if (comment) {
+            out += token('comment', comment[0]);
+            i += comment[0].length;
+            continue;
+        }
+        const open = rest.match(/^<\/?[a-zA-Z][\w-]*/);
+        if (!open) {
+            const text = rest.match(/^[^<]+|^</)[0];
+            out += escapeHtml(text);
+            i += text.length;
+            continue;
+        }
+        out += token('tag', open[0]);
+        i += open[0].length;
+        // Attributes, up to the end of the tag
+        while (i < code.length) {
+            const attr = code.slice(i).match(/^(\s+)|^(\/?>)|^([^\s"'<>\/=]+)(?:(\s*=\s*)("[^"]*"?|'[^']*'?|[^\s"'=<>`]+))?|^([\s\S])/);
+            if (attr[1]) out += attr[1];
+            else if (attr[2]) { out += token('tag', attr[2]); i += attr[2].length; break; }
+            else if (attr[3]) out += token('attr', attr[3]) + (attr[4] ? escapeHtml(attr[4]) + value(attr[3].toLowerCase(), attr[5]) : '');
+            else out += escapeHtml(attr[6]);
+            i += attr[0].length;
+        }
+    }
+    return out;
+}
+
+/**
+ * Highlights JavaScript and JSON.
+ * @param {string} code
+ * @returns {string}
+ */
+function highlightJs(code) {
+    return tokenize(code, [
+        [/\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y, text => token('comment', text)],
+        [/"(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?|`(?:[^`\\]|\\[\s\S])*`?/y, text => token('string', text)],
+        [/\b(?:0x[\da-fA-F]+|\d+\.?\d*(?:e[+-]?\d+)?|\.\d+)\b/y, text => token('number', text)],
+        [/[A-Za-z_$][\w$]*(?=\s*\()/y, text => (JS_KEYWORDS.has(text) ? token('keyword', text) : token('function', text))],
+        [/[A-Za-z_$][\w$]*/y, text => (JS_KEYWORDS.has(text) ? token('keyword', text) : escapeHtml(text))]
+    ]);
+}
+
+/**
+ * Highlights shell commands.
+ * @param {string} code
+ * @returns {string}
+ */
+function highlightShell(code) {
+    return tokenize(code, [
+        [/(?:^|(?<=\s))#[^\n]*/my, text => token('comment', text)],
+        [/"(?:[^"\\]|\\[\s\S])*"?|'[^']*'?/y, text => token('string', text)],
+        [/\$(?:\{[^}]*\}|\w+)/y, text => token('variable', text)],
+        // The command: first word of a line or after `&&`, `||`, `;`, `|`
+        [/(?:^|(?<=(?:&&|\|\||[;|])\s*))[A-Za-z_.\/][\w.\/:-]*/my, text => token('keyword', text)],
+        [/(?<=\s)--?[\w-]+/y, text => token('attr', text)],
+        [/[A-Za-z_][\w.\/:-]*/y, text => escapeHtml(text)]
+    ]);
+}
+
+/** Highlighters by fence language. */
+const LANGUAGES = {
+    css: highlightCss, scss: highlightCss,
+    html: highlightHtml, xml: highlightHtml, svg: highlightHtml,
+    js: highlightJs, javascript: highlightJs, jsx: highlightJs, mjs: highlightJs, cjs: highlightJs, json: highlightJs,
+    bash: highlightShell, sh: highlightShell, shell: highlightShell, console: highlightShell, zsh: highlightShell
+};
+
+/**
+ * Highlights a code block.
+ * @param {string} code - Raw code
+ * @param {string} [lang] - Fence language (first word of the info string)
+ * @param {Object} [options]
+ * @param {string} [options.classPrefix] - Prefix of class names (`u-`), `p` / `c` doc sets
+ * @param {string} [options.variablePrefix] - Prefix of custom properties (`--u-`), `p` / `v` doc sets
+ * @returns {string} HTML (escaped), without the `<pre><code>` wrapper. Unknown languages are only escaped.
+ */
+function highlight(code, lang, options = {}) {
+    const highlighter = LANGUAGES[String(lang || '').toLowerCase()];
+    return highlighter ? highlighter(code, options) : escapeHtml(code);
+}
+
+module.exports = { highlight, HIGHLIGHT_CSS, LANGUAGES };
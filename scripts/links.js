@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Docs Link Checker
+ *
+ * @description
+ * The "Inspector". Reads the generated documentation back from disk and checks every internal
+ * link after the rewrites of the docs generator (`README.md` -> folder, `src/` -> channel,
+ * `--offline-docs`): the target file must exist and its `#anchor` must match an `id` of the target
+ * page. Runs after every docs build (warnings) and can fail it; external links are only listed.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔗 CHECKS
+ * ---------------------------------------------------------------------------------------------
+ *
+ * - LINKS: `href` and `src` of the markup. Inline scripts, code blocks (escaped) and the
+ *   `srcdoc` of the live examples are not links.
+ * - TARGETS: resolved on disk from the page; folders need an `index.html`. Query strings
+ *   (`?v=...`) are ignored.
+ * - ANCHORS: `#id` must match an `id` (or `<a name>`) of the target page; `#` and `#top` always do.
+ * - EXTERNAL: `http(s)://` and `//` links are never fetched; `external` lists them with their pages.
+ *   `mailto:`, `tel:`, `data:` and `javascript:` are skipped.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🚀 USAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * @example
+ * npm run links                          // Every page of dist/, exit code 1 on a broken link
+ * npm run links -- dist/latest --external
+ * node scripts/build.js latest --check-links        // Fail the build on a broken link
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports checkLinks
+ * @exports htmlFiles
+ * @exports formatLinks
+ */
+
+const path = require('path');
+const { existsSync, readFileSync, readdirSync, statSync } = require('fs');
+
+// Schemes that are neither files nor web pages
+const SKIPPED = /^(mailto|tel|data|javascript):/i;
+const EXTERNAL = /^(https?:)?\/\//i;
+
+// Entities that can appear in attribute values
+const ENTITIES = { amp: '&', quot: '"', '#39': "'", lt: '<', gt: '>' };
+
+/**
+ * Decodes the entities of an attribute value.
+ * @param {string} text
+ * @returns {string}
+ */
+function decode(text) {
+    return text.replace(/&(#?\w+);/g, (match, name) => (ENTITIES[name] !== undefined ? ENTITIES[name] : match));
+}
+
+/**
+ * Every `.html` file under a folder (dot-folders such as `.cache` excluded).
+ * @param {string} dir
+ * @returns {string[]} Absolute paths, sorted
+ */
+function htmlFiles(dir) {
+    if (!existsSync(dir)) return [];
+    const files = [];
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) continue;
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) files.push(...htmlFiles(full));
+        else if (entry.name.endsWith('.html')) files.push(full);
+    }
+    return files.sort();
+}
+
+/**
+ * Links and anchors of a page.
+ * @param {string} html
+ * @returns {{links: string[], ids: Set<string>}}
+ */
+function scanPage(html) {
+    // Inline script bodies are code, not markup (`<script src>` stays)
+    const markup = html.replace(/(<script\b[^>]*>)[\s\S]*?(<\/script>)/gi, '$1$2');
+    const links = [...markup.matchAll(/\s(?:href|src)="([^"]*)"/g)].map(match => decode(match[1]).trim());
+    const ids = new Set([...markup.matchAll(/\s(?:id|name)="([^"]*)"/g)].map(match => decode(match[1])));
+    return { links, ids };
+}
+
+/**
+ * Decodes a URL part, leaving malformed escapes as they are.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeUrl(text) {
+    try { return decodeURIComponent(text); } catch (e) { return text; }
+}
+
+/**
+ * Checks the internal links and anchors of generated pages.
+ * @param {string} root - Folder the report paths are relative to (and the pages default to)
+ * @param {Object} [options]
+ * @param {string[]} [options.pages] - Absolute paths of the pages to check. Defaults to `htmlFiles(root)`.
+ * @param {boolean} [options.external=false] - Also list the external links
+ * @returns {{pages: number, links: number, broken: Array<{page: string, href: string, reason: string}>, external?: Array<{url: string, pages: string[]}>}}
+ *   `reason`: `missing file`, `missing index.html` or `missing anchor`. Paths use `/` separators.
+ */
+function checkLinks(root, { pages = htmlFiles(root), external = false } = {}) {
+    const rel = (file) => path.relative(root, file).split(path.sep).join('/');
+    const cache = new Map();
+    const idsOf = (file) => {
+        if (!cache.has(file)) cache.set(file, scanPage(readFileSync(file, 'utf8')).ids);
+        return cache.get(file);
+    };
+
+    const broken = [];
+    const externals = new Map();
+    let links = 0;
+    for (const page of pages) {
+        const scan = scanPage(readFileSync(page, 'utf8'));
+        cache.set(page, scan.ids);
+        for (const href of scan.links) {
+            if (!href || SKIPPED.test(href)) continue;
+            links++;
+            if (EXTERNAL.test(href)) {
+                if (!externals.has(href)) externals.set(href, new Set());
+                externals.get(href).add(rel(page));
+                continue;
+            }
+
+            const hashAt = href.indexOf('#');
+            const anchor = hashAt === -1 ? null : decodeUrl(href.slice(hashAt + 1));
+            const target = (hashAt === -1 ? href : href.slice(0, hashAt)).replace(/\?.*$/, '');
+            let file = page;
+            if (target) {
+                const resolved = target.startsWith('/')
+                    ? path.join(root, decodeUrl(target))
+                    : path.resolve(path.dirname(page), decodeUrl(target));
+                const isDir = target.endsWith('/') || (existsSync(resolved) && statSync(resolved).isDirectory());
+                file = isDir ? path.join(resolved, 'index.html') : resolved;
+                if (!existsSync(file)) {
+                    broken.push({ page: rel(page), href, reason: isDir && existsSync(resolved) ? 'missing index.html' : 'missing file' });
+                    continue;
+                }
+            }
+            if (anchor && anchor !== 'top' && file.endsWith('.html') && !idsOf(file).has(anchor)) {
+                broken.push({ page: rel(page), href, reason: 'missing anchor' });
+            }
+        }
+    }
+
+    return {
+        pages: pages.length,
+        links,
+        broken,
+        ...(external && {
+            external: [...externals].sort(([a], [b]) => a.localeCompare(b)).map(([url, from]) => ({ url, pages: [...from].sort() }))
+        })
+    };
+}
+
+/**
+ * Text report: broken links grouped by target (with the pages linking it), then the external links.
+ * @param {Object} result - From `checkLinks`
+ * @returns {string}
+ */
+function formatLinks(result) {
+    const lines = [`Checked ${result.links} links in ${result.pages} pages: ${result.broken.length ? `${result.broken.length} broken` : 'none broken'}.`];
+    const groups = new Map();
+    for (const { page, href, reason } of result.broken) {
+        const key = `${href} (${reason})`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(page);
+    }
+    for (const [key, from] of groups) {
+        lines.push(`  ${key} ← ${from.slice(0, 3).join(', ')}${from.length > 3 ? ` (+${from.length - 3} more)` : ''}`);
+    }
+    if (result.external) {
+        lines.push('', `External links (${result.external.length}):`);
+        for (const { url, pages } of result.external) lines.push(`  ${url}  (${pages.length} page${pages.length === 1 ? '' : 's'})`);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    let json = false;
+    let external = false;
+    let dir = null;
+    let invalid = false;
+    for (const arg of args) {
+        if (arg === '--json') json = true;
+        else if (arg === '--external') external = true;
+        else if (!arg.startsWith('-') && dir === null) dir = arg;
+        else invalid = true;
+    }
+    const root = path.resolve(dir || path.join(__dirname, '..', 'dist'));
+    if (invalid || !existsSync(root)) {
+        if (!invalid) console.error(`❌ No such folder: ${root}`);
+        console.error('Usage: node scripts/links.js [dir] [--external] [--json]');
+        process.exit(1);
+    }
+
+    const result = checkLinks(root, { external });
+    process.stdout.write(json ? JSON.stringify(result, null, 2) + '\n' : formatLinks(result));
+    if (result.broken.length) {
+        console.error(`❌ ${result.broken.length} broken link(s).`);
+        process.exit(1);
+    }
+}
+
+module.exports = { checkLinks, htmlFiles, formatLinks };
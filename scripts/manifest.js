@@ -20,24 +20,7 @@ const path = require('path');
 const crypto = require('crypto');
 const { execSync } = require('child_process');
 
-const args = process.argv.slice(2);
-
-// Argument Parsing
-let scanTarget = path.resolve(__dirname, '..');
-let outputFile = path.join(scanTarget, 'manifest.json');
-
-for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--scan') {
-        scanTarget = path.resolve(process.cwd(), args[i + 1]);
-        i++;
-    } else if (args[i] === '--out') {
-        outputFile = path.resolve(process.cwd(), args[i + 1]);
-        i++;
-    }
-}
-
 const PROJECT_ROOT = path.resolve(__dirname, '..'); // Keep reference for relative paths
-const OUTPUT_FILE = outputFile;
 const PACKAGE_JSON = require('../package.json');
 
 const EXCLUDED_DIRS = new Set(['node_modules', '.git']);
@@ -79,84 +62,118 @@ function formatBytes(bytes, decimals = 2) {
 
 // --- Main Logic ---
 
-const manifest = {
-    meta: {
-        project: PACKAGE_JSON.name,
-        version: PACKAGE_JSON.version,
-        timestamp: new Date().toISOString(),
-        generated_by: "uCss Build System",
-        git: getGitInfo(),
-        stats: {
-            totalFiles: 0,
-            totalSize: 0,
-            totalSizeHuman: "",
-            extensions: {}
-        }
-    },
-    files: {},
-    structure: {}
-};
-
-function scanDir(dirPath, structureNode) {
-    const items = fs.readdirSync(dirPath).sort(); // Sort for consistent order
-
-    for (const item of items) {
-        if (EXCLUDED_FILES.has(item)) continue;
-
-        const fullPath = path.join(dirPath, item);
-        const relPath = path.relative(scanTarget, fullPath);
-
-        // Check for specific excluded paths
-        const normalizedRelPath = relPath.split(path.sep).join('/');
-        if (EXCLUDED_PATHS.has(normalizedRelPath)) continue;
-
-        const stats = fs.statSync(fullPath);
-
-        if (stats.isDirectory()) {
-            if (EXCLUDED_DIRS.has(item)) continue;
-            structureNode[item] = {};
-            scanDir(fullPath, structureNode[item]);
-            // Prune empty directories from structure if needed, but keeping for fidelity
-        } else {
-            structureNode[item] = null;
-
-            // Metadata gathering
-            const ext = path.extname(item).toLowerCase() || '(no-ext)';
-            const hash = getFileHash(fullPath);
-
-            // Update Stats
-            manifest.meta.stats.totalFiles++;
-            manifest.meta.stats.totalSize += stats.size;
-            manifest.meta.stats.extensions[ext] = (manifest.meta.stats.extensions[ext] || 0) + 1;
-
-            manifest.files[normalizedRelPath] = {
-                size: stats.size,
-                mtime: stats.mtime.toISOString(),
-                hash: `sha256-${hash}`,
-                ext: ext
-            };
+/**
+ * Scans a directory and writes its manifest.
+ * @param {string} scanTarget - Absolute directory to scan
+ * @param {string} outputFile - Absolute path of the manifest JSON to write
+ * @param {Object} [options]
+ * @param {{log: Function}} [options.logger=console] - Progress output
+ * @returns {Object} The manifest that was written
+ * @throws {Error} If the directory cannot be scanned or the file cannot be written
+ */
+function generateManifest(scanTarget, outputFile, { logger = console } = {}) {
+    const manifest = {
+        meta: {
+            project: PACKAGE_JSON.name,
+            version: PACKAGE_JSON.version,
+            timestamp: new Date().toISOString(),
+            generated_by: "uCss Build System",
+            git: getGitInfo(),
+            stats: {
+                totalFiles: 0,
+                totalSize: 0,
+                totalSizeHuman: "",
+                extensions: {}
+            }
+        },
+        files: {},
+        structure: {}
+    };
+
+    function scanDir(dirPath, structureNode) {
+        const items = fs.readdirSync(dirPath).sort(); // Sort for consistent order
+
+        for (const item of items) {
+            if (EXCLUDED_FILES.has(item)) continue;
+
+            const fullPath = path.join(dirPath, item);
+            const relPath = path.relative(scanTarget, fullPath);
+
+            // Check for specific excluded paths
+            const normalizedRelPath = relPath.split(path.sep).join('/');
+            if (EXCLUDED_PATHS.has(normalizedRelPath)) continue;
+
+            const stats = fs.statSync(fullPath);
+
+            if (stats.isDirectory()) {
+                if (EXCLUDED_DIRS.has(item)) continue;
+                structureNode[item] = {};
+                scanDir(fullPath, structureNode[item]);
+                // Prune empty directories from structure if needed, but keeping for fidelity
+            } else {
+                structureNode[item] = null;
+
+                // Metadata gathering
+                const ext = path.extname(item).toLowerCase() || '(no-ext)';
+                const hash = getFileHash(fullPath);
+
+                // Update Stats
+                manifest.meta.stats.totalFiles++;
+                manifest.meta.stats.totalSize += stats.size;
+                manifest.meta.stats.extensions[ext] = (manifest.meta.stats.extensions[ext] || 0) + 1;
+
+                manifest.files[normalizedRelPath] = {
+                    size: stats.size,
+                    mtime: stats.mtime.toISOString(),
+                    hash: `sha256-${hash}`,
+                    ext: ext
+                };
+            }
         }
     }
-}
 
-console.log(`🔍 Scanning target: ${scanTarget}`);
-console.log(`   Git: ${manifest.meta.git.branch} (${manifest.meta.git.commit.substring(0, 7)})`);
+    logger.log(`🔍 Scanning target: ${scanTarget}`);
+    logger.log(`   Git: ${manifest.meta.git.branch} (${manifest.meta.git.commit.substring(0, 7)})`);
 
-const start = Date.now();
-try {
+    const start = Date.now();
     scanDir(scanTarget, manifest.structure);
 
     // Finalize Stats
     manifest.meta.stats.totalSizeHuman = formatBytes(manifest.meta.stats.totalSize);
 
-    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(manifest, null, 2));
+    fs.writeFileSync(outputFile, JSON.stringify(manifest, null, 2));
 
     const duration = Date.now() - start;
-    console.log(`✅ Manifest generated in ${duration}ms`);
-    console.log(`   Files: ${manifest.meta.stats.totalFiles}`);
-    console.log(`   Size: ${manifest.meta.stats.totalSizeHuman}`);
-    console.log(`   Path: ${OUTPUT_FILE}`);
-} catch (error) {
-    console.error('❌ Error generating manifest:', error);
-    process.exit(1);
+    logger.log(`✅ Manifest generated in ${duration}ms`);
+    logger.log(`   Files: ${manifest.meta.stats.totalFiles}`);
+    logger.log(`   Size: ${manifest.meta.stats.totalSizeHuman}`);
+    logger.log(`   Path: ${outputFile}`);
+    return manifest;
 }
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+
+    // Argument Parsing
+    let scanTarget = PROJECT_ROOT;
+    let outputFile = path.join(scanTarget, 'manifest.json');
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--scan') {
+            scanTarget = path.resolve(process.cwd(), args[i + 1]);
+            i++;
+        } else if (args[i] === '--out') {
+            outputFile = path.resolve(process.cwd(), args[i + 1]);
+            i++;
+        }
+    }
+
+    try {
+        generateManifest(scanTarget, outputFile);
+    } catch (error) {
+        console.error('❌ Error generating manifest:', error);
+        process.exit(1);
+    }
+}
+
+module.exports = { generateManifest };
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Documentation Navigation
+ *
+ * @description
+ * The "Map". Turns the `src/**\/README.md` hierarchy into the navigation of the generated docs:
+ * a site-wide tree, breadcrumbs, previous / next links in reading order, and the table of contents
+ * of each page (from the heading IDs of the `heading` renderer in build.js).
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🧭 NAVIGATION
+ * ---------------------------------------------------------------------------------------------
+ *
+ * - TREE: one node per README folder (`''`, `lib`, `lib/layout`, `lib/layout/grid`, ...), titled
+ *   with its `# Heading`. A folder's parent is the closest ancestor folder with a README.
+ * - ORDER: depth-first, siblings by folder name. Previous / next follow it.
+ * - TOC: `##` and `###` headings of the page.
+ * - LINKS: relative to the page (`../../lib/layout/`), so the docs work from any folder or `file://`.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🚀 USAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * @example
+ * const nav = createNav([{ dir: '', title: 'Source Code' }, { dir: 'lib/layout', title: 'Layout Module' }]);
+ * const { header, footer } = renderPageNav(nav, { dir: 'lib/layout', root: '../../', headings });
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports createNav
+ * @exports breadcrumbs
+ * @exports neighbours
+ * @exports renderPageNav
+ */
+
+// Heading levels listed in the table of contents
+const TOC_LEVELS = [2, 3];
+
+/**
+ * Escapes text for HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds the navigation tree of the docs pages.
+ * @param {Array<{dir: string, title: string}>} pages - One per README, `dir` relative to the channel
+ *   folder with `/` separators (`''` for the channel root)
+ * @returns {{pages: Array<{dir: string, title: string, parent: (string|null), depth: number, children: string[]}>, byDir: Map<string, Object>}}
+ *   `pages` in reading order.
+ */
+function createNav(pages) {
+    const byDir = new Map();
+    for (const { dir, title } of pages) {
+        if (!byDir.has(dir)) byDir.set(dir, { dir, title, parent: null, depth: 0, children: [] });
+    }
+    const ancestor = (dir) => {
+        let current = dir;
+        while (current) {
+            current = current.includes('/') ? current.slice(0, current.lastIndexOf('/')) : '';
+            if (byDir.has(current)) return current;
+        }
+        return null;
+    };
+    const dirs = [...byDir.keys()].sort();
+    for (const dir of dirs) {
+        const parent = dir ? ancestor(dir) : null;
+        byDir.get(dir).parent = parent;
+        if (parent !== null) byDir.get(parent).children.push(dir);
+    }
+
+    const ordered = [];
+    const visit = (dir, depth) => {
+        const page = byDir.get(dir);
+        page.depth = depth;
+        ordered.push(page);
+        page.children.forEach(child => visit(child, depth + 1));
+    };
+    dirs.filter(dir => byDir.get(dir).parent === null).forEach(dir => visit(dir, 0));
+    return { pages: ordered, byDir };
+}
+
+/**
+ * Pages from the top of the tree down to a page (included).
+ * @param {Object} nav - From `createNav`
+ * @param {string} dir
+ * @returns {Object[]}
+ */
+function breadcrumbs(nav, dir) {
+    const trail = [];
+    for (let page = nav.byDir.get(dir); page; page = page.parent === null ? null : nav.byDir.get(page.parent)) trail.unshift(page);
+    return trail;
+}
+
+/**
+ * Previous and next page in reading order.
+ * @param {Object} nav - From `createNav`
+ * @param {string} dir
+ * @returns {{prev: (Object|null), next: (Object|null)}}
+ */
+function neighbours(nav, dir) {
+    const index = nav.pages.findIndex(page => page.dir === dir);
+    if (index === -1) return { prev: null, next: null };
+    return { prev: nav.pages[index - 1] || null, next: nav.pages[index + 1] || null };
+}
+
+/**
+ * Renders the navigation of a page.
+ * @param {Object} nav - From `createNav`
+ * @param {Object} options
+ * @param {string} options.dir - The page
+ * @param {string} options.root - Channel folder, relative to the page (`../../`, `./`)
+ * @param {Array<{level: number, id: string, text: string}>} [options.headings] - Headings of the page
+ *   (`text` as HTML)
+ * @returns {{header: string, footer: string}} `header`: breadcrumbs, site tree and table of
+ *   contents, before the content. `footer`: previous / next links.
+ */
+function renderPageNav(nav, { dir, root, headings = [] }) {
+    const href = (page) => `${root}${page.dir ? `${page.dir}/` : ''}`;
+    const link = (page) => (page.dir === dir
+        ? `<a href="${href(page)}" aria-current="page"><b>${escapeHtml(page.title)}</b></a>`
+        : `<a href="${href(page)}">${escapeHtml(page.title)}</a>`);
+
+    const trail = breadcrumbs(nav, dir);
+    const crumbs = trail.length > 1
+        ? `<nav aria-label="Breadcrumb"><small>${trail.map(page => (page.dir === dir ? `<span aria-current="page">${escapeHtml(page.title)}</span>` : `<a href="${href(page)}">${escapeHtml(page.title)}</a>`)).join(' › ')}</small></nav>`
+        : '';
+
+    const tree = (dirs) => `<ul>${dirs.map(child => {
+        const page = nav.byDir.get(child);
+        return `<li>${link(page)}${page.children.length ? tree(page.children) : ''}</li>`;
+    }).join('')}</ul>`;
+    const roots = nav.pages.filter(page => page.parent === null).map(page => page.dir);
+    const site = `<details><summary>All pages</summary><nav aria-label="Documentation">${tree(roots)}</nav></details>`;
+
+    const entries = headings.filter(heading => TOC_LEVELS.includes(heading.level) && heading.id);
+    const toc = entries.length
+        ? `<details><summary>On this page</summary><nav aria-label="Table of contents"><ul>${entries.map(heading => `<li style="margin-left: ${heading.level - TOC_LEVELS[0]}rem;"><a href="#${heading.id}">${heading.text.replace(/<(?!\/?(code|b|strong|em|i)\b)[^>]*>/g, '')}</a></li>`).join('')}</ul></nav></details>`
+        : '';
+
+    const { prev, next } = neighbours(nav, dir);
+    const footer = prev || next
+        ? `<nav aria-label="Previous and next page" style="display: flex; justify-content: space-between; gap: 1rem; margin-top: 3rem;">
+            ${prev ? `<a href="${href(prev)}" rel="prev">← ${escapeHtml(prev.title)}</a>` : '<span></span>'}
+            ${next ? `<a href="${href(next)}" rel="next">${escapeHtml(next.title)} →</a>` : '<span></span>'}
+        </nav>`
+        : '';
+
+    return { header: [crumbs, site, toc].filter(Boolean).join('\n        '), footer };
+}
+
+module.exports = { createNav, breadcrumbs, neighbours, renderPageNav };
@@ -0,0 +1,218 @@
+/**
+ * @fileoverview CSS Parser
+ *
+ * @description
+ * A small, dependency-free parser that turns a stylesheet into a tree of rules, at-rules,
+ * declarations and comments. Every node keeps its source offsets, so tools can edit the
+ * original text in place instead of re-printing it (formatting and comments survive).
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🌳 TREE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * - `{type: 'comment', start, end}`
+ * - `{type: 'decl', start, end}`                                     `color: red;`
+ * - `{type: 'rule', prelude, preludeStart, preludeEnd, children, start, end}`     `.a { ... }`
+ * - `{type: 'atrule', name, prelude, preludeStart, preludeEnd, children, start, end}`
+ *   `children` is `null` for statements such as `@import ...;`.
+ *
+ * `start` is the first character of the node, `end` the index after its `;`, `}` or `*\/`.
+ * Strings, comments and parentheses are skipped while looking for `{`, `}` and `;`,
+ * so `content: "}"` or `url(data:...;...)` never break the structure. Nesting (`&`) is supported.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports parseCss
+ * @exports splitList
+ * @exports closingParen
+ * @exports walk
+ * @exports moduleOf
+ * @exports CONDITIONAL_AT_RULES
+ */
+
+// At-rules that make a declaration conditional (not the default)
+const CONDITIONAL_AT_RULES = ['media', 'supports', 'container'];
+
+// Space, tab, newline, carriage return, form feed
+const isSpace = (c) => c === 32 || c === 10 || c === 9 || c === 13 || c === 12;
+
+// Characters the head scan has to stop at: " ' ( ) / ; [ ] { }
+const HEAD_STOP = new Uint8Array(126);
+for (const ch of `"'()/;[]{}`) HEAD_STOP[ch.charCodeAt(0)] = 1;
+
+/**
+ * Index after the string starting at `i` (a quote character).
+ * @param {string} css
+ * @param {number} i
+ * @returns {number}
+ */
+function skipString(css, i) {
+    const quote = css[i];
+    for (i++; i < css.length; i++) {
+        if (css[i] === '\\') i++;
+        else if (css[i] === quote || css[i] === '\n') return i + 1;
+    }
+    return css.length;
+}
+
+/**
+ * Index after the comment starting at `i` (`/*`).
+ * @param {string} css
+ * @param {number} i
+ * @returns {number}
+ */
+function skipComment(css, i) {
+    const end = css.indexOf('*/', i + 2);
+    return end === -1 ? css.length : end + 2;
+}
+
+/**
+ * Parses a stylesheet.
+ * @param {string} css - CSS source
+ * @returns {{type: 'root', children: Object[], start: number, end: number}}
+ * @throws {Error} On an unbalanced `}` or an unclosed block (with the line number).
+ */
+function parseCss(css) {
+    let i = 0;
+
+    const lineOf = (index) => css.slice(0, index).split('\n').length;
+
+    const atRule = (start, headEnd, children, end) => {
+        const name = css.slice(start + 1, headEnd).match(/^[\w-]*/)[0];
+        let preludeStart = start + 1 + name.length;
+        while (preludeStart < headEnd && isSpace(css.charCodeAt(preludeStart))) preludeStart++;
+        const prelude = css.slice(preludeStart, headEnd);
+        return { type: 'atrule', name, prelude, preludeStart, preludeEnd: headEnd, children, start, end };
+    };
+
+    function parseBlock(isRoot) {
+        const children = [];
+        while (i < css.length) {
+            // Whitespace between nodes
+            while (i < css.length && isSpace(css.charCodeAt(i))) i++;
+            if (i >= css.length) break;
+
+            const start = i;
+            if (css.startsWith('/*', i)) {
+                i = skipComment(css, i);
+                children.push({ type: 'comment', start, end: i });
+                continue;
+            }
+            if (css[i] === '}') {
+                if (isRoot) throw new Error(`Unexpected "}" on line ${lineOf(i)}`);
+                return children;
+            }
+
+            // Read up to the next top-level `{`, `;` or `}`
+            let depth = 0;
+            while (i < css.length) {
+                const c = css.charCodeAt(i);
+                if (c > 125 || !HEAD_STOP[c]) { i++; continue; }
+                if (c === 34 || c === 39) { i = skipString(css, i); continue; } // " '
+                if (c === 47 && css.charCodeAt(i + 1) === 42) { i = skipComment(css, i); continue; } // /*
+                if (c === 40 || c === 91) depth++; // ( [
+                else if ((c === 41 || c === 93) && depth > 0) depth--; // ) ]
+                else if (depth === 0 && (c === 123 || c === 59 || c === 125)) break; // { ; }
+                i++;
+            }
+
+            let headEnd = i;
+            while (headEnd > start && isSpace(css.charCodeAt(headEnd - 1))) headEnd--;
+
+            if (css.charCodeAt(i) !== 123) {
+                // `;` terminated (or the last declaration before `}` / EOF)
+                if (css.charCodeAt(i) === 59) i++;
+                if (headEnd === start) continue; // Stray `;`
+                const end = css.charCodeAt(i - 1) === 59 ? i : headEnd;
+                children.push(css.charCodeAt(start) === 64
+                    ? atRule(start, headEnd, null, end)
+                    : { type: 'decl', start, end });
+                continue;
+            }
+
+            i++;
+            const block = parseBlock(false);
+            if (css[i] !== '}') throw new Error(`Unclosed block "${css.slice(start, Math.min(headEnd, start + 40))}" starting on line ${lineOf(start)}`);
+            i++;
+            children.push(css.charCodeAt(start) === 64
+                ? atRule(start, headEnd, block, i)
+                : { type: 'rule', prelude: css.slice(start, headEnd), preludeStart: start, preludeEnd: headEnd, children: block, start, end: i });
+        }
+        if (!isRoot) throw new Error(`Unexpected end of file (missing "}")`);
+        return children;
+    }
+
+    const children = parseBlock(true);
+    return { type: 'root', children, start: 0, end: css.length };
+}
+
+/**
+ * Splits a comma-separated list (selector list, `:where()` arguments, ...) at top level only.
+ * @param {string} text
+ * @returns {string[]} Trimmed items
+ * @example
+ * splitList(':where(.a, .b), .c[title="x,y"]'); // [':where(.a, .b)', '.c[title="x,y"]']
+ */
+function splitList(text) {
+    const items = [];
+    let depth = 0;
+    let last = 0;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '"' || ch === "'") { i = skipString(text, i) - 1; continue; }
+        if (ch === '/' && text[i + 1] === '*') { i = skipComment(text, i) - 1; continue; }
+        if (ch === '(' || ch === '[') depth++;
+        else if (ch === ')' || ch === ']') depth--;
+        else if (ch === ',' && depth === 0) {
+            items.push(text.slice(last, i).trim());
+            last = i + 1;
+        }
+    }
+    items.push(text.slice(last).trim());
+    return items;
+}
+
+/**
+ * Index of the `)` closing the parenthesis opened right before `i` (strings and comments skipped).
+ * @param {string} text
+ * @param {number} i
+ * @returns {number} `text.length` when it is never closed
+ * @example
+ * closingParen('var(--a, ")")) + 1', 4); // 13
+ */
+function closingParen(text, i) {
+    let depth = 1;
+    for (; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '"' || ch === "'") { i = skipString(text, i) - 1; continue; }
+        if (ch === '/' && text[i + 1] === '*') { i = skipComment(text, i) - 1; continue; }
+        if (ch === '(') depth++;
+        else if (ch === ')' && --depth === 0) return i;
+    }
+    return text.length;
+}
+
+/**
+ * Visits every node depth-first.
+ * @param {Object} node - A tree from `parseCss` (or any node of it)
+ * @param {function(Object, Object): void} visitor - Called with `(node, parent)`
+ */
+function walk(node, visitor) {
+    for (const child of node.children || []) {
+        visitor(child, node);
+        walk(child, visitor);
+    }
+}
+
+/**
+ * Top-level module of a project-relative path (`src/lib/layout/grid.css` -> `layout`).
+ * @param {string} file - `/` separated
+ * @returns {string|null} `null` outside `src/lib/` (e.g. `src/u.css`)
+ */
+function moduleOf(file) {
+    const match = file.match(/^src\/lib\/([^/.]+)/);
+    return match ? match[1] : null;
+}
+
+module.exports = { parseCss, splitList, closingParen, walk, moduleOf, CONDITIONAL_AT_RULES };
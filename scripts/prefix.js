@@ -10,16 +10,19 @@
  * ---------------------------------------------------------------------------------------------
  * 
  * 1. MASKING
- *    - First, we identify and "hide" all strings (`"..."`, `'...'`) and comments (`/ * ... * /`).
+ *    - First, we identify and "hide" all strings (`"..."`, `'...'`), comments (`/ * ... * /`)
+ *      `@layer` names (`ucss.base` is a layer, not a class) and the `url()` / `layer()` of `@import`.
  *    - This prevents accidental replacement of content inside strings or comments.
  * 
  * 2. VARIABLE PREFIXING (`--var` -> `--prefix -var`)
  *    - Replaces all CSS custom properties.
  *    - EXCLUDES: standard uCss globals like `--theme -* `, `--block -* `, `--editor -* `.
+ *      (`prefix.excludeVariables` in `ucss.config.*`)
  * 
  * 3. CLASS PREFIXING (`.class` -> `.prefix - class`)
  *    - Replaces all class selectors.
  *    - EXCLUDES: standard WordPress/Gutenberg classes (`.wp -* `, `.block -* `).
+ *      (`prefix.excludeClasses` in `ucss.config.*`)
  * 
  * 4. UNMASKING
  *    - Restores the original strings and comments.
@@ -28,7 +31,51 @@
  * 🔧 EXPORTS
  * ---------------------------------------------------------------------------------------------
  * @exports prefixCss
- * 
+ * @exports prefixVariables
+ * @exports isExcludedClass
+ */
+
+const { loadConfig } = require('./config');
+
+let patterns = null;
+
+/**
+ * Compiles the exclusion patterns from `ucss.config.*` on first use.
+ * @returns {{variable: RegExp, excludedClass: RegExp}}
+ */
+function getPatterns() {
+    if (!patterns) {
+        const { excludeVariables, excludeClasses } = loadConfig().prefix;
+        patterns = {
+            // Matches a custom property name that is NOT excluded. Groups: 1 = excluded head, 2 = name.
+            variable: new RegExp(`--(?!(${excludeVariables.join('|')})(?:-|$))([\\w-]+)`, 'g'),
+            excludedClass: new RegExp(`^(${excludeClasses.join('|')})(?:-|$)`)
+        };
+    }
+    return patterns;
+}
+
+/**
+ * Prefixes every non-excluded custom property in a string.
+ * @param {string} text - CSS (or inline style) text
+ * @param {string} varPrefix - Full replacement head, e.g. `--u-`
+ * @returns {string}
+ */
+function prefixVariables(text, varPrefix) {
+    return text.replace(getPatterns().variable, (match, restricted, varName) => `${varPrefix}${varName}`);
+}
+
+/**
+ * Whether a class name must be left untouched (WordPress/Gutenberg namespaces by default).
+ * @param {string} className - Class name without the leading dot
+ * @returns {boolean}
+ */
+function isExcludedClass(className) {
+    return getPatterns().excludedClass.test(className);
+}
+
+/**
+ * Prefixes classes and/or variables in a stylesheet.
  * @param {string} css - The raw CSS content.
  * @param {'p'|'c'|'v'} mode - Mode: 'p' (all), 'c' (classes), 'v' (variables).
  * @param {string} prefix - The prefix string (e.g., 'unqa', 'ucss').
@@ -51,16 +98,17 @@ function prefixCss(css, mode = 'p', prefix = 'ucss') {
         // Mask Comments /* ... */
         .replace(/\/\*[\s\S]*?\*\//g, maskToken)
         // Mask Strings "..." or '...'
-        .replace(/(["'])(?:(?=(\\?))\2.)*?\1/g, maskToken);
+        .replace(/(["'])(?:(?=(\\?))\2.)*?\1/g, maskToken)
+        // Mask Layer Names @layer ucss.base, ucss.layout
+        .replace(/@layer\b[^{;]*/g, maskToken)
+        // Mask the URL and layer of imports: @import url(https://cdn.example.com/a.css) layer(ucss.base)
+        .replace(/@import\b[^;]*/g, statement => statement.replace(/\b(?:url|layer)\([^)]*\)/gi, maskToken));
 
     // 2. Variable Prefixing
     // Matches: --variable-name
     // Excludes: --theme-*, --u-*, --ucss-* --wp-*, --block-*, --editor-* (and exact matches)
     if (mode === 'p' || mode === 'v') {
-        safeCss = safeCss.replace(/--(?!(theme|u|ucss|wp|block|editor)(?:-|$))([\w-]+)/g, (match, restricted, varName) => {
-            // If we somehow matched a restricted one incorrectly, safely return (though regex shouldn't)
-            return `${varPrefix}${varName}`;
-        });
+        safeCss = prefixVariables(safeCss, varPrefix);
     }
 
     // 3. Class Prefixing
@@ -69,7 +117,7 @@ function prefixCss(css, mode = 'p', prefix = 'ucss') {
     if (mode === 'p' || mode === 'c') {
         safeCss = safeCss.replace(/\.([a-zA-Z_][\w-]*)/g, (match, className) => {
             // Check for exclusions
-            if (/^(wp|block|editor)(?:-|$)/.test(className)) {
+            if (isExcludedClass(className)) {
                 return match;
             }
             return `${classPrefix}${className}`;
@@ -80,4 +128,4 @@ function prefixCss(css, mode = 'p', prefix = 'ucss') {
     return safeCss.replace(/___MASK_(\d+)___/g, (_, id) => store[Number(id)]);
 }
 
-module.exports = { prefixCss };
+module.exports = { prefixCss, prefixVariables, isExcludedClass };
@@ -0,0 +1,426 @@
+/**
+ * @fileoverview Content-Aware Purge
+ *
+ * @description
+ * Removes the rules a site never uses. Scans content files (HTML, PHP, JSX, Vue, Markdown, ...)
+ * for class names and drops every selector that requires a class which does not appear anywhere.
+ * Typical production sites use a small fraction of `u.css`, so this is the biggest size win
+ * after compression.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🧹 STRATEGY
+ * ---------------------------------------------------------------------------------------------
+ *
+ * 1. CONTENT SCAN
+ *    - Every word made of `[A-Za-z0-9_-]` in the matched files counts as a potential class.
+ *      Deliberately generous: a false "used" only costs bytes, a false "unused" breaks a page.
+ *
+ * 2. SELECTOR PRUNING
+ *    - A selector survives only if each class it requires is used (or safelisted).
+ *    - Alternatives inside `:where()` / `:is()` / `:has()` are pruned one by one,
+ *      `:where(.g-2--md, .g-2--smd)` -> `:where(.g-2--md)`. Classes inside `:not()` are ignored.
+ *    - Rules without selectors, emptied `@media` / `@container` / `@supports` blocks and the
+ *      doc comments describing only removed rules are dropped. `@keyframes`, `@font-face`,
+ *      variables and element selectors are never touched.
+ *
+ * 3. PREFIX AWARENESS
+ *    - For the `p` / `c` channels, safelist entries match with or without the prefix
+ *      (`btn` keeps `.u-btn`). Content must use the real (prefixed) class names.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🚀 USAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * @example
+ * // Usually called by build.js (`npm run build -- latest --purge`)
+ * node scripts/purge.js dist/latest/u.css --content "site/**\/*.{html,php}" --safelist "/^is-/"
+ *
+ * // Or programmatically
+ * const { purge } = require('./purge');
+ * const { css, report } = await purge(css, { content: ['site/**\/*.html'], safelist: ['active'] });
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseCss, splitList, closingParen } = require('./parse');
+const { loadConfig } = require('./config');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+
+// Folders never scanned for content
+const IGNORED_DIRS = ['node_modules', '.git'];
+
+// At-rules whose blocks contain ordinary rules (and may become empty)
+const GROUPING_AT_RULES = ['media', 'container', 'supports', 'layer', 'scope', 'document', 'starting-style'];
+
+// Pseudo-classes whose arguments are matched like a selector list
+const MATCHING_PSEUDOS = ['where', 'is', 'matches', 'has', '-webkit-any', '-moz-any'];
+
+// --- Content Scan ---
+
+const toPosix = (p) => p.split(path.sep).join('/');
+const escapeRegExp = (s) => s.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Converts a glob (`**`, `*`, `?`, `{a,b}`) into a RegExp over posix paths.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    let re = '';
+    for (let i = 0; i < glob.length; i++) {
+        const ch = glob[i];
+        if (ch === '*' && glob[i + 1] === '*') {
+            i++;
+            if (glob[i + 1] === '/') { i++; re += '(?:.*/)?'; } else re += '.*';
+        } else if (ch === '*') {
+            re += '[^/]*';
+        } else if (ch === '?') {
+            re += '[^/]';
+        } else if (ch === '{' && glob.indexOf('}', i) > i) {
+            const end = glob.indexOf('}', i);
+            re += `(?:${glob.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+            i = end;
+        } else {
+            re += escapeRegExp(ch);
+        }
+    }
+    return new RegExp(`^${re}$`);
+}
+
+/**
+ * Lists the files matching a set of globs.
+ * @param {string[]} patterns - Globs, relative to `root` or absolute
+ * @param {string} [root=PROJECT_ROOT]
+ * @returns {Promise<string[]>} Sorted absolute paths
+ */
+async function findFiles(patterns, root = PROJECT_ROOT) {
+    const found = new Set();
+
+    for (const pattern of patterns) {
+        const absolute = toPosix(path.resolve(root, pattern));
+        const matcher = globToRegExp(absolute);
+        // Walk from the deepest folder without wildcards
+        const segments = absolute.split('/');
+        const firstWild = segments.findIndex(s => /[*?{]/.test(s));
+        if (firstWild === -1) {
+            try {
+                if ((await fs.stat(absolute)).isFile()) found.add(path.normalize(absolute));
+            } catch (e) { }
+            continue;
+        }
+        const base = segments.slice(0, firstWild).join('/') || '/';
+
+        const visit = async (dir) => {
+            let entries;
+            try {
+                entries = await fs.readdir(dir, { withFileTypes: true });
+            } catch (e) {
+                return;
+            }
+            for (const entry of entries) {
+                const full = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    if (!IGNORED_DIRS.includes(entry.name)) await visit(full);
+                } else if (matcher.test(toPosix(full))) {
+                    found.add(full);
+                }
+            }
+        };
+        await visit(base);
+    }
+    return [...found].sort();
+}
+
+/**
+ * Collects every potential class name from the content files.
+ * @param {string[]} files - Absolute paths
+ * @returns {Promise<Set<string>>}
+ */
+async function collectTokens(files) {
+    const tokens = new Set();
+    for (const file of files) {
+        const text = await fs.readFile(file, 'utf8');
+        for (const token of text.match(/[\w-]+/g) || []) tokens.add(token);
+    }
+    return tokens;
+}
+
+/**
+ * Normalizes safelist entries. Strings are exact class names, `/.../flags` strings and RegExps are patterns.
+ * @param {Array<string|RegExp>} safelist
+ * @returns {function(string): boolean}
+ */
+function compileSafelist(safelist) {
+    const names = new Set();
+    const patterns = [];
+    for (const entry of safelist) {
+        const literal = typeof entry === 'string' && entry.match(/^\/(.+)\/([a-z]*)$/);
+        if (entry instanceof RegExp) patterns.push(new RegExp(entry.source, entry.flags.replace(/[gy]/g, '')));
+        else if (literal) patterns.push(new RegExp(literal[1], literal[2].replace(/[gy]/g, '')));
+        else names.add(entry.replace(/^\./, ''));
+    }
+    return (name) => names.has(name) || patterns.some(re => re.test(name));
+}
+
+// --- Selector Pruning ---
+
+/**
+ * Removes what cannot match from a single (complex) selector.
+ * @param {string} selector
+ * @param {function(string): boolean} isUsed
+ * @param {Set<string>} seen - Collects every class name encountered
+ * @returns {string|null} The pruned selector, or null if it can never match
+ */
+function pruneSelector(selector, isUsed, seen) {
+    let out = '';
+    let dead = false; // Keep scanning so `seen` is complete
+    let i = 0;
+    while (i < selector.length) {
+        const rest = selector.slice(i);
+        const ch = selector[i];
+
+        if (ch === '\\') {
+            out += selector.slice(i, i + 2);
+            i += 2;
+        } else if (ch === '[') {
+            const end = selector.indexOf(']', i);
+            const stop = end === -1 ? selector.length : end + 1;
+            out += selector.slice(i, stop);
+            i = stop;
+        } else if (ch === '.' && /^\.-?[_a-zA-Z]/.test(rest)) {
+            const name = rest.match(/^\.(-?[_a-zA-Z][\w-]*)/)[1];
+            seen.add(name);
+            if (!isUsed(name)) dead = true;
+            out += `.${name}`;
+            i += name.length + 1;
+        } else if (ch === ':' && /^::?[\w-]+\(/.test(rest)) {
+            const head = rest.match(/^::?([\w-]+)\(/);
+            const close = closingParen(selector, i + head[0].length);
+            const args = selector.slice(i + head[0].length, close);
+            if (MATCHING_PSEUDOS.includes(head[1].toLowerCase())) {
+                const items = splitList(args);
+                const kept = items.map(item => pruneSelector(item, isUsed, seen)).filter(item => item !== null);
+                if (!kept.length) dead = true;
+                const unchanged = kept.length === items.length && kept.every((item, n) => item === items[n]);
+                out += head[0] + (unchanged ? args : kept.join(', ')) + ')';
+            } else {
+                // :not(), :nth-child(), ... never require a class
+                out += selector.slice(i, close + 1);
+            }
+            i = close + 1;
+        } else {
+            out += ch;
+            i++;
+        }
+    }
+    return dead ? null : out;
+}
+
+// --- Stylesheet ---
+
+/**
+ * Widens a range to full lines when nothing else shares them.
+ * @param {string} css
+ * @param {number} start
+ * @param {number} end
+ * @returns {[number, number]}
+ */
+function lineRange(css, start, end) {
+    let s = start;
+    while (s > 0 && (css[s - 1] === ' ' || css[s - 1] === '\t')) s--;
+    let e = end;
+    while (e < css.length && (css[e] === ' ' || css[e] === '\t')) e++;
+    if ((s === 0 || css[s - 1] === '\n') && (e === css.length || css[e] === '\n')) {
+        return [s, Math.min(e + 1, css.length)];
+    }
+    return [start, end];
+}
+
+/**
+ * Purges a stylesheet against a set of used class names.
+ * @param {string} css - The bundle (already prefixed for `p` / `c`)
+ * @param {Object} options
+ * @param {Set<string>} options.used - Class names found in the content
+ * @param {Array<string|RegExp>} [options.safelist=[]] - Always kept (unprefixed names work too)
+ * @param {string} [options.prefix] - Class prefix of the bundle (`u` for `.u-btn`), if any
+ * @returns {{css: string, classes: {total: number, kept: string[], removed: string[]}, selectors: string[]}}
+ *   `selectors` lists every removed selector (or selector part)
+ */
+function purgeCss(css, { used, safelist = [], prefix } = {}) {
+    const isSafe = compileSafelist(safelist);
+    const head = prefix ? `${prefix.replace(/-$/, '')}-` : null;
+    const isUsed = (name) => used.has(name) || isSafe(name) || Boolean(head && name.startsWith(head) && isSafe(name.slice(head.length)));
+
+    const seen = new Set();
+    const removedSelectors = [];
+    const edits = [];
+
+    // Returns whether `node` survives
+    const visit = (node) => {
+        if (node.type === 'rule') {
+            const items = splitList(node.prelude);
+            const kept = [];
+            for (const item of items) {
+                const pruned = pruneSelector(item, isUsed, seen);
+                if (pruned === null) removedSelectors.push(item);
+                else {
+                    if (pruned !== item) removedSelectors.push(item);
+                    kept.push(pruned);
+                }
+            }
+            if (!kept.length) return false;
+            if (!visitBlock(node.children)) return false;
+            if (kept.length !== items.length || kept.some((item, n) => item !== items[n])) {
+                edits.push({ start: node.preludeStart, end: node.preludeEnd, text: kept.join(', ') });
+            }
+            return true;
+        }
+        if (node.type === 'atrule' && node.children && GROUPING_AT_RULES.includes(node.name.toLowerCase())) {
+            return visitBlock(node.children);
+        }
+        return true;
+    };
+
+    // Returns whether the block still has content (an originally empty block counts as content)
+    const visitBlock = (children) => {
+        const alive = children.map(child => child.type === 'comment' || visit(child));
+
+        // A comment goes when every rule it describes is gone. A comment right above a rule describes the rules
+        // that follow it up to a blank line (or the next comment); a heading (blank line or comment below it)
+        // describes everything up to the next comment, and goes with that comment when it has no rules of its own.
+        const blankBefore = (n) => /\n[ \t]*\n/.test(css.slice(children[n - 1].end, children[n].start));
+        const isRule = (n) => n < children.length && children[n].type !== 'comment';
+        for (let n = children.length - 1; n >= 0; n--) {
+            if (children[n].type !== 'comment') continue;
+            const attached = isRule(n + 1) && !blankBefore(n + 1);
+            let end = n + 1;
+            while (isRule(end) && !(attached && end > n + 1 && blankBefore(end))) end++;
+            const section = alive.slice(n + 1, end);
+            // Comments are processed last to first: the next one's fate is already known
+            alive[n] = section.length ? section.some(Boolean) : end === children.length || alive[end];
+        }
+
+        children.forEach((child, n) => {
+            if (!alive[n]) {
+                const [start, end] = lineRange(css, child.start, child.end);
+                edits.push({ start, end, text: '' });
+            }
+        });
+        return children.length === 0 || children.some((child, n) => alive[n] && child.type !== 'comment');
+    };
+
+    visitBlock(parseCss(css).children);
+
+    // Apply from the end so earlier offsets stay valid (removed rules never contain other edits)
+    let result = css;
+    const outer = [];
+    for (const edit of edits.sort((a, b) => a.start - b.start || b.end - a.end)) {
+        const parent = outer[outer.length - 1];
+        if (parent && edit.start >= parent.start && edit.end <= parent.end) continue;
+        outer.push(edit);
+    }
+    for (const edit of outer.reverse()) {
+        result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+
+    const all = [...seen].sort();
+    return {
+        css: result.replace(/\n{3,}/g, '\n\n'),
+        classes: {
+            total: all.length,
+            kept: all.filter(isUsed),
+            removed: all.filter(name => !isUsed(name))
+        },
+        selectors: removedSelectors
+    };
+}
+
+/**
+ * Scans the content and purges a stylesheet. Defaults come from `purge` in `ucss.config.*`.
+ * @param {string} css - The bundle (already prefixed for `p` / `c`)
+ * @param {Object} [options]
+ * @param {string[]} [options.content] - Globs of files to scan, relative to the project root
+ * @param {Array<string|RegExp>} [options.safelist] - Class names or patterns to always keep
+ * @param {string} [options.prefix] - Class prefix of the bundle, if any
+ * @param {Set<string>} [options.used] - Pre-collected class names (skips the scan)
+ * @returns {Promise<{css: string, report: Object}>}
+ * @throws {Error} If no content is configured or the globs match no files.
+ */
+async function purge(css, options = {}) {
+    const config = loadConfig().purge;
+    const content = options.content || config.content;
+    const safelist = options.safelist || config.safelist;
+
+    let used = options.used;
+    let files = [];
+    if (!used) {
+        if (!content.length) {
+            throw new Error('❌ Purge needs content globs (`purge.content` in ucss.config.js), e.g. ["site/**/*.{html,php}"]');
+        }
+        files = await findFiles(content);
+        if (!files.length) {
+            throw new Error(`❌ Purge content matched no files: ${content.join(', ')}`);
+        }
+        used = await collectTokens(files);
+    }
+
+    const result = purgeCss(css, { used, safelist, prefix: options.prefix });
+    const report = {
+        generated: new Date().toISOString(),
+        prefix: options.prefix || null,
+        content: { patterns: content, files: files.map(f => toPosix(path.relative(PROJECT_ROOT, f))) },
+        safelist: safelist.map(String),
+        size: { before: Buffer.byteLength(css), after: Buffer.byteLength(result.css) },
+        classes: {
+            total: result.classes.total,
+            kept: result.classes.kept.length,
+            removed: result.classes.removed.length
+        },
+        removed: {
+            classes: result.classes.removed,
+            selectors: result.selectors
+        }
+    };
+    return { css: result.css, report };
+}
+
+if (require.main === module) {
+    // node scripts/purge.js <file.css> [--content <glob>]... [--safelist <name|/regex/>]... [--prefix <prefix>]
+    const args = process.argv.slice(2);
+    const options = {};
+    let input = null;
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--content') (options.content = options.content || []).push(args[++i]);
+        else if (args[i] === '--safelist') (options.safelist = options.safelist || []).push(args[++i]);
+        else if (args[i] === '--prefix') options.prefix = args[++i];
+        else input = args[i];
+    }
+
+    if (!input) {
+        console.error('Usage: node scripts/purge.js <file.css> [--content <glob>]... [--safelist <name|/regex/>]... [--prefix <prefix>]');
+        process.exit(1);
+    }
+
+    (async () => {
+        // A built `u.css` links its map: the link would point the purged files at the wrong map
+        const css = (await fs.readFile(input, 'utf8')).replace(/\n?\/\*# sourceMappingURL=[^*]*\*\/\s*$/, '\n');
+        const { css: purged, report } = await purge(css, options);
+        // Loaded late: build.js itself requires this module
+        const { cleanCss, minifyCss } = require('./build');
+
+        const base = input.replace(/\.css$/, '');
+        await fs.writeFile(`${base}.purged.css`, purged);
+        await fs.writeFile(`${base}.purged.clean.css`, cleanCss(purged));
+        await fs.writeFile(`${base}.purged.min.css`, minifyCss(purged));
+        await fs.writeFile(path.join(path.dirname(input), 'purge-report.json'), JSON.stringify(report, null, 2));
+
+        console.log(`✅ Purged ${report.classes.removed} of ${report.classes.total} classes (${report.content.files.length} content files)`);
+        console.log(`   Size: ${(report.size.before / 1024).toFixed(1)} KB -> ${(report.size.after / 1024).toFixed(1)} KB`);
+    })().catch(err => {
+        console.error('Purge failed:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { purge, purgeCss, findFiles };
@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Generated Reference Pages
+ *
+ * @description
+ * The "Ledger". Writes one reference page per module from the API catalog (`catalog.js`), i.e.
+ * from the CSS itself, so the lists never drift from the source the way hand-written READMEs do.
+ * The pages are Markdown, rendered by the docs generator like any README
+ * (`lib/<module>/reference/index.html`) and linked from the module page.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 📋 PAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * - CLASSES: per leaf file (its `@file` title and description), every class with its `@group`,
+ *   its description and its responsive variants (`--sm`, `--md`, `--lg`, `--smd`, `--mdl`)
+ *   folded into the row of the base class.
+ * - VARIABLES: per leaf file, every custom property with its default as written (the fallback of
+ *   its first `var()` for hooks) and what that fallback chain resolves to with the root defaults.
+ * - PREFIXES: names come from the catalog of the channel, so `/p/` lists `u-btn` and `--u-p`.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🚀 USAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * @example
+ * const api = createCatalog(sources, { prefixMode: 'p', prefix: 'u' });
+ * referenceMarkdown(api, 'layout', { title: 'Layout Module' });   // '# Layout Module: Reference ...'
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports moduleReference
+ * @exports referenceMarkdown
+ * @exports REFERENCE_DIR
+ * @exports RESPONSIVE_SUFFIXES
+ */
+
+const { resolveValue } = require('./extract');
+
+// Folder of the reference page, inside the module folder (`lib/layout/reference/`)
+const REFERENCE_DIR = 'reference';
+
+/** Container-size suffixes of the responsive class variants, smallest first. */
+const RESPONSIVE_SUFFIXES = ['sm', 'smd', 'md', 'mdl', 'lg'];
+
+const RESPONSIVE = new RegExp(`^(.+)--(${RESPONSIVE_SUFFIXES.join('|')})$`);
+
+/**
+ * Inline code for a Markdown table cell.
+ * @param {string} text
+ * @returns {string}
+ */
+function code(text) {
+    const value = String(text).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+    return value.includes('`') ? `\`\` ${value} \`\`` : `\`${value}\``;
+}
+
+/**
+ * Plain text for a Markdown table cell.
+ * @param {string|null} text
+ * @returns {string}
+ */
+function cell(text) {
+    return text ? String(text).replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Groups catalog entries by their leaf file, in catalog (cascade) order.
+ * @param {Array<[string, Object]>} entries
+ * @returns {Map<string, Array<[string, Object]>>}
+ */
+function byFile(entries) {
+    const files = new Map();
+    for (const entry of entries) {
+        if (!files.has(entry[1].file)) files.set(entry[1].file, []);
+        files.get(entry[1].file).push(entry);
+    }
+    return files;
+}
+
+/**
+ * The classes and variables of a module.
+ * @param {Object} catalog - From `createCatalog`
+ * @param {string} module - Module name (`layout`)
+ * @returns {{classes: Array<{file: string, entries: Object[]}>, variables: Array<{file: string, entries: Object[]}>}}
+ *   Classes: `{name, variants, group, description}`, `variants` by suffix. Variables:
+ *   `{name, default, resolved, scope, group, description}`, `resolved` null when unresolvable.
+ */
+function moduleReference(catalog, module) {
+    const own = Object.entries(catalog.classes).filter(([, entry]) => entry.module === module);
+    const names = new Set(own.map(([name]) => name));
+    const variants = new Map();
+    const classes = [];
+    for (const [name, entry] of own) {
+        const responsive = name.match(RESPONSIVE);
+        if (responsive && names.has(responsive[1])) {
+            if (!variants.has(responsive[1])) variants.set(responsive[1], []);
+            variants.get(responsive[1]).push(responsive[2]);
+        } else {
+            classes.push([name, entry]);
+        }
+    }
+
+    const lookup = (name) => {
+        const variable = catalog.variables[name];
+        return variable && variable.scope === 'root' ? variable.default : undefined;
+    };
+    const variables = Object.entries(catalog.variables).filter(([, entry]) => entry.module === module);
+
+    return {
+        classes: [...byFile(classes)].map(([file, entries]) => ({
+            file,
+            entries: entries.map(([name, entry]) => ({
+                name,
+                variants: (variants.get(name) || []).sort((a, b) => RESPONSIVE_SUFFIXES.indexOf(a) - RESPONSIVE_SUFFIXES.indexOf(b)),
+                group: entry.group,
+                description: entry.description
+            }))
+        })),
+        variables: [...byFile(variables)].map(([file, entries]) => ({
+            file,
+            entries: entries.map(([name, entry]) => ({
+                name,
+                default: entry.default,
+                resolved: entry.default === null ? null : resolveValue(entry.default, lookup),
+                scope: entry.scope,
+                group: entry.group,
+                description: entry.description
+            }))
+        }))
+    };
+}
+
+/**
+ * Renders the reference page of a module.
+ * @param {Object} catalog - From `createCatalog`
+ * @param {string} module
+ * @param {Object} [options]
+ * @param {string} [options.title] - Title of the module page (`Layout Module`), linked as `../`
+ * @returns {string} Markdown
+ */
+function referenceMarkdown(catalog, module, { title } = {}) {
+    const { classes, variables } = moduleReference(catalog, module);
+    const heading = title || `${module[0].toUpperCase()}${module.slice(1)}`;
+    const count = (sections) => sections.reduce((total, section) => total + section.entries.length, 0);
+    // Variables headings get a suffix: the same file can head both lists (unique anchors)
+    const fileHeading = (file, suffix = '') => {
+        const info = catalog.files[file] || {};
+        const lines = [`### ${info.title || file.split('/').pop()}${suffix}`, '', code(file)];
+        if (info.description) lines.push('', cell(info.description));
+        return lines;
+    };
+
+    const lines = [
+        `# ${heading}: Reference`,
+        '',
+        `> Generated from the source of \`lib/${module}/\`: ${count(classes)} classes and ${count(variables)} variables${catalog.prefix ? `, with the channel prefix \`${catalog.prefix.prefix}\`` : ''}. For concepts and examples, see the [${heading}](../) page.`,
+        '',
+        '## Classes',
+        ''
+    ];
+    if (!classes.length) lines.push('This module has no classes of its own.', '');
+    for (const { file, entries } of classes) {
+        const fileDescription = (catalog.files[file] || {}).description;
+        lines.push(...fileHeading(file), '', '| Class | Responsive | Group | Description |', '| :--- | :--- | :--- | :--- |');
+        for (const entry of entries) {
+            const variants = entry.variants.map(suffix => code(`--${suffix}`)).join(' ');
+            const description = entry.description === fileDescription ? '' : cell(entry.description);
+            lines.push(`| ${code(`.${entry.name}`)} | ${variants} | ${cell(entry.group)} | ${description} |`);
+        }
+        lines.push('');
+    }
+
+    lines.push('## Variables', '');
+    if (!variables.length) lines.push('This module declares no variables.', '');
+    for (const { file, entries } of variables) {
+        lines.push(...fileHeading(file, ' (variables)'), '', '| Variable | Default | Resolves to | Scope | Description |', '| :--- | :--- | :--- | :--- | :--- |');
+        for (const entry of entries) {
+            const resolved = entry.resolved === null ? '_no default_' : (entry.resolved === entry.default ? '' : code(entry.resolved));
+            lines.push(`| ${code(entry.name)} | ${entry.default === null ? '' : code(entry.default)} | ${entry.default === null ? '' : resolved} | ${entry.scope} | ${cell(entry.description)} |`);
+        }
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+module.exports = { moduleReference, referenceMarkdown, REFERENCE_DIR, RESPONSIVE_SUFFIXES };
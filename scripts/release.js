@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Versioned Releases
+ *
+ * @description
+ * The "Archive". The moving channels (`stable`, `latest`, ...) change with every deploy; a release
+ * folder never does. `dist/1.2.0/` is built once, from the git tag `v1.2.0`, and listed in
+ * `dist/versions.json`, so sites can pin `https://<cdn>/1.2.0/u.min.css` for good.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 📌 RULES
+ * ---------------------------------------------------------------------------------------------
+ *
+ * 1. SOURCE
+ *    - A release is always built from its tag (`v1.2.0`, or `1.2.0`) through `build({ sourceRef })`,
+ *      never from the working tree.
+ *
+ * 2. IMMUTABLE
+ *    - `build.js` refuses to write into an existing `dist/<version>/`.
+ *    - `deploy.js` refuses to upload a version the server already has.
+ *
+ * 3. PROTECTED
+ *    - `clean safe`, `remote --wipe` (every mode) and `remote --cleanup` never delete release folders.
+ *      Removing a release is a deliberate, manual operation.
+ *
+ * 4. INDEX (`dist/versions.json`)
+ *    - `{ latest, versions: [{ version, tag, commit, date, url }] }`, newest first. `latest` is the
+ *      highest version without a pre-release suffix.
+ *    - Entries already in the file are kept (releases built elsewhere, e.g. by CI), entries for
+ *      local release folders are added.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🚀 USAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * @example
+ * npm run release              // Version from package.json
+ * npm run release -- 1.2.0     // Tag v1.2.0 -> dist/1.2.0/ + dist/versions.json
+ * npm run deploy -- 1.2.0      // Release (if needed) and upload /1.2.0/ + /versions.json
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports release
+ * @exports findTag
+ * @exports updateVersions
+ * @exports readVersions
+ * @exports VERSIONS_FILE
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { loadConfig } = require('./config');
+const { isVersion, compareVersions } = require('./semver');
+const { build } = require('./build');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const DIST_ROOT = path.join(PROJECT_ROOT, 'dist');
+const VERSIONS_FILE = 'versions.json';
+
+/**
+ * Runs a git command, returning '' on failure.
+ * @param {string} cmd
+ * @returns {string}
+ */
+function git(cmd) {
+    try {
+        return execSync(`git ${cmd}`, { cwd: PROJECT_ROOT, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch (e) { return ''; }
+}
+
+/**
+ * The git tag of a version: `v1.2.0`, else `1.2.0`.
+ * @param {string} version
+ * @returns {string|null}
+ */
+function findTag(version) {
+    for (const tag of [`v${version}`, version]) {
+        if (git(`rev-parse --verify --quiet "refs/tags/${tag}"`)) return tag;
+    }
+    return null;
+}
+
+/**
+ * Reads `versions.json`.
+ * @param {string} [distRoot]
+ * @returns {{latest: (string|null), versions: Object[]}}
+ */
+function readVersions(distRoot = DIST_ROOT) {
+    try {
+        const index = JSON.parse(fs.readFileSync(path.join(distRoot, VERSIONS_FILE), 'utf8'));
+        if (Array.isArray(index.versions)) return index;
+    } catch (e) { }
+    return { latest: null, versions: [] };
+}
+
+/**
+ * Rewrites `versions.json`: the existing entries, the `merge` entries and every release folder in `distRoot`.
+ * @param {string} [distRoot]
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.merge] - Entries of another index (the server's), kept next to the local ones
+ * @returns {{latest: (string|null), versions: Array<{version: string, tag: (string|null), commit: (string|null), date: (string|null), url: string}>}}
+ */
+function updateVersions(distRoot = DIST_ROOT, { merge = [] } = {}) {
+    const { cdn } = loadConfig();
+    const entries = new Map([...merge, ...readVersions(distRoot).versions].filter(e => e && isVersion(e.version)).map(e => [e.version, e]));
+
+    const folders = fs.existsSync(distRoot) ? fs.readdirSync(distRoot).filter(name => isVersion(name) &&
+        fs.existsSync(path.join(distRoot, name, 'u.css'))) : [];
+    for (const version of folders) {
+        if (entries.has(version)) continue;
+        const tag = findTag(version);
+        entries.set(version, {
+            version,
+            tag,
+            commit: tag ? git(`rev-list -n 1 "${tag}"`).slice(0, 7) || null : null,
+            date: tag ? git(`log -1 --format=%cI "${tag}"`) || null : null,
+            url: `https://${cdn.host}/${version}/`
+        });
+    }
+
+    const versions = [...entries.values()].sort((a, b) => compareVersions(b.version, a.version));
+    const stable = versions.find(e => !e.version.includes('-'));
+    const index = { latest: stable ? stable.version : null, versions };
+    fs.mkdirSync(distRoot, { recursive: true });
+    fs.writeFileSync(path.join(distRoot, VERSIONS_FILE), JSON.stringify(index, null, 2) + '\n');
+    return index;
+}
+
+/**
+ * Builds `dist/<version>/` from the version's tag and updates `versions.json`.
+ * @async
+ * @param {string} [version] - Defaults to the `version` in package.json
+ * @param {Object} [options] - Extra `build()` options (`strict`, `layers`, `logger`, ...).
+ *   `channel`, `sourceRef` and `outDir` are decided here.
+ * @returns {Promise<{version: string, tag: string, result: Object, index: Object}>} `result` from `build()`
+ * @throws {Error} On an invalid version, a missing tag or an existing release folder.
+ */
+async function release(version, options = {}) {
+    version = String(version || require('../package.json').version).replace(/^v/, '');
+    if (!isVersion(version)) {
+        throw new Error(`❌ "${version}" is not a release version (expected MAJOR.MINOR.PATCH, e.g. 1.2.0 or 1.2.0-rc.1).`);
+    }
+    const tag = findTag(version);
+    if (!tag) {
+        throw new Error(`❌ No git tag for ${version} (looked for "v${version}" and "${version}"). Tag the release commit first.`);
+    }
+    if (fs.existsSync(path.join(DIST_ROOT, version))) {
+        throw new Error(`❌ dist/${version} already exists. Releases are immutable: delete the folder by hand to rebuild it.`);
+    }
+
+    const { outDir, ...rest } = options;
+    const result = await build({ ...rest, channel: version, sourceRef: tag });
+    const index = updateVersions();
+    return { version, tag, result, index };
+}
+
+if (require.main === module) {
+    const version = process.argv.slice(2).find(arg => !arg.startsWith('-'));
+    const strict = process.argv.includes('--strict');
+    console.log(`📌 Release ${version || '(package.json version)'}`);
+    release(version, { strict, logger: console })
+        .then(({ version, tag, index }) => {
+            console.log(`\n✅ dist/${version}/ built from ${tag}. ${index.versions.length} release(s) in dist/${VERSIONS_FILE} (latest: ${index.latest || '-'}).`);
+        })
+        .catch(err => {
+            console.error('Release failed:', err.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { release, findTag, updateVersions, readVersions, VERSIONS_FILE };
@@ -4,19 +4,35 @@
  * @description
  * This script serves as the interface between the local build environment (GitHub Actions or Local Machine)
  * and the remote FTP staging server.
+ * 
+ * Release folders (`/1.2.0/`, see `release.js`) and `versions.json` are protected: no wipe mode and no
+ * cleanup ever deletes them, and `--upload ... --immutable` refuses to overwrite an existing release.
  */
 
 require('dotenv').config(); // Load .env if present
 const ftp = require("basic-ftp");
 const fs = require('fs');
 const path = require('path');
+const { loadConfig } = require('./config');
+const { isVersion } = require('./semver');
 
 // --- Configuration ---
+// Tunables live in `ucss.config.*` (`remote`, `channels`).
+const { remote: REMOTE_CONFIG, channels: CHANNELS } = loadConfig();
 const CONFIG = {
-    RETRIES: 3,
-    RETRY_DELAY: 2000,
-    TTL_DAYS: 7
+    RETRIES: REMOTE_CONFIG.retries,
+    RETRY_DELAY: REMOTE_CONFIG.retryDelay,
+    TTL_DAYS: REMOTE_CONFIG.ttlDays
 };
+const PREVIEW_PREFIX = `${CHANNELS.preview}-`;
+const VERSIONS_FILE = 'versions.json';
+
+/**
+ * Whether a remote root entry must survive every wipe (release folders and their index).
+ * @param {string} name
+ * @returns {boolean}
+ */
+const isProtected = (name) => isVersion(name) || name === VERSIONS_FILE;
 
 /**
  * Manages FTP connections and remote file operations with built-in resilience.
@@ -106,8 +122,15 @@ class RemoteManager {
         }
     }
 
-    async uploadFromDir(localDir, remoteDir = '/') {
+    async uploadFromDir(localDir, remoteDir = '/', immutable = false) {
         console.log(`\n🚀 [Upload Mode] Uploading '${localDir}' -> '${remoteDir}'`);
+        if (immutable) {
+            const name = remoteDir.replace(/^\/+|\/+$/g, '');
+            const list = await this.client.list('/');
+            if (list.some(i => i.name === name)) {
+                throw new Error(`'${remoteDir}' already exists on the server. Releases are immutable: it is never overwritten.`);
+            }
+        }
         await this.ensureStructure(localDir, remoteDir);
         console.log(`  👉 Starting transfer...`);
         try {
@@ -135,6 +158,28 @@ class RemoteManager {
         }
     }
 
+    /**
+     * Downloads a single file. A missing remote file (FTP 550) is not an error.
+     * @param {string} remotePath
+     * @param {string} localPath
+     * @returns {Promise<boolean>} Whether the file was downloaded
+     * @throws {Error} On any other failure (connection, timeout, permissions, ...).
+     */
+    async downloadFile(remotePath, localPath) {
+        console.log(`\n📥 [Download File] '${remotePath}' -> '${localPath}'`);
+        try {
+            fs.mkdirSync(path.dirname(path.resolve(localPath)), { recursive: true });
+            await this.client.downloadTo(localPath, remotePath);
+            console.log(`  ✓ Downloaded ${path.basename(localPath)}`);
+            return true;
+        } catch (err) {
+            if (fs.existsSync(localPath) && fs.statSync(localPath).size === 0) fs.rmSync(localPath);
+            if (err.code !== 550) throw new Error(`File Download Failed: ${err.message}`);
+            console.log(`  ✨ Not on the server (${err.message}).`);
+            return false;
+        }
+    }
+
     async wipe(mode) {
         console.log(`\n🧨 [Wipe Mode] Starting wipe: ${mode.toUpperCase()}...`);
 
@@ -147,13 +192,13 @@ class RemoteManager {
                 deletionList = list.map(i => i.name);
             } else if (mode === 'stable') {
                 // DELETE STABLE ONLY
-                deletionList = list.filter(i => i.name === 'stable').map(i => i.name);
+                deletionList = list.filter(i => i.name === CHANNELS.stable).map(i => i.name);
             } else if (mode === 'preview') {
                 // DELETE PREVIEWS ONLY
-                deletionList = list.filter(i => i.name.startsWith('preview-')).map(i => i.name);
+                deletionList = list.filter(i => i.name.startsWith(PREVIEW_PREFIX)).map(i => i.name);
             } else if (mode === 'safe') {
                 // SAFE: Keep stable, latest
-                const keep = new Set(['stable', 'latest']);
+                const keep = new Set([CHANNELS.stable, CHANNELS.latest]);
                 // Note: user logic for 'clean safe' was "everything except stable and latest".
                 // Does this mean we DELETE 'p', 'v'? Yes.
                 deletionList = list.filter(i => !keep.has(i.name)).map(i => i.name);
@@ -192,6 +237,13 @@ class RemoteManager {
 
             deletionList = deletionList.filter(name => name !== '.' && name !== '..');
 
+            // Releases are never wiped (see release.js): deleting one is a manual operation
+            const kept = deletionList.filter(isProtected);
+            if (kept.length) {
+                console.log(`  🔒 Keeping protected release(s): ${kept.join(', ')}`);
+                deletionList = deletionList.filter(name => !isProtected(name));
+            }
+
             if (deletionList.length === 0) {
                 console.log("  ✨ Nothing to wipe.");
                 return;
@@ -229,8 +281,8 @@ class RemoteManager {
             let deletedCount = 0;
 
             for (const item of list) {
-                if (item.isDirectory && item.name.startsWith('preview-')) {
-                    const datePart = item.name.replace('preview-', '');
+                if (item.isDirectory && item.name.startsWith(PREVIEW_PREFIX)) {
+                    const datePart = item.name.slice(PREVIEW_PREFIX.length);
                     const parts = datePart.split('-');
                     if (parts.length === 6) {
                         const [yyyy, MM, dd, HH, mm, ss] = parts;
@@ -259,7 +311,7 @@ class RemoteManager {
                 const list = await this.client.list('/');
                 const hasIndex = list.some(f => f.name === 'index.html');
                 const hasHtaccess = list.some(f => f.name === '.htaccess');
-                const hasStable = list.some(f => f.name === 'stable');
+                const hasStable = list.some(f => f.name === CHANNELS.stable);
 
                 // User Rule: Only bootstrap if no root files AND no stable folder.
                 if ((hasIndex && hasHtaccess) || hasStable) {
@@ -272,13 +324,13 @@ class RemoteManager {
 
             console.log("  👉 Bootstrapping root files...");
 
-            // Fix: Include u.* files (css, min, br, gz) in bootstrap as requested by user.
+            // Fix: Include u.* files (css, min, br, gz, map) in bootstrap as requested by user.
             const localFiles = fs.readdirSync(localDir);
             const filesToUpload = localFiles.filter(f => {
                 return f === 'index.html' ||
                     f === '.htaccess' ||
                     f === 'manifest.json' ||
-                    (f.startsWith('u.') && (f.endsWith('.css') || f.endsWith('.br') || f.endsWith('.gz')));
+                    (f.startsWith('u.') && (f.endsWith('.css') || f.endsWith('.br') || f.endsWith('.gz') || f.endsWith('.map')));
             });
 
             for (const file of filesToUpload) {
@@ -300,12 +352,13 @@ async function main() {
     const modeEnsureIdx = args.indexOf('--ensure');
     const modeUploadIdx = args.indexOf('--upload');
     const modeUploadFileIdx = args.indexOf('--upload-file');
+    const modeDownloadFileIdx = args.indexOf('--download-file');
     const modeWipeIdx = args.indexOf('--wipe');
     const modeBootstrapIdx = args.indexOf('--bootstrap');
     const doCleanup = args.includes('--cleanup');
     const showHelp = args.includes('--help') || args.includes('-h');
 
-    if (showHelp || (modeEnsureIdx === -1 && modeUploadIdx === -1 && modeUploadFileIdx === -1 && modeWipeIdx === -1 && modeBootstrapIdx === -1 && !doCleanup)) {
+    if (showHelp || (modeEnsureIdx === -1 && modeUploadIdx === -1 && modeUploadFileIdx === -1 && modeDownloadFileIdx === -1 && modeWipeIdx === -1 && modeBootstrapIdx === -1 && !doCleanup)) {
         console.log(`
 uCss Remote Manager
 -------------------
@@ -315,8 +368,9 @@ Options:
   --cleanup                Run garbage collection.
   --wipe [mode]            Wipe remote. modes: all, safe, preview, stable.
   --ensure <dir>           Mirror structure.
-  --upload <local> <rem>   Upload dir.
+  --upload <local> <rem>   Upload dir. Add --immutable to refuse an existing <rem> (releases).
   --upload-file <loc> <r>  Upload file.
+  --download-file <r> <l>  Download file (skipped if missing on the server, any other error fails).
   --bootstrap <local>      Conditional root file upload.
         `);
         if (!showHelp && args.length > 0) process.exit(1);
@@ -349,7 +403,7 @@ Options:
             const localDir = args[modeUploadIdx + 1];
             let remoteDir = args[modeUploadIdx + 2];
             if (!remoteDir || remoteDir.startsWith('-')) remoteDir = '/';
-            await manager.uploadFromDir(localDir, remoteDir);
+            await manager.uploadFromDir(localDir, remoteDir, args.includes('--immutable'));
         }
 
         if (modeUploadFileIdx !== -1) {
@@ -359,6 +413,10 @@ Options:
             await manager.uploadFile(localFile, remoteDir);
         }
 
+        if (modeDownloadFileIdx !== -1) {
+            await manager.downloadFile(args[modeDownloadFileIdx + 1], args[modeDownloadFileIdx + 2]);
+        }
+
         const duration = ((Date.now() - startTime) / 1000).toFixed(2);
         console.log(`\n✨ Remote operations completed in ${duration}s`);
 
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Documentation Search
+ *
+ * @description
+ * The "Finder". Indexes the generated documentation pages at build time (one entry per heading:
+ * its anchor, text, code examples and the classes / variables they use) and ships a small search
+ * box that queries that index in the browser. The index is a plain script (`search-index.js`), so
+ * the search keeps working from static files and `file://`, without a server or a network.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 📋 INDEX
+ * ---------------------------------------------------------------------------------------------
+ *
+ * - SECTIONS: `{ url, page, heading, level, text, code, classes, variables }`. `url` is relative
+ *   to the channel folder (`lib/layout/#grid`), `text` and `code` are trimmed to keep the file small.
+ * - PREFIXES: code examples are written unprefixed in the READMEs; for `p` / `c` / `v` the classes
+ *   and variables they use are indexed with the prefix of the channel (`u-btn`, `--u-p`), like the
+ *   stylesheets. Names the highlighted code blocks already carry prefixed are kept as they are.
+ *   Searching the bare name (`btn`) still finds them.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * ⌨️ UI
+ * ---------------------------------------------------------------------------------------------
+ *
+ * - `/` focuses the box, `Esc` clears it, `Enter` opens the first result.
+ * - The index is only loaded on first focus.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🚀 USAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * @example
+ * // Written by build.js into every channel with docs (`dist/latest/search-index.js`)
+ * const sections = indexPage(html, { url: 'lib/layout/' });
+ * const index = createSearchIndex(sections, { channel: 'p', prefixMode: 'p', prefix: 'u' });
+ * fs.writeFileSync('search-index.js', searchIndexScript(index));
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports indexPage
+ * @exports createSearchIndex
+ * @exports searchIndexScript
+ * @exports searchBox
+ * @exports SEARCH_FILE
+ */
+
+const { prefixVariables, isExcludedClass } = require('./prefix');
+
+const SEARCH_FILE = 'search-index.js';
+
+// Global the index script assigns (read by the search box)
+const SEARCH_GLOBAL = '__UCSS_SEARCH__';
+
+// Characters kept per section, for the text and for the code examples
+const MAX_TEXT = 480;
+const MAX_CODE = 320;
+
+// Entities marked writes in text and code
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+/**
+ * Decodes the HTML entities of a text.
+ * @param {string} text
+ * @returns {string}
+ */
+function decode(text) {
+    return text.replace(/&(#?\w+);/g, (match, name) => (ENTITIES[name] !== undefined ? ENTITIES[name] : match));
+}
+
+/**
+ * Plain text of an HTML fragment (tags removed, entities decoded, whitespace collapsed).
+ * @param {string} html
+ * @returns {string}
+ */
+function plainText(html) {
+    return decode(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Trims a text to a length, on a word boundary.
+ * @param {string} text
+ * @param {number} max
+ * @returns {string}
+ */
+function clip(text, max) {
+    if (text.length <= max) return text;
+    return `${text.slice(0, max).replace(/\s+\S*$/, '')} …`;
+}
+
+/**
+ * Splits a documentation page into one section per heading.
+ * @param {string} html - The page, or only its rendered Markdown
+ * @param {Object} [options]
+ * @param {string} [options.url=''] - Page URL relative to the channel folder (`lib/layout/`)
+ * @returns {Array<{url: string, page: string, heading: string, level: number, text: string, code: string[], classes: string[], variables: string[]}>}
+ *   Classes and variables are unprefixed, as written in the examples (see `createSearchIndex`).
+ */
+function indexPage(html, { url = '' } = {}) {
+    const body = (html.match(/<body[^>]*>([\s\S]*)<\/body>/) || [null, html])[1].replace(/<script[\s\S]*?<\/script>/g, '');
+    const headings = [...body.matchAll(/<h([1-6]) id="([^"]*)">([\s\S]*?)<\/h\1>/g)];
+    if (!headings.length) return [];
+    const page = plainText(headings[0][3]);
+
+    return headings.map((heading, i) => {
+        const end = i + 1 < headings.length ? headings[i + 1].index : body.length;
+        const content = body.slice(heading.index + heading[0].length, end);
+        const blocks = [...content.matchAll(/<pre[^>]*>([\s\S]*?)<\/pre>/g)].map(block => decode(block[1].replace(/<[^>]*>/g, '')));
+        const inline = [...content.matchAll(/<code[^>]*>([^<]*)<\/code>/g)].map(code => decode(code[1]));
+
+        const classes = new Set();
+        const variables = new Set();
+        for (const code of [...blocks, ...inline]) {
+            for (const [, list] of code.matchAll(/class="([^"]*)"/g)) list.split(/\s+/).filter(Boolean).forEach(name => classes.add(name));
+            for (const [name] of code.matchAll(/--[\w-]+/g)) variables.add(name);
+        }
+        // Inline `.btn` / `.g-3--mdl` mentions
+        for (const code of inline) if (/^\.[a-z][\w-]*$/i.test(code.trim())) classes.add(code.trim().slice(1));
+
+        return {
+            url: i === 0 ? url : `${url}#${heading[2]}`,
+            page,
+            heading: plainText(heading[3]),
+            level: Number(heading[1]),
+            text: clip(plainText(content.replace(/<pre[\s\S]*?<\/pre>/g, ' ')), MAX_TEXT),
+            code: blocks.map(code => clip(code.trim(), MAX_CODE)).filter(Boolean),
+            classes: [...classes],
+            variables: [...variables]
+        };
+    });
+}
+
+/**
+ * Builds the search index of a channel.
+ * @param {Object[]} sections - From `indexPage`, every page of the channel
+ * @param {Object} [options]
+ * @param {string} [options.channel]
+ * @param {'p'|'c'|'v'|null} [options.prefixMode]
+ * @param {string|null} [options.prefix]
+ * @returns {{channel: (string|null), prefix: ({mode: string, prefix: string}|null), sections: Object[]}}
+ */
+function createSearchIndex(sections, { channel = null, prefixMode = null, prefix = null } = {}) {
+    const p = prefixMode ? (prefix.endsWith('-') ? prefix : `${prefix}-`) : null;
+    const prefixClasses = prefixMode === 'p' || prefixMode === 'c';
+    const prefixVars = prefixMode === 'p' || prefixMode === 'v';
+    return {
+        channel,
+        prefix: prefixMode ? { mode: prefixMode, prefix: p } : null,
+        sections: sections.map(section => ({
+            ...section,
+            classes: prefixClasses ? [...new Set(section.classes.map(name => (isExcludedClass(name) || name.startsWith(p) ? name : `${p}${name}`)))] : section.classes,
+            variables: prefixVars ? [...new Set(section.variables.map(name => (name.startsWith(`--${p}`) ? name : prefixVariables(name, `--${p}`))))] : section.variables
+        }))
+    };
+}
+
+/**
+ * Script assigning the index to a global, loadable with `<script src>` (works from `file://`).
+ * @param {Object} index - From `createSearchIndex`
+ * @returns {string}
+ */
+function searchIndexScript(index) {
+    return `window.${SEARCH_GLOBAL} = ${JSON.stringify(index).replace(/</g, '\\u003c')};\n`;
+}
+
+// Browser side of the search box (plain ES2015, no classes: the markup it creates is never prefixed)
+const SEARCH_CLIENT = `(function () {
+    var form = document.getElementById('u-search');
+    var input = form.querySelector('input');
+    var list = form.querySelector('ol');
+    var root = form.getAttribute('data-root');
+    var loading = null;
+    var load = function () {
+        if (window.${SEARCH_GLOBAL} || loading) return;
+        loading = document.createElement('script');
+        loading.src = form.getAttribute('data-index');
+        loading.onload = render;
+        document.head.appendChild(loading);
+    };
+    var score = function (section, terms) {
+        var total = 0;
+        for (var i = 0; i < terms.length; i++) {
+            var term = terms[i];
+            var points = 0;
+            if (section.heading.toLowerCase().indexOf(term) !== -1) points += 10;
+            if (section.classes.some(function (name) { return name === term || name.slice(-term.length - 1) === '-' + term; })) points += 8;
+            else if (section.classes.some(function (name) { return name.indexOf(term) !== -1; })) points += 4;
+            if (section.variables.some(function (name) { return name.indexOf(term) !== -1; })) points += 4;
+            if (section.text.toLowerCase().indexOf(term) !== -1) points += 2;
+            if (section.code.some(function (code) { return code.toLowerCase().indexOf(term) !== -1; })) points += 1;
+            if (!points) return 0;
+            total += points;
+        }
+        return total - section.level * 0.1;
+    };
+    var render = function () {
+        var index = window.${SEARCH_GLOBAL};
+        var terms = input.value.toLowerCase().replace(/^[.]/, '').split(/\\s+/).filter(Boolean);
+        list.textContent = '';
+        list.hidden = !terms.length;
+        if (!index || !terms.length) return;
+        var results = index.sections
+            .map(function (section) { return { section: section, score: score(section, terms) }; })
+            .filter(function (result) { return result.score > 0; })
+            .sort(function (a, b) { return b.score - a.score; })
+            .slice(0, 20);
+        if (!results.length) {
+            var empty = document.createElement('li');
+            empty.textContent = 'No results';
+            list.appendChild(empty);
+        }
+        results.forEach(function (result) {
+            var section = result.section;
+            var item = document.createElement('li');
+            var link = document.createElement('a');
+            link.href = root + section.url;
+            link.textContent = section.heading;
+            var where = document.createElement('small');
+            where.textContent = ' ' + section.page;
+            var text = document.createElement('p');
+            var matches = section.classes.concat(section.variables).filter(function (name) {
+                return terms.some(function (term) { return name.indexOf(term) !== -1; });
+            });
+            text.textContent = matches.length ? matches.slice(0, 8).join(' ') : section.text.slice(0, 160);
+            item.appendChild(link);
+            item.appendChild(where);
+            item.appendChild(text);
+            list.appendChild(item);
+        });
+    };
+    input.addEventListener('focus', load);
+    input.addEventListener('input', function () { load(); render(); });
+    form.addEventListener('submit', function (event) {
+        event.preventDefault();
+        var first = list.querySelector('a');
+        if (first) location.href = first.href;
+    });
+    document.addEventListener('keydown', function (event) {
+        if (event.key === '/' && document.activeElement !== input) { event.preventDefault(); input.focus(); }
+        else if (event.key === 'Escape' && document.activeElement === input) { input.value = ''; render(); input.blur(); }
+    });
+})();`;
+
+/**
+ * Search box of a documentation page: the form and its script.
+ * @param {Object} options
+ * @param {string} options.index - URL of `search-index.js`, relative to the page
+ * @param {string} options.root - URL of the channel folder, relative to the page (`../../`)
+ * @param {string} [options.placeholder]
+ * @returns {string}
+ */
+function searchBox({ index, root, placeholder }) {
+    const label = placeholder || 'Search the docs (press /)';
+    return `<form id="u-search" role="search" data-index="${index}" data-root="${root}" style="position: relative; margin-bottom: 1.5rem;">
+            <input type="search" placeholder="${label}" aria-label="Search the documentation" autocomplete="off" style="width: 100%;">
+            <ol hidden aria-live="polite" style="position: absolute; left: 0; right: 0; z-index: 998; max-height: 70vh; overflow: auto; margin: .25rem 0 0; padding: .5rem 1rem .5rem 2rem; background: var(--bg, #fff); box-shadow: 0 .5rem 2rem rgb(0 0 0 / .2); border-radius: .5rem;"></ol>
+        </form>
+        <script>${SEARCH_CLIENT}</script>`;
+}
+
+module.exports = { indexPage, createSearchIndex, searchIndexScript, searchBox, SEARCH_FILE };
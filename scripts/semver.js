@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Semantic Version Helpers
+ *
+ * @description
+ * Recognizes and orders release versions (`1.2.0`, `2.0.0-rc.1`). Release channels are folders
+ * named after their version (see `release.js`); build, deploy, remote and clean use `isVersion`
+ * to tell them apart from the moving channels.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports isVersion
+ * @exports compareVersions
+ */
+
+// MAJOR.MINOR.PATCH with an optional pre-release (`1.2.0-rc.1`). Build metadata (`+...`) is not a valid folder name.
+const SEMVER = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?$/;
+
+/**
+ * Whether a folder / channel name is a release version (`1.2.0`, `2.0.0-rc.1`).
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isVersion(name) {
+    return typeof name === 'string' && SEMVER.test(name);
+}
+
+/**
+ * Semver ordering (pre-releases sort before their release).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative if `a` < `b`
+ * @example
+ * ['1.10.0', '1.2.0', '1.2.0-rc.1'].sort(compareVersions); // ['1.2.0-rc.1', '1.2.0', '1.10.0']
+ */
+function compareVersions(a, b) {
+    const [, ...pa] = a.match(SEMVER);
+    const [, ...pb] = b.match(SEMVER);
+    for (let i = 0; i < 3; i++) {
+        if (Number(pa[i]) !== Number(pb[i])) return Number(pa[i]) - Number(pb[i]);
+    }
+    if (!pa[3] || !pb[3]) return (pa[3] ? -1 : 0) - (pb[3] ? -1 : 0);
+    const ia = pa[3].split('.');
+    const ib = pb[3].split('.');
+    for (let i = 0; i < Math.max(ia.length, ib.length); i++) {
+        if (ia[i] === undefined) return -1;
+        if (ib[i] === undefined) return 1;
+        const na = /^\d+$/.test(ia[i]);
+        const nb = /^\d+$/.test(ib[i]);
+        if (na && nb && Number(ia[i]) !== Number(ib[i])) return Number(ia[i]) - Number(ib[i]);
+        if (na !== nb) return na ? -1 : 1;
+        if (ia[i] !== ib[i]) return ia[i] < ib[i] ? -1 : 1;
+    }
+    return 0;
+}
+
+module.exports = { isVersion, compareVersions };
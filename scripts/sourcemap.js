@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Source Map Generator
+ *
+ * @description
+ * Builds v3 source maps for the bundled stylesheets, so DevTools can show which `src/lib/**`
+ * leaf a rule came from, even in the prefixed or minified output.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🧭 STRATEGY
+ * ---------------------------------------------------------------------------------------------
+ *
+ * 1. TRACE
+ *    - `bundleCss` records where every stretch of the bundle came from (`pieces`):
+ *      bundle offset -> leaf file + offset in that file.
+ *
+ * 2. ALIGN
+ *    - Prefixing and minifying change the text but never the rule structure.
+ *      Both the final output and the raw bundle are parsed (`parse.js`) and their rules,
+ *      at-rules and declarations are paired in order (comments are skipped, declarations are
+ *      paired by property, so a dropped duplicate does not shift the rest).
+ *
+ * 3. ENCODE
+ *    - Each pair becomes one mapping (output position -> leaf line/column), Base64 VLQ encoded.
+ *      `sourcesContent` is embedded, so the map works from the CDN without the `src/` folder.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports mapStylesheet
+ * @exports sourceMappingComment
+ */
+
+const { parseCss } = require('./parse');
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Base64 VLQ encoding of a signed integer.
+ * @param {number} value
+ * @returns {string}
+ */
+function encodeVlq(value) {
+    let vlq = value < 0 ? ((-value) << 1) | 1 : value << 1;
+    let out = '';
+    do {
+        let digit = vlq & 31;
+        vlq >>>= 5;
+        if (vlq > 0) digit |= 32;
+        out += BASE64[digit];
+    } while (vlq > 0);
+    return out;
+}
+
+/**
+ * Returns a function converting a string offset into a 0-based `{line, column}`.
+ * @param {string} text
+ * @returns {function(number): {line: number, column: number}}
+ */
+function locator(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') starts.push(i + 1);
+    }
+    return (offset) => {
+        let lo = 0;
+        let hi = starts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (starts[mid] <= offset) lo = mid; else hi = mid - 1;
+        }
+        return { line: lo, column: offset - starts[lo] };
+    };
+}
+
+/**
+ * Property name of a declaration node, lower-cased.
+ * @param {Object} node
+ * @param {string} css
+ * @returns {string}
+ */
+function propertyOf(node, css) {
+    return css.slice(node.start, node.end).split(':')[0].trim().toLowerCase();
+}
+
+/**
+ * Whether two nodes can be the same statement before and after prefixing/minifying.
+ * @returns {boolean}
+ */
+function sameKind(a, aCss, b, bCss) {
+    if (a.type !== b.type) return false;
+    if (a.type === 'atrule') return a.name === b.name;
+    if (a.type === 'decl') {
+        const pa = propertyOf(a, aCss);
+        const pb = propertyOf(b, bCss);
+        // `--u-gap` (prefixed) still pairs with `--gap`
+        return pa === pb || (pa.startsWith('--') && pb.startsWith('--') && pa.endsWith(`-${pb.slice(2)}`));
+    }
+    return true;
+}
+
+/**
+ * Pairs the statements of two parsed stylesheets with the same structure.
+ * @param {Object[]} outNodes - Children from the output tree
+ * @param {string} outCss
+ * @param {Object[]} inNodes - Children from the bundle tree
+ * @param {string} inCss
+ * @param {Array<[Object, Object]>} pairs - Accumulator
+ */
+function align(outNodes, outCss, inNodes, inCss, pairs) {
+    const inputs = inNodes.filter(n => n.type !== 'comment');
+    let next = 0;
+    for (const node of outNodes) {
+        if (node.type === 'comment') continue;
+        let k = next;
+        while (k < inputs.length && !sameKind(node, outCss, inputs[k], inCss)) k++;
+        if (k === inputs.length) continue; // Generated, nothing to point at
+        pairs.push([node, inputs[k]]);
+        if (node.children && inputs[k].children) align(node.children, outCss, inputs[k].children, inCss, pairs);
+        next = k + 1;
+    }
+}
+
+/**
+ * Creates a v3 source map for a stylesheet derived from a traced bundle.
+ * @param {string} output - Final CSS (prefixed and/or minified), without the `sourceMappingURL` comment
+ * @param {Object} trace - Result of `traceBundle()` (build.js)
+ * @param {string} trace.css - The raw bundle `output` was derived from
+ * @param {Array<{start: number, file: (string|null), offset: number}>} trace.pieces - Sorted by `start`
+ * @param {Map<string, string>} trace.contents - Source file (project-relative) -> content
+ * @param {Object} [options]
+ * @param {string} [options.file] - Name of the generated file (e.g. `u.min.css`)
+ * @returns {{version: number, file: string, sources: string[], sourcesContent: string[], names: string[], mappings: string}}
+ */
+function mapStylesheet(output, trace, { file = '' } = {}) {
+    const pairs = [];
+    align(parseCss(output).children, output, parseCss(trace.css).children, trace.css, pairs);
+
+    const locateOutput = locator(output);
+    const locateSource = new Map([...trace.contents].map(([name, content]) => [name, locator(content)]));
+    const sources = [];
+    const sourceIndex = new Map();
+
+    // Bundle offset -> piece (binary search)
+    const pieceAt = (offset) => {
+        let lo = 0;
+        let hi = trace.pieces.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (trace.pieces[mid].start <= offset) lo = mid; else hi = mid - 1;
+        }
+        return trace.pieces[lo];
+    };
+
+    const segments = [];
+    for (const [outNode, inNode] of pairs) {
+        const piece = pieceAt(inNode.start);
+        if (!piece || !piece.file) continue;
+        if (!sourceIndex.has(piece.file)) {
+            sourceIndex.set(piece.file, sources.length);
+            sources.push(piece.file);
+        }
+        segments.push({
+            generated: locateOutput(outNode.start),
+            source: sourceIndex.get(piece.file),
+            original: locateSource.get(piece.file)(piece.offset + inNode.start - piece.start)
+        });
+    }
+    segments.sort((a, b) => a.generated.line - b.generated.line || a.generated.column - b.generated.column);
+
+    // Encode: columns restart on every line, everything else is relative to the previous segment
+    const lines = [];
+    let prevSource = 0;
+    let prevLine = 0;
+    let prevColumn = 0;
+    for (const segment of segments) {
+        const { line, column } = segment.generated;
+        while (lines.length <= line) lines.push([]);
+        const current = lines[line];
+        const prevGenerated = current.length ? current[current.length - 1].column : 0;
+        current.push({
+            column,
+            text: encodeVlq(column - prevGenerated) +
+                encodeVlq(segment.source - prevSource) +
+                encodeVlq(segment.original.line - prevLine) +
+                encodeVlq(segment.original.column - prevColumn)
+        });
+        prevSource = segment.source;
+        prevLine = segment.original.line;
+        prevColumn = segment.original.column;
+    }
+
+    return {
+        version: 3,
+        file,
+        sources,
+        sourcesContent: sources.map(name => trace.contents.get(name)),
+        names: [],
+        mappings: lines.map(line => line.map(s => s.text).join(',')).join(';')
+    };
+}
+
+/**
+ * The comment linking a stylesheet to its map.
+ * @param {string} mapFile - Map file name, relative to the stylesheet
+ * @returns {string}
+ */
+function sourceMappingComment(mapFile) {
+    return `/*# sourceMappingURL=${mapFile} */`;
+}
+
+module.exports = { mapStylesheet, sourceMappingComment };
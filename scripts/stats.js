@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Build Size Report
+ *
+ * @description
+ * The "Scale". Turns the artifact list of a build into `build-report.json` and a readable table,
+ * checks the size budgets from `ucss.config.*` and compares with the previous report of the
+ * same channel.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 📏 BUNDLES
+ * ---------------------------------------------------------------------------------------------
+ *
+ * Every stylesheet ships as a trio (`x.css`, `x.clean.css`, `x.min.css`). The report groups them
+ * into one bundle `x` with four numbers:
+ * - `raw`: `x.css` (bundled, with comments)
+ * - `min`: `x.min.css`
+ * - `gzip` / `brotli`: the compressed `x.min.css` (as served by the CDN), from `compress.js`
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 💰 BUDGETS
+ * ---------------------------------------------------------------------------------------------
+ *
+ * Maximum sizes in bytes, per bundle. Keys are `u`, a module name (`layout` -> `lib/layout`)
+ * or any bundle path (`lib/layout/grid`). Any exceeded budget fails the build.
+ *
+ * @example
+ * // ucss.config.js
+ * module.exports = {
+ *     budgets: {
+ *         u: { gzip: 30000 },
+ *         layout: { min: 60000, brotli: 9000 }
+ *     }
+ * };
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🚀 USAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * @example
+ * // Usually called by build.js (report, table and budgets for every channel)
+ * node scripts/stats.js dist/latest   // Prints the table of an existing build-report.json
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports createReport
+ * @exports checkBudgets
+ * @exports formatReport
+ * @exports readReport
+ * @exports formatBytes
+ * @exports REPORT_FILE
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPORT_FILE = 'build-report.json';
+const METRICS = ['raw', 'min', 'gzip', 'brotli'];
+
+/**
+ * Human readable size (`12.3 KB`).
+ * @param {number|null} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return '-';
+    if (bytes < 1024) return `${bytes} B`;
+    return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Signed difference (`+1.2 KB`, `-340 B`, `0`).
+ * @param {number|null} delta
+ * @returns {string}
+ */
+function formatDelta(delta) {
+    if (delta === null || delta === undefined) return 'new';
+    if (delta === 0) return '0';
+    return `${delta > 0 ? '+' : '-'}${formatBytes(Math.abs(delta))}`;
+}
+
+/**
+ * Reads `build-report.json` from a channel folder.
+ * @param {string} dir - Channel folder (e.g. `dist/latest`)
+ * @returns {Object|null} The report, or null if there is none (or it is unreadable)
+ */
+function readReport(dir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(dir, REPORT_FILE), 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Groups build artifacts into bundles and compares them with the previous report.
+ * @param {Array<{file: string, size: number, gzip?: number, brotli?: number}>} artifacts - From `build()`
+ * @param {Object} [options]
+ * @param {string} [options.channel]
+ * @param {Object|null} [options.previous] - The previous report of the same channel
+ * @returns {{channel: string, timestamp: string, totals: Object, bundles: Object, artifacts: Object[], diff: (Object|null)}}
+ */
+function createReport(artifacts, { channel = '', previous = null } = {}) {
+    const byFile = new Map(artifacts.map(a => [a.file, a]));
+    const bundles = {};
+
+    for (const artifact of artifacts) {
+        const { file } = artifact;
+        if (!file.endsWith('.css') || file.endsWith('.min.css') || file.endsWith('.clean.css')) continue;
+        const name = file.slice(0, -'.css'.length);
+        const min = byFile.get(`${name}.min.css`);
+        bundles[name] = {
+            raw: artifact.size,
+            min: min ? min.size : null,
+            gzip: min && min.gzip !== undefined ? min.gzip : null,
+            brotli: min && min.brotli !== undefined ? min.brotli : null
+        };
+    }
+
+    const totals = {
+        files: artifacts.length,
+        size: artifacts.reduce((sum, a) => sum + a.size, 0)
+    };
+
+    let diff = null;
+    if (previous && previous.bundles) {
+        diff = { since: previous.timestamp || null, bundles: {}, added: [], removed: [] };
+        for (const [name, sizes] of Object.entries(bundles)) {
+            const before = previous.bundles[name];
+            if (!before) {
+                diff.added.push(name);
+                continue;
+            }
+            const delta = {};
+            for (const metric of METRICS) {
+                delta[metric] = sizes[metric] !== null && typeof before[metric] === 'number' ? sizes[metric] - before[metric] : null;
+            }
+            diff.bundles[name] = delta;
+        }
+        diff.removed = Object.keys(previous.bundles).filter(name => !bundles[name]);
+    }
+
+    return {
+        channel,
+        timestamp: new Date().toISOString(),
+        totals,
+        bundles,
+        artifacts: artifacts.map(({ file, size, gzip = null, brotli = null }) => ({ file, size, gzip, brotli })),
+        diff
+    };
+}
+
+/**
+ * Checks the bundles of a report against the size budgets.
+ * @param {Object} report - From `createReport`
+ * @param {Object<string, {raw?: number, min?: number, gzip?: number, brotli?: number}>} budgets - `budgets` from `ucss.config.*`
+ * @returns {{violations: string[], skipped: string[]}} `skipped`: budgets that could not be checked
+ *   (unknown bundle, or gzip / brotli without compression)
+ */
+function checkBudgets(report, budgets) {
+    const violations = [];
+    const skipped = [];
+
+    for (const [key, limits] of Object.entries(budgets)) {
+        // `layout` is the module bundle `lib/layout`
+        const name = report.bundles[key] ? key : `lib/${key}`;
+        const sizes = report.bundles[name];
+        if (!sizes) {
+            skipped.push(`${key} (no such bundle in this build)`);
+            continue;
+        }
+        for (const [metric, max] of Object.entries(limits)) {
+            if (sizes[metric] === null) {
+                skipped.push(`${key}.${metric} (not measured in this build)`);
+            } else if (sizes[metric] > max) {
+                violations.push(`${name}: ${metric} ${formatBytes(sizes[metric])} exceeds the budget of ${formatBytes(max)} (+${formatBytes(sizes[metric] - max)})`);
+            }
+        }
+    }
+    return { violations, skipped };
+}
+
+/**
+ * Renders the report as a table: `u`, the modules and other top-level bundles.
+ * Leaves (`lib/<module>/...`) are only counted, they are listed in the JSON.
+ * @param {Object} report - From `createReport`
+ * @returns {string}
+ */
+function formatReport(report) {
+    const names = Object.keys(report.bundles);
+    const shown = names.filter(name => name.split('/').length <= 2).sort((a, b) => {
+        // `u*` first, then the modules
+        const rank = (n) => (n.startsWith('lib/') ? 1 : 0);
+        return rank(a) - rank(b) || a.localeCompare(b);
+    });
+
+    const header = ['Bundle', 'Raw', 'Min', 'Gzip', 'Brotli'];
+    if (report.diff) header.push('Δ Gzip', 'Δ Min');
+    const rows = shown.map(name => {
+        const sizes = report.bundles[name];
+        const row = [name, ...METRICS.map(m => formatBytes(sizes[m]))];
+        if (report.diff) {
+            const delta = report.diff.bundles[name];
+            row.push(formatDelta(delta ? delta.gzip : null), formatDelta(delta ? delta.min : null));
+        }
+        return row;
+    });
+
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+    const line = (cells) => cells.map((c, i) => (i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join('  ');
+
+    const out = [line(header), widths.map(w => '-'.repeat(w)).join('  '), ...rows.map(line)];
+    const leaves = names.length - shown.length;
+    if (leaves) out.push(`(+ ${leaves} leaf bundles, see ${REPORT_FILE})`);
+    if (report.diff) {
+        if (report.diff.added.length) out.push(`Added: ${report.diff.added.join(', ')}`);
+        if (report.diff.removed.length) out.push(`Removed: ${report.diff.removed.join(', ')}`);
+    }
+    return out.join('\n');
+}
+
+if (require.main === module) {
+    const dir = process.argv[2];
+    if (!dir) {
+        console.error('Usage: node scripts/stats.js <channel-dir>');
+        process.exit(1);
+    }
+    const report = readReport(dir);
+    if (!report) {
+        console.error(`❌ No readable ${REPORT_FILE} in ${dir}. Build the channel first.`);
+        process.exit(1);
+    }
+    console.log(`\n📊 ${report.channel || dir} (${report.timestamp})\n`);
+    console.log(formatReport(report));
+}
+
+module.exports = { createReport, checkBudgets, formatReport, readReport, formatBytes, REPORT_FILE };
@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Brand Theme Generator
+ *
+ * @description
+ * The "Paint". Takes brand colors in any CSS notation and writes a ready-to-load `theme.css`
+ * overriding the `config/root/colors.css` variables: the hue / saturation / lightness splits and
+ * the bold / lite variants, computed instead of hand-converted. Optionally renders a preview page
+ * showing every `.set` theming scope with the new palette.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🎨 COLORS
+ * ---------------------------------------------------------------------------------------------
+ *
+ * - PRIMARY (`--p`) / ACCENT (`--a`): `-h`, `-s`, `-l`. The framework's own bold / lite brand
+ *   colors are the overlays (`--op-bd`, `--oa-lt`, ... used by `.set.primary.bd`), which follow the
+ *   splits. `--p-bd` (darker) / `--p-lt` (lighter) and their `--p-l-bd` / `--p-l-lt` are extra,
+ *   opt-in hooks: nothing in `src/lib` reads them, use them in your own rules.
+ * - DARK (`--d`): bold is darker, lite is lighter (`--d-l-bd`, `--d-l-lt`), 4% apart like the defaults.
+ * - LIGHT (`--l`): bold is lighter, lite is darker (`--l-l-bd`, `--l-l-lt`), +4% / -3% like the defaults.
+ *
+ * Only the given colors are written. Everything derived from them (`--op`, `--bg`, `--alt`,
+ * `--out-p`, the `.set` scopes, ...) follows on its own, as long as `lib/config.css` is loaded:
+ * load the theme after it.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🚀 USAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * @example
+ * npm run theme -- --primary "#1a73e8" --accent "hsl(24 100% 50%)" --out theme.css
+ * npm run theme -- --p "#1a73e8" --d "rgb(16 24 32)" --out theme.css --preview theme.html
+ * npm run theme -- --p "#1a73e8" --prefix u                    // For the /p/ and /v/ channels
+ * npm run theme -- --p "#1a73e8" --preview theme.html --base ../dist/latest   // Local build
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports createTheme
+ * @exports renderPreview
+ * @exports THEME_COLORS
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./config');
+const { prefixVariables, isExcludedClass } = require('./prefix');
+const { parseColor, formatHex, rgbToHsl, hslToRgb } = require('./color');
+
+/**
+ * Brand colors, with the lightness offset of their variants.
+ * `compose`: the variant colors themselves are not in `colors.css` and are declared too
+ * (opt-in hooks, not read by the framework).
+ * @type {Object<string, {name: string, option: string, variants: {bd: number, lt: number}, compose: boolean}>}
+ */
+const THEME_COLORS = {
+    p: { name: 'Primary', option: 'primary', variants: { bd: -8, lt: 8 }, compose: true },
+    a: { name: 'Accent', option: 'accent', variants: { bd: -8, lt: 8 }, compose: true },
+    d: { name: 'Dark', option: 'dark', variants: { bd: -4, lt: 4 }, compose: false },
+    l: { name: 'Light', option: 'light', variants: { bd: 4, lt: -3 }, compose: false }
+};
+
+// Variant names, as in the `colors.css` comments
+const VARIANT_NAMES = { bd: 'Bold', lt: 'Lite' };
+
+// `.set` scopes shown by the preview: [label, classes]
+const PREVIEW_SETS = [
+    ['Base', 'set base'],
+    ['Alt', 'set alt'],
+    ['Primary', 'set primary'],
+    ['Primary Bold', 'set primary bd'],
+    ['Primary Solid', 'set primary sl'],
+    ['Accent', 'set accent'],
+    ['Accent Bold', 'set accent bd'],
+    ['Accent Solid', 'set accent sl'],
+    ['Dark', 'set dark'],
+    ['Light', 'set light'],
+    ['Surface', 'set surface'],
+    ['Card', 'set card']
+];
+
+/**
+ * Formats a lightness / saturation (`50.6` -> `50.6%`).
+ * @param {number} value
+ * @returns {string}
+ */
+function percent(value) {
+    return `${Math.round(Math.min(100, Math.max(0, value)) * 10) / 10}%`;
+}
+
+/**
+ * `colors.css` style comment of a color (`Primary Color (#1a73e8, hsl(214.1 81.7% 50.6%))`).
+ * @param {string} label
+ * @param {{h: number, s: number, l: number}} hsl
+ * @returns {string}
+ */
+function describe(label, hsl) {
+    return `/* ${label} Color (${formatHex(hslToRgb(hsl))}, hsl(${hsl.h} ${percent(hsl.s)} ${percent(hsl.l)})) */`;
+}
+
+/**
+ * Generates the theme stylesheet.
+ * @param {Object<string, string>} colors - Brand colors by key (`p`, `a`, `d`, `l`), any CSS notation
+ *   (hex, `rgb()`, `hsl()`)
+ * @returns {{css: string, palette: Array<{key: string, name: string, variable: string, hex: string}>}}
+ *   `palette`: every written color (variants included), for previews and reports.
+ * @throws {Error} On an unknown key, an unreadable color or no color at all.
+ */
+function createTheme(colors) {
+    const keys = Object.keys(colors).filter(key => colors[key]);
+    if (!keys.length) throw new Error('❌ No brand color given.');
+    const unknown = keys.filter(key => !THEME_COLORS[key]);
+    if (unknown.length) throw new Error(`❌ Unknown brand color(s): ${unknown.join(', ')} (expected ${Object.keys(THEME_COLORS).join(', ')}).`);
+
+    const lines = [
+        '/**',
+        ' * @file Brand Theme',
+        ' * @description Generated by `npm run theme`. Load after uCss and `lib/config.css`.',
+        ' */',
+        '',
+        ':where(:root) {'
+    ];
+    const palette = [];
+    for (const key of Object.keys(THEME_COLORS).filter(k => keys.includes(k))) {
+        const { name, variants, compose } = THEME_COLORS[key];
+        const rgb = parseColor(colors[key]);
+        if (!rgb) throw new Error(`❌ Unreadable ${name.toLowerCase()} color "${colors[key]}" (use hex, rgb() or hsl()).`);
+        const hsl = rgbToHsl({ ...rgb, alpha: 1 });
+
+        if (palette.length) lines.push('');
+        lines.push(`    ${describe(name, hsl)}`);
+        lines.push(`    --${key}-h: ${hsl.h};`, `    --${key}-s: ${percent(hsl.s)};`, `    --${key}-l: ${percent(hsl.l)};`);
+        palette.push({ key, name, variable: `--${key}`, hex: formatHex(hslToRgb(hsl)) });
+
+        for (const [variant, offset] of Object.entries(variants)) {
+            const shade = { ...hsl, l: Math.round(Math.min(100, Math.max(0, hsl.l + offset)) * 10) / 10 };
+            lines.push('', `    ${describe(`${name} ${VARIANT_NAMES[variant]}`, shade)}`, `    --${key}-l-${variant}: ${percent(shade.l)};`);
+            if (compose) lines.push(`    --${key}-${variant}: hsl(var(--${key}-h, ${hsl.h}) var(--${key}-s, ${percent(hsl.s)}) var(--${key}-l-${variant}, ${percent(shade.l)}));`);
+            palette.push({ key, name: `${name} ${VARIANT_NAMES[variant]}`, variable: `--${key}-${variant}`, hex: formatHex(hslToRgb(shade)) });
+        }
+    }
+    lines.push('}', '');
+    return { css: lines.join('\n'), palette };
+}
+
+/**
+ * Escapes text for HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders a preview page: the palette, then every `.set` scope (heading, text, link, button).
+ * @param {{css: string, palette: Object[]}} theme - From `createTheme`
+ * @param {Object} [options]
+ * @param {string} [options.base] - Channel folder URL (with `u.min.css` and `lib/config.min.css`).
+ *   Defaults to the stable channel on the CDN, or its `/p/` channel with a `prefix`.
+ * @param {string} [options.prefix] - Prefix of the classes and variables (a `/p/` build): the page
+ *   and the inlined theme use the prefixed names.
+ * @param {string} [options.title='uCss Theme Preview']
+ * @returns {string} A standalone HTML page (the theme is inlined)
+ * @throws {Error} With a prefix other than the CDN one and no `base`.
+ */
+function renderPreview(theme, { base, prefix, title = 'uCss Theme Preview' } = {}) {
+    const { cdn, channels, prefix: prefixConfig } = loadConfig();
+    const p = prefix ? `${prefix.replace(/-$/, '')}-` : '';
+    if (p && !base && p !== `${prefixConfig.default}-`) {
+        throw new Error(`❌ The CDN /p/ channel is prefixed "${prefixConfig.default}": preview the "${p.slice(0, -1)}" prefix with --base <your /p/ build>.`);
+    }
+    const root = (base || `https://${cdn.host}/${p ? 'p' : channels.stable}`).replace(/\/$/, '');
+    // Same rules as the /p/ stylesheets (`prefix.excludeClasses`, `prefix.excludeVariables`)
+    const cls = (classes) => classes.split(' ').map(name => (p && !isExcludedClass(name) ? `${p}${name}` : name)).join(' ');
+    const vars = (text) => (p ? prefixVariables(text, `--${p}`) : text);
+    const swatches = theme.palette.map(({ name, variable, hex }) => `
+            <div class="${cls('crd')}" style="${vars(`--crd-bg: var(${variable}, ${hex}); --crd-tx-c: var(--on-${variable.slice(2).split('-')[0]}, currentColor);`)}">
+                <b>${escapeHtml(name)}</b>
+                <code>${vars(variable)}</code>
+                <code>${hex}</code>
+            </div>`).join('');
+    const sets = PREVIEW_SETS.map(([label, classes]) => `
+            <div class="${cls(`crd ${classes}`)}">
+                <h3>${escapeHtml(label)}</h3>
+                <p>Body text in <code>.${cls(classes).replace(/ /g, '.')}</code> with <a href="#">a link</a>.</p>
+                <a class="${cls('btn')}" href="#">Button</a>
+            </div>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <link rel="stylesheet" href="${escapeHtml(`${root}/lib/config.min.css`)}">
+    <link rel="stylesheet" href="${escapeHtml(`${root}/u.min.css`)}">
+    <style>
+${vars(theme.css).replace(/^(?=.)/gm, '        ')}
+    </style>
+</head>
+<body class="${cls('un set base')}">
+    <section class="${cls('s')}">
+        <div class="${cls('sf')}"><div>
+            <h1>${escapeHtml(title)}</h1>
+            <h2>Palette</h2>
+            <div class="${cls('g')}" style="${vars('--g-min: 160px;')}">${swatches}
+            </div>
+            <h2>Theming Scopes (<code>.set</code>)</h2>
+            <div class="${cls('g')}" style="${vars('--g-min: 240px;')}">${sets}
+            </div>
+        </div></div>
+    </section>
+</body>
+</html>
+`;
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const colors = {};
+    const aliases = {};
+    for (const [key, { option }] of Object.entries(THEME_COLORS)) aliases[`--${key}`] = aliases[`--${option}`] = key;
+    let out = null;
+    let preview = null;
+    let base = null;
+    let prefix = null;
+    let invalid = false;
+    for (let i = 0; i < args.length; i++) {
+        if (aliases[args[i]]) colors[aliases[args[i]]] = args[++i];
+        else if (args[i] === '--out') out = args[++i];
+        else if (args[i] === '--preview') preview = args[++i];
+        else if (args[i] === '--base') base = args[++i];
+        else if (args[i] === '--prefix') prefix = args[++i];
+        else invalid = true;
+    }
+    if (invalid || !Object.keys(colors).length || [out, preview, base, prefix, ...Object.values(colors)].includes(undefined)) {
+        console.error('Usage: node scripts/theme.js [--primary|--p <color>] [--accent|--a <color>] [--dark|--d <color>] [--light|--l <color>]');
+        console.error('       [--out <theme.css>] [--preview <preview.html>] [--base <channel url>] [--prefix <prefix>]');
+        process.exit(1);
+    }
+
+    try {
+        const theme = createTheme(colors);
+        const css = prefix ? prefixVariables(theme.css, `--${prefix.replace(/-$/, '')}-`) : theme.css;
+        // Rendered first: a preview that cannot match the prefix fails before anything is written
+        const html = preview ? renderPreview(theme, { base, prefix }) : null;
+        // The summary goes to stderr when the stylesheet itself goes to stdout (pipes stay clean)
+        const info = out ? console.log : console.error;
+        if (out) {
+            fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+            fs.writeFileSync(out, css);
+        } else {
+            process.stdout.write(css);
+        }
+        info(`🎨 Theme: ${theme.palette.map(({ variable, hex }) => `${variable} ${hex}`).join(', ')}${out ? ` -> ${out}` : ''}`);
+        if (preview) {
+            fs.mkdirSync(path.dirname(path.resolve(preview)), { recursive: true });
+            fs.writeFileSync(preview, html);
+            info(`✓ Preview: ${preview}`);
+        }
+    } catch (err) {
+        console.error('Theme failed:', err.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { createTheme, renderPreview, THEME_COLORS };
@@ -0,0 +1,447 @@
+/**
+ * @fileoverview Design Tokens Export / Import
+ *
+ * @description
+ * The "Bridge". Converts the config layer (`src/lib/config/root/*.css`) to W3C Design Tokens JSON
+ * for design tools, and a tokens file back to a config override stylesheet, so a brand defined in
+ * Figma / Tokens Studio / Style Dictionary can be fed into uCss without hand-editing HSL parts.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 📤 EXPORT
+ * ---------------------------------------------------------------------------------------------
+ *
+ * - GROUPS: one per config file (`colors`, `base`, `layout`, `typography`, `patterns`, `utilities`),
+ *   tokens named after their variable without `--` (`colors.p`, `layout.sc-max-w`).
+ *   Only the root defaults are exported (`scheme.css` dark overrides are not: tokens have no modes).
+ * - COLORS: resolved to hex (`--p` -> `#efc14e`, `--op` -> `#efc14ea3`). The split HSL variables
+ *   a color is made of (`--p-h`, `--p-s`, `--p-l`, `--d-l-bd`) are not tokens of their own.
+ * - ALIASES: a variable that is just another one (`--lnk: var(--p)`) becomes a reference (`{colors.p}`).
+ * - TYPES: `color`, `dimension`, `duration`, `number`, `fontWeight`, `fontFamily`, `cubicBezier`.
+ *   Values W3C has no type for (fluid `clamp()` scales, keywords, shorthands) are exported as
+ *   their CSS text, without `$type`.
+ * - Every token keeps its description and its variable (`$extensions["dev.unqa.ucss"].variable`).
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 📥 IMPORT
+ * ---------------------------------------------------------------------------------------------
+ *
+ * - Tokens are matched to variables by `$extensions["dev.unqa.ucss"].variable`, then by path
+ *   (`colors.p`), then by name (`p` -> `--p`). Anything else is written as `--<path-joined-by-dash>`
+ *   with a warning.
+ * - Only tokens that differ from the current defaults are written (`--all` writes every token).
+ * - A color is written through its own HSL parts (`colors.p: #1a73e8` -> `--p-h`, `--p-s`, `--p-l`),
+ *   so everything derived from them (`--op`, `--out-p`, `--ntf`, ...) follows. Colors sharing
+ *   parts with another one (`--d-bd` only owns `--d-l-bd`) get a plain override when their own
+ *   parts cannot express them.
+ * - References (`{colors.a}`) become `var(--a)`. Colors may be hex, `rgb()` / `hsl()` strings or
+ *   `{colorSpace: 'srgb' | 'hsl', components, alpha}` / `{hex}` objects.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🚀 USAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * @example
+ * npm run tokens -- export --out ucss.tokens.json
+ * npm run tokens -- import brand.tokens.json --out brand.css   // Load after u.css
+ * npm run tokens -- import brand.tokens.json --prefix u        // For the /p/ and /v/ channels
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports exportTokens
+ * @exports importTokens
+ * @exports TOKENS_EXTENSION
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { traceBundle } = require('./build');
+const { createCatalog } = require('./catalog');
+const { splitList } = require('./parse');
+const { resolveValue } = require('./extract');
+const { prefixVariables } = require('./prefix');
+const { parseColor, formatHex, formatHsl, rgbToHsl, hslToRgb } = require('./color');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const CONFIG_ENTRY = path.join(PROJECT_ROOT, 'src', 'lib', 'config', 'root.css');
+const CONFIG_DIR = 'lib/config/root/';
+
+/** `$extensions` key of the tokens (reverse domain of ucss.unqa.dev). */
+const TOKENS_EXTENSION = 'dev.unqa.ucss';
+
+// Components of an `hsl()` template, in order
+const HSL_PARTS = ['h', 's', 'l'];
+
+// Single lengths exported as `dimension`
+const DIMENSION = /^-?(?:\d*\.)?\d+(?:px|rem|em|ch|ex|vw|vh|vi|vb|vmin|vmax|%)$/;
+
+/**
+ * The variables of an `hsl()` value made of `var()`s (`hsl(var(--p-h, 43) var(--p-s, 83%) ...)`).
+ * @param {string} value
+ * @returns {{parts: Array<string|null>, alpha: (string|null)}|null} `parts`: the variable of
+ *   each of h / s / l (`null` for a literal). `null` when the value is not such a template.
+ */
+function hslTemplate(value) {
+    const match = value.match(/^hsla?\((.*)\)$/);
+    if (!match) return null;
+    const items = [];
+    let depth = 0;
+    let last = 0;
+    const inner = match[1];
+    for (let i = 0; i <= inner.length; i++) {
+        const ch = inner[i];
+        if (ch === '(') depth++;
+        else if (ch === ')') depth--;
+        else if (depth === 0 && (i === inner.length || ch === ' ' || ch === '/')) {
+            if (inner.slice(last, i).trim()) items.push(inner.slice(last, i).trim());
+            if (ch === '/') items.push('/');
+            last = i + 1;
+        }
+    }
+    const slash = items.indexOf('/');
+    const parts = slash === -1 ? items : items.slice(0, slash);
+    if (parts.length !== 3) return null;
+    const name = (item) => (item && item.match(/^var\(\s*(--[\w-]+)/) || [])[1] || null;
+    if (!parts.some(name)) return null;
+    return { parts: parts.map(name), alpha: slash === -1 ? null : name(items[slash + 1]) };
+}
+
+/**
+ * Names of the HSL parts a color owns (`--p` -> `--p-h`, `--d-bd` -> `--d-h-bd` / `--d-l-bd`).
+ * @param {string} variable
+ * @param {string} part - `h`, `s` or `l`
+ * @returns {string[]}
+ */
+function ownPartNames(variable, part) {
+    const names = [`${variable}-${part}`];
+    const variant = variable.match(/^(--.+)-([a-z]+)$/);
+    if (variant) names.push(`${variant[1]}-${part}-${variant[2]}`);
+    return names;
+}
+
+/**
+ * Token type of a resolved value.
+ * @param {string} variable
+ * @param {string} value - Resolved CSS value
+ * @returns {{type: (string|null), value: *}}
+ */
+function typeOf(variable, value) {
+    const color = parseColor(value);
+    if (color) return { type: 'color', value: formatHex(color) };
+    if (/^(?:inherit|initial|unset|revert)$/.test(value)) return { type: null, value };
+    if (/-fw$/.test(variable) && /^\d+$/.test(value)) return { type: 'fontWeight', value: Number(value) };
+    if (/-font(-fam)?$/.test(variable)) return { type: 'fontFamily', value: splitList(value).map(name => name.replace(/^["']|["']$/g, '')) };
+    if (/^-?(?:\d*\.)?\d+$/.test(value)) return { type: 'number', value: Number(value) };
+    if (/^(?:\d*\.)?\d+m?s$/.test(value)) return { type: 'duration', value };
+    if (DIMENSION.test(value)) return { type: 'dimension', value };
+    const bezier = value.match(/^cubic-bezier\(([^)]*)\)$/);
+    if (bezier) return { type: 'cubicBezier', value: bezier[1].split(',').map(Number) };
+    return { type: null, value };
+}
+
+/**
+ * Reads the config layer and models its tokens.
+ * @async
+ * @param {string} [sourceRef] - Git ref to read the sources from
+ * @returns {Promise<{groups: Map<string, {description: (string|null), tokens: Object[]}>, variables: Map<string, Object>, defaults: Map<string, string>, parts: Set<string>}>}
+ *   Tokens (by group, and by variable): `{variable, group, name, path, description, default, type, value, template, reference}`.
+ *   `defaults`: every root variable (HSL parts included), `parts`: the HSL parts owned by a color.
+ */
+async function readConfig(sourceRef) {
+    const trace = await traceBundle(CONFIG_ENTRY, sourceRef);
+    const sources = new Map();
+    for (const { file } of trace.pieces) if (file && !sources.has(file)) sources.set(file, trace.contents.get(file));
+    const catalog = createCatalog(sources, {});
+
+    // Root defaults of the config files, in declaration order
+    const entries = Object.entries(catalog.variables)
+        .filter(([, entry]) => entry.scope === 'root' && entry.file.startsWith(CONFIG_DIR))
+        .map(([variable, entry]) => ({ variable, ...entry, index: sources.get(`src/${entry.file}`).indexOf(`${variable}:`) }));
+    const files = [...sources.keys()].map(file => file.replace(/^src\//, ''));
+    entries.sort((a, b) => files.indexOf(a.file) - files.indexOf(b.file) || a.index - b.index);
+    const defaults = new Map(entries.map(entry => [entry.variable, entry.default]));
+
+    // HSL parts owned by a color are part of that color, not tokens of their own
+    const templates = new Map();
+    const parts = new Set();
+    for (const { variable, default: value } of entries) {
+        const template = hslTemplate(value);
+        if (!template) continue;
+        templates.set(variable, template);
+        template.parts.forEach((name, i) => {
+            if (name && defaults.has(name) && ownPartNames(variable, HSL_PARTS[i]).includes(name)) parts.add(name);
+        });
+    }
+
+    const groups = new Map();
+    const variables = new Map();
+    for (const entry of entries) {
+        if (parts.has(entry.variable)) continue;
+        const group = path.basename(entry.file, '.css');
+        if (!groups.has(group)) groups.set(group, { description: (catalog.files[entry.file] || {}).description || null, tokens: [] });
+        const name = entry.variable.slice(2);
+        const resolved = resolveValue(entry.default, (variable) => defaults.get(variable));
+        const token = {
+            variable: entry.variable,
+            group,
+            name,
+            path: `${group}.${name}`,
+            description: entry.description,
+            default: entry.default,
+            template: templates.get(entry.variable) || null,
+            reference: null,
+            ...(resolved === null ? { type: null, value: entry.default } : typeOf(entry.variable, resolved))
+        };
+        groups.get(group).tokens.push(token);
+        variables.set(entry.variable, token);
+    }
+
+    // `--lnk: var(--p)` -> `{colors.p}`
+    for (const token of variables.values()) {
+        const alias = token.default.match(/^var\(\s*(--[\w-]+)\s*(?:,.*)?\)$/);
+        const target = alias && variables.get(alias[1]);
+        if (target && (target.type === token.type || token.type === null)) {
+            token.reference = target.path;
+            token.type = target.type;
+        }
+    }
+    return { groups, variables, defaults, parts };
+}
+
+/**
+ * Exports the config layer as W3C Design Tokens.
+ * @async
+ * @param {Object} [options]
+ * @param {string} [options.sourceRef] - Git ref to read the sources from
+ * @returns {Promise<Object>} The tokens document (groups per config file)
+ */
+async function exportTokens({ sourceRef } = {}) {
+    const { groups } = await readConfig(sourceRef);
+    const document = { $description: 'uCss config tokens (src/lib/config/root)' };
+    for (const [group, { description, tokens }] of groups) {
+        const node = document[group] = description ? { $description: description } : {};
+        for (const token of tokens) {
+            node[token.name] = {
+                ...(token.type ? { $type: token.type } : {}),
+                $value: token.reference ? `{${token.reference}}` : token.value,
+                ...(token.description ? { $description: token.description } : {}),
+                $extensions: { [TOKENS_EXTENSION]: { variable: token.variable } }
+            };
+        }
+    }
+    return document;
+}
+
+/**
+ * Every token of a tokens document, with its inherited `$type`.
+ * @param {Object} document
+ * @returns {Array<{path: string[], type: (string|null), value: *, variable: (string|null)}>}
+ */
+function flattenTokens(document) {
+    const tokens = [];
+    const visit = (node, trail, type) => {
+        const own = node.$type || type;
+        if ('$value' in node) {
+            const extension = (node.$extensions || {})[TOKENS_EXTENSION] || {};
+            tokens.push({ path: trail, type: own || null, value: node.$value, variable: extension.variable || null });
+            return;
+        }
+        for (const [key, child] of Object.entries(node)) {
+            if (!key.startsWith('$') && child && typeof child === 'object') visit(child, [...trail, key], own);
+        }
+    };
+    visit(document, [], null);
+    return tokens;
+}
+
+/**
+ * Reads a token color value.
+ * @param {*} value - Hex / CSS string, or `{hex}` / `{colorSpace, components, alpha}`
+ * @returns {{r: number, g: number, b: number, alpha: number}|null}
+ */
+function tokenColor(value) {
+    if (typeof value === 'string') return parseColor(value);
+    if (!value || typeof value !== 'object') return null;
+    const alpha = typeof value.alpha === 'number' ? value.alpha : 1;
+    const [x, y, z] = value.components || [];
+    if (value.colorSpace === 'srgb' && [x, y, z].every(Number.isFinite)) return { r: x * 255, g: y * 255, b: z * 255, alpha };
+    if (value.colorSpace === 'hsl' && [x, y, z].every(Number.isFinite)) return hslToRgb({ h: x, s: y, l: z, alpha });
+    if (value.hex) {
+        const color = parseColor(value.hex);
+        return color && { ...color, alpha };
+    }
+    return null;
+}
+
+/**
+ * CSS text of a (non-color, non-reference) token value.
+ * @param {string|null} type
+ * @param {*} value
+ * @returns {string|null} `null` when the value cannot be written as CSS
+ */
+function tokenCss(type, value) {
+    if (typeof value === 'string' || typeof value === 'number') return String(value);
+    if (Array.isArray(value) && type === 'fontFamily') return value.map(name => (/[\s'"]/.test(name) ? `"${name}"` : name)).join(', ');
+    if (Array.isArray(value) && type === 'cubicBezier') return `cubic-bezier(${value.join(', ')})`;
+    if (value && typeof value === 'object' && 'value' in value && 'unit' in value) return `${value.value}${value.unit}`;
+    return null;
+}
+
+/**
+ * Generates a config override stylesheet from a W3C Design Tokens document.
+ * @async
+ * @param {Object} document - Parsed tokens JSON
+ * @param {Object} [options]
+ * @param {string} [options.sourceRef] - Git ref of the config to compare with
+ * @param {string} [options.prefix] - Variable prefix (`u` -> `--u-p-h`), for the `/p/` and `/v/` channels
+ * @param {boolean} [options.all=false] - Write every token, not only those that differ from the defaults
+ * @param {string} [options.source] - Name of the tokens file, for the header comment
+ * @returns {Promise<{css: string, declarations: Array<{variable: string, value: string, token: string}>, warnings: string[]}>}
+ */
+async function importTokens(document, { sourceRef, prefix, all = false, source = 'tokens' } = {}) {
+    const config = await readConfig(sourceRef);
+    const byPath = new Map([...config.variables.values()].map(token => [token.path, token]));
+    const warnings = [];
+
+    // Token -> variable
+    const flat = flattenTokens(document);
+    const pathVariables = new Map();
+    for (const token of flat) {
+        const key = token.path.join('.');
+        const known = token.variable || (byPath.get(key) || {}).variable
+            || (config.variables.has(`--${token.path[token.path.length - 1]}`) ? `--${token.path[token.path.length - 1]}` : null);
+        token.key = key;
+        token.target = known || `--${token.path.join('-')}`;
+        if (!known) warnings.push(`${key} is not a uCss config variable, written as ${token.target}`);
+        pathVariables.set(key, token.target);
+    }
+
+    // Values: references, colors, everything else
+    const assignments = new Map(); // variable -> {value, token}
+    const colors = [];
+    for (const token of flat) {
+        const current = config.variables.get(token.target);
+        const reference = typeof token.value === 'string' && token.value.match(/^\{([^}]+)\}$/);
+        if (reference) {
+            const variable = pathVariables.get(reference[1]) || (byPath.get(reference[1]) || {}).variable;
+            if (!variable) {
+                warnings.push(`${token.key} references an unknown token {${reference[1]}}, skipped`);
+                continue;
+            }
+            if (all || !current || current.reference !== reference[1]) assignments.set(token.target, { value: `var(${variable})`, token: token.key });
+            continue;
+        }
+        if (token.type === 'color' || (!token.type && current && current.type === 'color')) {
+            const color = tokenColor(token.value);
+            if (!color) {
+                warnings.push(`${token.key} is not a color (${JSON.stringify(token.value)}), skipped`);
+                continue;
+            }
+            if (all || !current || current.reference || formatHex(color) !== current.value) colors.push({ token, color, current });
+            continue;
+        }
+        const css = tokenCss(token.type, token.value);
+        if (css === null) {
+            warnings.push(`${token.key} has an unsupported value (${JSON.stringify(token.value)}), skipped`);
+            continue;
+        }
+        if (all || !current || current.reference || css !== tokenCss(current.type, current.value)) assignments.set(token.target, { value: css, token: token.key });
+    }
+
+    // Colors: their own HSL parts first, then a plain override where the parts are not enough
+    for (const { token, color, current } of colors) {
+        const template = current && current.template;
+        if (!template) continue;
+        const hsl = rgbToHsl(color);
+        template.parts.forEach((name, i) => {
+            const part = HSL_PARTS[i];
+            if (!name || !config.parts.has(name) || !ownPartNames(token.target, part).includes(name)) return;
+            assignments.set(name, { value: part === 'h' ? String(hsl.h) : `${hsl[part]}%`, token: token.key });
+        });
+    }
+    const lookup = (variable) => (assignments.has(variable) ? assignments.get(variable).value : config.defaults.get(variable));
+    for (const { token, color, current } of colors) {
+        const wanted = formatHex(color);
+        if (current && current.template) {
+            const resolved = resolveValue(current.default, lookup);
+            const parsed = resolved && parseColor(resolved);
+            if (parsed && formatHex(parsed) === wanted) continue;
+        }
+        assignments.set(token.target, { value: formatHsl(color), token: token.key });
+    }
+
+    // Declarations in config order, unknown variables last
+    const order = [...config.defaults.keys()];
+    const rank = (variable) => (order.includes(variable) ? order.indexOf(variable) : order.length);
+    const declarations = [...assignments]
+        .map(([variable, { value, token }]) => ({ variable, value, token }))
+        .sort((a, b) => rank(a.variable) - rank(b.variable));
+
+    const lines = [
+        '/**',
+        ' * @file Design Tokens Overrides',
+        ` * @description Generated from ${source} by \`npm run tokens -- import\`. Load after uCss.`,
+        ' */',
+        '',
+        ':where(:root) {'
+    ];
+    let lastToken = null;
+    for (const { variable, value, token } of declarations) {
+        if (token !== lastToken) lines.push(`${lastToken ? '\n' : ''}    /* ${token} */`);
+        lastToken = token;
+        lines.push(`    ${variable}: ${value};`);
+    }
+    lines.push('}', '');
+    const css = prefix ? prefixVariables(lines.join('\n'), `--${prefix.replace(/-$/, '')}-`) : lines.join('\n');
+    return { css, declarations, warnings };
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const [command] = args;
+    const options = {};
+    let input = null;
+    let out = null;
+    for (let i = 1; i < args.length; i++) {
+        if (args[i] === '--out') out = args[++i];
+        else if (args[i] === '--source') options.sourceRef = args[++i];
+        else if (args[i] === '--prefix') options.prefix = args[++i];
+        else if (args[i] === '--all') options.all = true;
+        else if (!args[i].startsWith('-') && command === 'import' && !input) input = args[i];
+        else input = out = undefined; // Usage error
+    }
+    if (!['export', 'import'].includes(command) || (command === 'import' && !input) || out === undefined) {
+        console.error('Usage: node scripts/tokens.js export [--out <file.json>] [--source <ref>]');
+        console.error('       node scripts/tokens.js import <file.json> [--out <file.css>] [--prefix <prefix>] [--all] [--source <ref>]');
+        process.exit(1);
+    }
+
+    (async () => {
+        // The summary goes to stderr when the result itself goes to stdout (pipes stay clean)
+        const info = out ? console.log : console.error;
+        let text;
+        if (command === 'export') {
+            const document = await exportTokens(options);
+            text = JSON.stringify(document, null, 2) + '\n';
+            const count = flattenTokens(document).length;
+            info(`🎨 Exported ${count} tokens${out ? ` -> ${out}` : ''}`);
+        } else {
+            const document = JSON.parse(fs.readFileSync(input, 'utf8'));
+            const result = await importTokens(document, { ...options, source: path.basename(input) });
+            text = result.css;
+            result.warnings.forEach(warning => info(`  ⚠️ ${warning}`));
+            info(`🎨 ${result.declarations.length} override(s) from ${input}${out ? ` -> ${out}` : ''}`);
+        }
+        if (out) {
+            fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+            fs.writeFileSync(out, text);
+        } else {
+            process.stdout.write(text);
+        }
+    })().catch(err => {
+        console.error('Tokens failed:', err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { exportTokens, importTokens, TOKENS_EXTENSION };
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Editor Autocomplete Data
+ *
+ * @description
+ * The "Hints". Turns the API catalog (`catalog.js`) into VS Code custom data files, so editors
+ * complete `class="g-3--mdl"` and `--sc-max-w` with the description from the source doc comments.
+ * Written next to `ucss-api.json` in every channel, with the channel's prefix already applied.
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 📄 FILES
+ * ---------------------------------------------------------------------------------------------
+ *
+ * - `ucss.html-data.json`: the classes, as values of the global `class` attribute
+ *   (`html.customData`).
+ * - `ucss.css-data.json`: the custom properties, with their default (`css.customData`).
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🚀 USAGE
+ * ---------------------------------------------------------------------------------------------
+ *
+ * @example
+ * // .vscode/settings.json of a site using uCss
+ * {
+ *     "html.customData": ["./node_modules/@unqa/ucss/dist/stable/ucss.html-data.json"],
+ *     "css.customData": ["./node_modules/@unqa/ucss/dist/stable/ucss.css-data.json"]
+ * }
+ *
+ * ---------------------------------------------------------------------------------------------
+ * 🔧 EXPORTS
+ * ---------------------------------------------------------------------------------------------
+ * @exports htmlCustomData
+ * @exports cssCustomData
+ * @exports HTML_DATA_FILE
+ * @exports CSS_DATA_FILE
+ */
+
+const HTML_DATA_FILE = 'ucss.html-data.json';
+const CSS_DATA_FILE = 'ucss.css-data.json';
+
+// Custom data format version understood by VS Code
+const DATA_VERSION = 1.1;
+
+// How many custom properties of a class are listed in its hint
+const MAX_LISTED = 6;
+
+/**
+ * `module · group · file` line of a hint.
+ * @param {{module: (string|null), group: (string|null), file: string, part?: (string|null)}} entry
+ * @returns {string}
+ */
+function origin({ module, group, part, file }) {
+    return [module && `**${module}**`, group, part, `\`${file}\``].filter(Boolean).join(' · ');
+}
+
+/**
+ * Inline code, safe for values containing backticks.
+ * @param {string} text
+ * @returns {string}
+ */
+function code(text) {
+    return `\`${String(text).replace(/`/g, "'")}\``;
+}
+
+/**
+ * `html.customData` for the classes of a catalog.
+ * @param {Object} catalog - From `createCatalog`
+ * @returns {{version: number, globalAttributes: Array<{name: string, description: string, values: Object[]}>}}
+ */
+function htmlCustomData(catalog) {
+    const values = Object.entries(catalog.classes).map(([name, entry]) => {
+        const lines = [];
+        if (entry.description) lines.push(entry.description);
+        lines.push(origin(entry));
+        const sets = Object.entries(entry.sets);
+        if (sets.length) {
+            const listed = sets.slice(0, MAX_LISTED).map(([variable, value]) => code(`${variable}: ${value}`));
+            lines.push(`Sets ${listed.join(', ')}${sets.length > MAX_LISTED ? `, +${sets.length - MAX_LISTED} more` : ''}`);
+        }
+        return { name, description: { kind: 'markdown', value: lines.join('\n\n') } };
+    });
+    return {
+        version: DATA_VERSION,
+        globalAttributes: [{
+            name: 'class',
+            description: { kind: 'markdown', value: `uCss ${catalog.version || ''} classes${catalog.prefix ? ` (prefix ${code(catalog.prefix.prefix)})` : ''}`.replace(/\s+/g, ' ') },
+            values
+        }]
+    };
+}
+
+/**
+ * `css.customData` for the custom properties of a catalog.
+ * @param {Object} catalog - From `createCatalog`
+ * @returns {{version: number, properties: Array<{name: string, description: Object}>}}
+ */
+function cssCustomData(catalog) {
+    const properties = Object.entries(catalog.variables).map(([name, entry]) => {
+        const lines = [];
+        if (entry.description) lines.push(entry.description);
+        if (entry.default !== null) lines.push(`${entry.scope === 'hook' ? 'Fallback' : 'Default'}: ${code(entry.default)}`);
+        lines.push(origin(entry));
+        return { name, description: { kind: 'markdown', value: lines.join('\n\n') } };
+    });
+    return { version: DATA_VERSION, properties };
+}
+
+module.exports = { htmlCustomData, cssCustomData, HTML_DATA_FILE, CSS_DATA_FILE };
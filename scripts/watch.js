@@ -4,7 +4,7 @@
  * @description
  * The "Hot Reloader" for uCss.
  * Turns the passive build system into an active, listening dev environment.
- * Monitors `src/` for changes and triggers incremental(ish) builds.
+ * Monitors `src/` for changes and triggers incremental builds.
  * 
  * ---------------------------------------------------------------------------------------------
  * ⚙️ TECHNICAL ARCHITECTURE
@@ -24,12 +24,19 @@
  *    - Uses a `isBuilding` mutex.
  *    - If a build is in progress, new changes are queued/ignored until it finishes.
  * 
+ * 4. INCREMENTAL
+ *    - Builds run with `--incremental`: only the bundles and docs pages reached by the
+ *      changed files are rebuilt (see `cache.js`). The first build of a session is a full one.
+ *    - Always into the same channel (`latest` unless one is given): without one, `build.js`
+ *      picks a new `preview-<timestamp>` folder off the main branches, and the cache never hits.
+ * 
  * ---------------------------------------------------------------------------------------------
  * 🚀 USAGE
  * ---------------------------------------------------------------------------------------------
  * 
  * @example
- * npm run watch
+ * npm run watch                 // Rebuilds dist/latest/
+ * npm run watch -- preview-dev  // Rebuilds dist/preview-dev/
  */
 
 const fs = require('fs');
@@ -38,6 +45,8 @@ const { spawn } = require('child_process');
 
 const PROJECT_ROOT = path.resolve(__dirname, '..');
 const SRC_DIR = path.join(PROJECT_ROOT, 'src');
+// Channel every rebuild writes to (one folder, so the incremental cache is reused)
+const CHANNEL = process.argv[2] || 'latest';
 
 /**
  * Debounce function to limit the frequency of build triggers.
@@ -77,7 +86,7 @@ function build() {
     console.clear();
     console.log(`\nChanges detected. Rebuilding... (${new Date().toLocaleTimeString()})\n`);
 
-    const child = spawn('node', ['scripts/build.js'], { stdio: 'inherit' });
+    const child = spawn('node', ['scripts/build.js', CHANNEL, '--incremental'], { stdio: 'inherit' });
 
     child.on('close', (code) => {
         isBuilding = false;
@@ -91,7 +100,7 @@ function build() {
 
 const debouncedBuild = debounce(build, 300); // 300ms debounce
 
-console.log(`Watching ${SRC_DIR} for changes...`);
+console.log(`Watching ${SRC_DIR} for changes (channel: ${CHANNEL})...`);
 build(); // Initial build
 
 fs.watch(SRC_DIR, { recursive: true }, (eventType, filename) => {